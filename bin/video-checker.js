@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROFILE, getProfiles, getProfile } = require('../lib/profiles');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { VIDEO_EXTENSIONS, checkVideoFile } = require('../lib/checker');
+const { FRAME_CHECK_METHODS } = require('../lib/frames');
+const { REPORT_FORMATS, buildReport, renderReport } = require('../lib/report');
+const { compareVideos, measureSimilarity } = require('../lib/compare');
+
+const USAGE = `Usage: video-checker [options] <file|folder|glob>...
+
+Options:
+  -p, --profile <id>      Contest rule profile (default: ${DEFAULT_PROFILE})
+  -j, --json              Print results as JSON
+      --report <format>   Print a compliance report instead: ${REPORT_FORMATS.join(', ')}
+  -r, --recursive         Scan folders recursively
+  -f, --frame-check <m>   Frame counting method: ${FRAME_CHECK_METHODS.join(', ')} (default: metadata)
+  -c, --concurrency <n>   Number of files analyzed in parallel (default: 2)
+      --compare           Compare two versions of a render (before, after)
+      --similarity        With --compare, also measure per-frame PSNR/SSIM
+      --list-profiles     List available profiles and exit
+  -h, --help              Show this help
+
+Exit codes: 0 = all files compliant, 1 = at least one file failed, 2 = usage error
+(with --compare, the exit code reflects the second file only)`;
+
+// Lecture des arguments de la ligne de commande
+function parseArgs(argv) {
+    const options = {
+        profile: DEFAULT_PROFILE,
+        json: false,
+        recursive: false,
+        frameCheck: 'metadata',
+        concurrency: 2,
+        inputs: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-p':
+            case '--profile':
+                options.profile = argv[++i];
+                break;
+            case '-j':
+            case '--json':
+                options.json = true;
+                break;
+            case '--report':
+                options.report = argv[++i];
+                break;
+            case '-r':
+            case '--recursive':
+                options.recursive = true;
+                break;
+            case '-f':
+            case '--frame-check':
+                options.frameCheck = argv[++i];
+                break;
+            case '-c':
+            case '--concurrency':
+                options.concurrency = parseInt(argv[++i], 10);
+                break;
+            case '--compare':
+                options.compare = true;
+                break;
+            case '--similarity':
+                options.similarity = true;
+                break;
+            case '--list-profiles':
+                options.listProfiles = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    if (!options.profile) {
+        throw new Error('Missing value for --profile');
+    }
+    if (!FRAME_CHECK_METHODS.includes(options.frameCheck)) {
+        throw new Error(`--frame-check must be one of: ${FRAME_CHECK_METHODS.join(', ')}`);
+    }
+    if (options.report !== undefined && !REPORT_FORMATS.includes(options.report)) {
+        throw new Error(`--report must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+    }
+    if (options.compare && options.inputs.length !== 2) {
+        throw new Error('--compare needs exactly two files');
+    }
+    if (options.similarity && !options.compare) {
+        throw new Error('--similarity can only be used with --compare');
+    }
+
+    return options;
+}
+
+// Résout fichiers, dossiers et globs en une liste de fichiers vidéo
+function resolveInputs(inputs, recursive) {
+    const files = new Set();
+
+    inputs.forEach(input => {
+        if (hasGlobMagic(input)) {
+            expandGlob(input).filter(isVideoFile).forEach(file => files.add(file));
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            listDirectory(input, recursive).filter(isVideoFile).forEach(file => files.add(file));
+        } else if (fs.existsSync(input)) {
+            files.add(path.resolve(input));
+        } else {
+            throw new Error(`No such file or directory: ${input}`);
+        }
+    });
+
+    return [...files];
+}
+
+function isVideoFile(filePath) {
+    return VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function listDirectory(dir, recursive) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.resolve(dir, entry.name);
+        if (entry.isDirectory()) {
+            return recursive ? listDirectory(entryPath, recursive) : [];
+        }
+        return entry.isFile() ? [entryPath] : [];
+    });
+}
+
+function hasGlobMagic(pattern) {
+    return /[*?[]/.test(pattern);
+}
+
+// Glob minimal (*, ?, [...] et **) pour les shells qui ne l'étendent pas
+function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const firstMagic = segments.findIndex(hasGlobMagic);
+    const baseDir = segments.slice(0, firstMagic).join(path.sep) || '.';
+
+    if (!fs.existsSync(baseDir)) return [];
+
+    const regex = globToRegExp(segments.slice(firstMagic).join('/'));
+    const recursive = segments.slice(firstMagic).includes('**') || segments.length - firstMagic > 1;
+
+    return listDirectory(baseDir, recursive).filter(file => {
+        const relative = path.relative(path.resolve(baseDir), file).split(path.sep).join('/');
+        return regex.test(relative);
+    });
+}
+
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" correspond à zéro ou plusieurs dossiers
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += glob.slice(i, end + 1);
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Affichage lisible : une ligne par fichier puis le détail des critères en échec
+function printTable(profile, results) {
+    console.log(`Profile: ${profile.name} (v${profile.version})\n`);
+
+    const rows = results.map(result => [
+        result.success ? (result.validation.overall ? 'PASS' : 'FAIL') : 'ERROR',
+        result.fileName
+    ]);
+    const statusWidth = Math.max(...rows.map(row => row[0].length));
+    rows.forEach(row => console.log(`${row[0].padEnd(statusWidth)}  ${row[1]}`));
+
+    results.forEach(result => {
+        if (!result.success) {
+            console.log(`\n${result.fileName}\n  ${result.error}`);
+            return;
+        }
+
+        const failures = Object.keys(result.validation)
+            .filter(key => key !== 'overall' && !result.validation[key].valid)
+            .map(key => result.validation[key]);
+        if (failures.length === 0) return;
+
+        console.log(`\n${result.fileName}`);
+        failures.forEach(failure => {
+            const marker = failure.severity === 'warning' ? '!' : '✗';
+            console.log(`  ${marker} ${failure.label}: ${failure.value} (required: ${failure.requirement})`);
+            (failure.details || []).forEach(detail => console.log(`    ${detail}`));
+        });
+
+        const timing = result.videoInfo.frameTiming;
+        if (timing) {
+            timing.dropped.forEach(gap => console.log(`    ${gap.count} frame(s) missing after ${gap.time}s (frame ${gap.frame})`));
+            timing.duplicated.forEach(dup => console.log(`    duplicated frame ${dup.frame} at ${dup.time}s`));
+        }
+    });
+
+    const passed = results.filter(result => result.success && result.validation.overall).length;
+    console.log(`\n${passed}/${results.length} files compliant`);
+}
+
+// Différences entre les deux versions : critères dont le statut change,
+// puis champs de métadonnées modifiés
+function printComparison(profile, files, comparison, similarity) {
+    console.log(`Profile: ${profile.name} (v${profile.version})`);
+    console.log(`Before: ${files[0]} (${comparison.summary.firstCompliant ? 'PASS' : 'FAIL'})`);
+    console.log(`After:  ${files[1]} (${comparison.summary.secondCompliant ? 'PASS' : 'FAIL'})\n`);
+
+    const changedCriteria = comparison.criteria.filter(criterion => criterion.changed);
+    console.log(changedCriteria.length > 0 ? 'Criteria:' : 'Criteria: no status change');
+    changedCriteria.forEach(criterion => {
+        const before = criterion.first ? criterion.first.status.toUpperCase() : '-';
+        const after = criterion.second ? criterion.second.status.toUpperCase() : '-';
+        console.log(`  ${criterion.label}: ${before} -> ${after}`);
+    });
+
+    const changedFields = comparison.metadata.filter(field => field.changed);
+    console.log(changedFields.length > 0 ? '\nMetadata:' : '\nMetadata: identical');
+    changedFields.forEach(field => {
+        console.log(`  ${field.field}: ${formatValue(field.first)} -> ${formatValue(field.second)}`);
+    });
+
+    if (similarity) {
+        const verdicts = {
+            identical: 'pixel-identical frames',
+            'encode-only': 'same images, only the encode differs',
+            'content-changed': `${similarity.differentFrames} frame(s) visually different (SSIM < ${similarity.threshold})`
+        };
+        console.log(`\nSimilarity (${similarity.comparedFrames} frames): ${verdicts[similarity.verdict]}`);
+        console.log(`  PSNR avg ${formatValue(similarity.psnr.average)} dB, min ${formatValue(similarity.psnr.min)} dB`);
+        console.log(`  SSIM avg ${formatValue(similarity.ssim.average)}, min ${formatValue(similarity.ssim.min)}`);
+        if (similarity.verdict === 'content-changed') {
+            similarity.worstFrames.filter(frame => frame.ssim < similarity.threshold).forEach(frame => console.log(`  frame ${frame.frame} (${frame.time}s): SSIM ${frame.ssim}`));
+        }
+    }
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '-';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+async function runComparison(profile, files, options) {
+    let results;
+    let similarity = null;
+    try {
+        results = [];
+        for (const filePath of files) {
+            results.push(await checkVideoFile(filePath, profile, {}, { frameCheck: options.frameCheck }));
+        }
+        if (options.similarity) {
+            similarity = await measureSimilarity(files[0], files[1], results[0].videoInfo);
+        }
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    const comparison = compareVideos(results[0], results[1]);
+    if (options.json) {
+        console.log(JSON.stringify({
+            profile: { id: profile.id, name: profile.name, version: profile.version },
+            files,
+            comparison,
+            similarity
+        }, null, 2));
+    } else {
+        printComparison(profile, files, comparison, similarity);
+    }
+
+    return comparison.summary.secondCompliant ? 0 : 1;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (options.listProfiles) {
+        getProfiles().forEach(profile => {
+            console.log(`${profile.id}\t${profile.name} (v${profile.version})`);
+        });
+        return 0;
+    }
+
+    const profile = getProfile(options.profile);
+    if (!profile) {
+        console.error(`Unknown profile: ${options.profile}`);
+        return 2;
+    }
+
+    let files;
+    try {
+        files = resolveInputs(options.inputs, options.recursive);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    if (options.compare) {
+        if (files.length !== 2) {
+            console.error(`--compare needs exactly two video files\n\n${USAGE}`);
+            return 2;
+        }
+        return runComparison(profile, files, options);
+    }
+
+    if (files.length === 0) {
+        console.error(`No video files found\n\n${USAGE}`);
+        return 2;
+    }
+
+    const results = await mapWithConcurrency(files, options.concurrency, async (filePath) => {
+        try {
+            const result = await checkVideoFile(filePath, profile, {}, { frameCheck: options.frameCheck });
+            return {
+                fileName: filePath,
+                success: true,
+                videoInfo: result.videoInfo,
+                validation: result.validation,
+                report: options.report ? buildReport(result, profile) : undefined
+            };
+        } catch (error) {
+            return { fileName: filePath, success: false, error: error.message, code: error.code || 'INTERNAL_ERROR' };
+        }
+    });
+
+    if (options.report) {
+        const reports = results.map(result => result.success
+            ? result.report
+            : { file: { name: result.fileName }, error: result.error });
+        process.stdout.write(renderReport(reports, options.report).body);
+    } else if (options.json) {
+        console.log(JSON.stringify({
+            profile: { id: profile.id, name: profile.name, version: profile.version },
+            results
+        }, null, 2));
+    } else {
+        printTable(profile, results);
+    }
+
+    return results.every(result => result.success && result.validation.overall) ? 0 : 1;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});
@@ -0,0 +1,141 @@
+// Live view of the watch-folder results (see lib/watcher.js): the initial state
+// comes from GET /watch, then new results are pushed by GET /watch/events.
+class WatchDashboard {
+    constructor() {
+        this.serverUrl = window.location.origin;
+        this.results = [];
+        this.eventSource = null;
+
+        // Same language choice as the checker page
+        const saved = localStorage.getItem('videoChecker.lang');
+        const preferred = (navigator.languages || [navigator.language])
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => I18N_MESSAGES[language]);
+        this.locale = I18N_MESSAGES[saved] ? saved : (preferred || 'en');
+
+        this.summary = document.getElementById('watchSummary');
+        this.folders = document.getElementById('watchFolders');
+        this.activity = document.getElementById('watchActivity');
+        this.table = document.getElementById('watchResults');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.languageSelect.innerHTML = Object.keys(I18N_LANGUAGES).map(locale => `
+            <option value="${locale}">${I18N_LANGUAGES[locale]}</option>
+        `).join('');
+        this.languageSelect.addEventListener('change', () => this.setLocale(this.languageSelect.value));
+
+        this.applyTranslations();
+        this.load();
+    }
+
+    setLocale(locale) {
+        this.locale = I18N_MESSAGES[locale] ? locale : 'en';
+        localStorage.setItem('videoChecker.lang', this.locale);
+        this.applyTranslations();
+        // Error messages are translated by the server
+        this.load();
+    }
+
+    applyTranslations() {
+        document.documentElement.lang = this.locale;
+        this.languageSelect.value = this.locale;
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+    }
+
+    t(key, params = {}) {
+        const messages = I18N_MESSAGES[this.locale] || I18N_MESSAGES.en;
+        const message = messages[key] !== undefined ? messages[key] : I18N_MESSAGES.en[key];
+        if (message === undefined) {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    }
+
+    async load() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        try {
+            const response = await fetch(`${this.serverUrl}/watch?lang=${this.locale}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            if (!data.enabled) {
+                this.summary.textContent = this.t('watch.disabled');
+                return;
+            }
+
+            this.results = data.results;
+            this.summary.textContent = this.t('watch.summary', {
+                profile: data.profile.name,
+                version: data.profile.version
+            });
+            this.folders.innerHTML = data.folders.map(folder => `
+                <div>📁 ${this.escapeHTML(folder)}${data.rejectFailed ? ` <small>${this.t('watch.rejectEnabled')}</small>` : ''}</div>
+            `).join('');
+            this.showActivity(data.current ? this.t('watch.analyzing', { file: data.current }) : null);
+            this.render();
+            this.listen();
+        } catch (error) {
+            this.summary.textContent = `❌ ${error.message || this.t('watch.loadError')}`;
+        }
+    }
+
+    // EventSource can't send headers: the language goes in the query string
+    listen() {
+        this.eventSource = new EventSource(`${this.serverUrl}/watch/events?lang=${this.locale}`);
+
+        this.eventSource.addEventListener('status', (e) => {
+            const status = JSON.parse(e.data);
+            this.showActivity(this.t(`watch.${status.state}`, { file: status.fileName }));
+        });
+        this.eventSource.addEventListener('result', (e) => {
+            this.results.unshift(JSON.parse(e.data));
+            this.showActivity(null);
+            this.render();
+        });
+    }
+
+    showActivity(message) {
+        this.activity.textContent = message || '';
+        this.activity.style.display = message ? 'block' : 'none';
+    }
+
+    render() {
+        if (this.results.length === 0) {
+            this.table.innerHTML = `<tr><td colspan="4">${this.t('watch.empty')}</td></tr>`;
+            return;
+        }
+
+        const icons = { pass: '✅', fail: '❌', error: '⚠️' };
+        const classes = { pass: 'status-valid', fail: 'status-invalid', error: 'status-warning' };
+        this.table.innerHTML = this.results.map(result => `
+            <tr>
+                <td class="criterion-name">${this.escapeHTML(result.fileName)}</td>
+                <td class="${classes[result.status]}">
+                    <span class="status-icon">${icons[result.status]}</span>
+                    ${this.t(`watch.${result.status}`)}
+                </td>
+                <td>
+                    ${this.escapeHTML(result.error || result.failedCriteria.join(', ') || '-')}
+                    ${result.rejected ? `<div class="criterion-details">${this.t('watch.movedToRejected')}</div>` : ''}
+                </td>
+                <td>${new Date(result.checkedAt).toLocaleString(this.locale)}</td>
+            </tr>
+        `).join('');
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new WatchDashboard();
+});
@@ -0,0 +1,549 @@
+// Interface messages, one catalog per language. Parameters are written {name}
+// and replaced by VideoChecker.t(). Server messages (errors, criteria labels
+// and requirements) are translated by lib/i18n.js from the Accept-Language header.
+
+const I18N_MESSAGES = {
+    en: {
+        'language.label': 'Language',
+
+        'header.unofficial': '(unofficial)',
+        'header.tagline': 'Verify if your animation meets the contest requirements',
+
+        'privacy.title': '🔒 Privacy & Security Notice',
+        'privacy.notStored': '<strong>Your videos are NOT saved or stored on our server.</strong>',
+        'privacy.temporary': 'Uploaded videos are written to a temporary file and deleted as soon as the analysis ends. If you don\'t trust this process, use the <strong>browser-only preflight</strong>: your video is read locally and never leaves your computer; only the values read from it (resolution, codec, frame count...) are sent to be checked against the rules.',
+        'privacy.history': 'History is opt-in: only the file\'s SHA-256 fingerprint, its metadata and the check results are kept, and you can delete them at any time.',
+
+        'options.profile': 'Contest rules',
+        'options.frameCheck': 'Frame verification',
+        'options.frameCheck.metadata': 'Container metadata (fast)',
+        'options.frameCheck.packets': 'Packet count',
+        'options.frameCheck.decode': 'Full decode (slowest, exact)',
+        'options.preflight': 'Browser-only preflight (no upload)',
+        'options.compare': 'Compare two versions (before, after)',
+        'options.similarity': 'Measure PSNR/SSIM when comparing (slower)',
+        'options.history': 'Save results to my history',
+
+        'upload.title': 'Drag & drop your video here',
+        'upload.hint': 'or click to select (several files for a batch check)',
+
+        'profile.loadError': 'Unable to load contest rules from server',
+
+        'results.title': '🔍 Verification Results',
+        'results.exportReport': '📄 Export report',
+        'results.certificate': 'Certificate (HTML/PDF)',
+        'results.fix': '🛠️ Fix it',
+        'results.serverCheck': '🔬 Run remaining checks on server',
+        'results.reset': 'Check Another Video',
+        'results.cancel': 'Cancel',
+        'footer.source': '📦 Source Code',
+
+        'loading.analyzing': 'Analyzing video...',
+        'loading.comparing': 'Comparing videos...',
+        'loading.preflight': 'Reading video structure in your browser...',
+        'loading.fixing': 'Transcoding video to match the contest rules...',
+        'loading.historyLookup': 'Looking for an identical file in history...',
+        'loading.resuming': 'Resuming upload ({received}/{total} chunks already received)...',
+
+        'stages.upload': 'Uploading',
+        'stages.queued': 'Waiting in queue',
+        'stages.queuePosition': '{label} (position {position})',
+        'stages.probe': 'Reading metadata',
+        'stages.hash': 'Computing SHA-256',
+        'stages.first': 'Analyzing first video',
+        'stages.second': 'Analyzing second video',
+        'stages.similarity': 'Measuring PSNR/SSIM',
+        'stages.frames': 'Counting frames',
+        'stages.content': 'Analyzing frame content',
+        'stages.audio': 'Measuring loudness',
+        'stages.thumbnails': 'Extracting thumbnails',
+        'stages.gop': 'Reading keyframes',
+        'stages.validate': 'Validating',
+        'stages.transcode': 'Transcoding',
+        'stages.verify': 'Re-checking fixed video',
+
+        'errors.serverError': 'Server error: {status}',
+        'errors.analyze': 'Error analyzing video',
+        'errors.analyzeBatch': 'Error analyzing videos',
+        'errors.compare': 'Error comparing videos',
+        'errors.fix': 'Error fixing video',
+        'errors.readVideo': 'Error reading video',
+        'errors.analysis': 'Analysis error',
+        'errors.historyEntry': 'Unable to load history entry',
+        'errors.notAnalyzed': 'Not analyzed',
+        'errors.cancelled': 'Cancelled',
+        'errors.fileTooLarge': 'File too large (maximum 150MB for analysis)',
+        'errors.batchFileTooLarge': '{fileName}: file too large (maximum 150MB for analysis)',
+        'errors.compareTwoFiles': 'Select exactly two files to compare: the previous render and the new one',
+        'errors.rulesNotLoaded': 'Contest rules are not loaded',
+        'errors.PREFLIGHT_NO_MOOV': 'No moov box found: not an MP4/MOV file, or the file is incomplete',
+        'errors.PREFLIGHT_FRAGMENTED': 'Fragmented MP4 files cannot be checked in the browser, use the server check',
+        'errors.PREFLIGHT_NO_SAMPLES': 'The video track has no samples',
+        'errors.PREFLIGHT_INVALID_BOX': 'Invalid or truncated "{type}" box at offset {offset}',
+        'errors.NO_VIDEO_STREAM': 'No video track found',
+
+        'advice.title': '💡 What to do:',
+        'advice.NO_VIDEO_STREAM': 'The file contains no video track (audio only, or an image sequence container). Export the animation again as a video.',
+        'advice.UNSUPPORTED_TYPE': 'Only MP4, MOV and AVI files are accepted. Export the animation in one of these formats.',
+        'advice.FILE_TOO_LARGE': 'The file exceeds 150MB. Export it again with a lower bitrate, or use the browser-only preflight, which has no size limit.',
+        'advice.PROBE_FAILED': 'The file could not be read: it is probably corrupt or truncated. Check that the export or download finished, then try again.',
+        'advice.FFPROBE_MISSING': 'FFprobe is not installed on the server. Contact the administrator, or use the browser-only preflight in the meantime.',
+        'advice.FFMPEG_MISSING': 'FFmpeg is not installed on the server. Contact the administrator, or use the browser-only preflight in the meantime.',
+        'advice.FFMPEG_FAILED': 'FFmpeg could not decode the file. It may be corrupt, or use a codec the server doesn\'t support.',
+        'advice.INSUFFICIENT_STORAGE': 'The server is out of disk space. Try again in a few minutes.',
+        'advice.UPLOAD_NOT_FOUND': 'The upload session expired. Select the file again to restart the upload.',
+        'advice.UNKNOWN_PROFILE': 'The selected contest rules no longer exist on the server. Reload the page.',
+        'advice.RATE_LIMITED': 'You sent too many checks in a short time. Wait a moment before trying again, or use the browser-only preflight in the meantime.',
+        'advice.PROBE_TIMEOUT': 'The server gave up reading the file. It may be damaged, or the server may be busy: try again in a few minutes.',
+        'advice.PREFLIGHT_NO_MOOV': 'The browser could not find the video index. Check that the export finished, or run the check on the server.',
+        'advice.PREFLIGHT_FRAGMENTED': 'Fragmented MP4 files can only be checked by the server. Uncheck the browser-only preflight and try again.',
+        'advice.PREFLIGHT_INVALID_BOX': 'The file is probably truncated. Check that the export or download finished, then try again.',
+        'advice.checklistTitle': '🔧 Check that:',
+        'advice.checklist': '• Node.js server is running<br>• FFmpeg is installed on server<br>• File is a valid video (MP4/MOV)<br>• Size doesn\'t exceed 150MB',
+
+        'table.criterion': 'Criterion',
+        'table.required': 'Required',
+        'table.yourVideo': 'Your Video',
+        'table.status': 'Status',
+        'table.file': 'File',
+        'table.overall': 'Overall',
+        'table.before': 'Before',
+        'table.after': 'After',
+        'table.field': 'Field',
+
+        'status.notCompliant': 'Video NOT COMPLIANT - See details above',
+        'status.preflightPassed': 'Browser preflight passed - {count} criteria still need the server check',
+        'status.preflightPassedOne': 'Browser preflight passed - 1 criterion still needs the server check',
+        'status.compliant': 'Video COMPLIANT with contest rules!',
+        'status.warnings': '({count} warning(s))',
+        'status.batch': '{passed}/{total} videos COMPLIANT with contest rules',
+
+        'criteria.resolution': 'Resolution',
+        'criteria.format': 'Format',
+        'criteria.fileSize': 'File Size',
+        'criteria.frameRate': 'Frame Rate',
+        'criteria.frameCount': 'Frame Count',
+        'criteria.frameTiming': 'Frame Timing',
+        'criteria.codec': 'Codec',
+        'criteria.audio': 'Audio',
+        'criteria.pixelFormat': 'Pixel Format',
+        'criteria.colorimetry': 'Color Space',
+        'criteria.colorRange': 'Color Range',
+        'criteria.hdr': 'HDR',
+        'criteria.blackFrames': 'Black Frames',
+        'criteria.frozenFrames': 'Frozen Frames',
+        'criteria.letterbox': 'Letterbox / Pillarbox',
+        'criteria.audioFormat': 'Audio Format',
+        'criteria.loudness': 'Integrated Loudness',
+        'criteria.truePeak': 'True Peak',
+        'criteria.avDuration': 'Audio/Video Duration',
+        'criteria.codecProfile': 'Codec Profile',
+        'criteria.codecLevel': 'Codec Level',
+        'criteria.keyframeInterval': 'Keyframe Interval',
+        'criteria.gopStructure': 'GOP Structure',
+        'criteria.faststart': 'Fast Start (moov before mdat)',
+        'criteria.tracks': 'Track Count',
+        'criteria.rotation': 'Rotation',
+
+        'values.none': 'None',
+        'values.unknown': 'Unknown',
+        'values.constant': 'Constant',
+        'values.untagged': 'untagged',
+        'values.untaggedRange': 'Untagged',
+        'values.limited': 'Limited',
+        'values.full': 'Full',
+        'values.fps': '{fps} fps',
+        'values.frames': '{count} frames',
+        'values.streams': '{count} stream(s)',
+        'values.vfr': 'VFR (avg {fps} fps)',
+        'values.vfrShort': 'VFR, avg {fps}',
+        'values.serverCheckRequired': 'Server check required',
+
+        'details.title': '🔍 Detailed Technical Analysis',
+        'details.fileName': 'File Name',
+        'details.fileSize': 'File Size',
+        'details.exactDuration': 'Exact Duration',
+        'details.duration': 'Duration',
+        'details.resolution': 'Resolution',
+        'details.frameRate': 'Frame Rate',
+        'details.frameCount': 'Frame Count ({method})',
+        'details.codec': 'Codec',
+        'details.pixelFormat': 'Pixel Format',
+        'details.bitDepth': '{depth}-bit',
+        'details.color': 'Color (Matrix / Primaries / Transfer)',
+        'details.colorRange': 'Color Range',
+        'details.hdr': 'HDR Metadata',
+        'details.mastering': 'mastering {min}–{max} nits',
+        'details.audio': 'Audio',
+        'details.loudness': 'Loudness (EBU R128)',
+        'details.container': 'Container',
+        'details.containerFormat': 'Container Format',
+        'details.faststart': 'moov before mdat',
+        'details.notFaststart': 'moov after mdat',
+        'details.rotation': 'Rotation',
+        'details.rotationValue': '{degrees}° (displayed as {width}×{height})',
+        'details.gop': 'Keyframes',
+        'details.gopValue': '{count} keyframes, max interval {seconds}s, up to {bFrames} consecutive B-frames',
+        'details.brand': 'brand {brand}',
+        'details.bitrate': 'Bitrate',
+        'details.timescale': 'Timescale',
+        'details.ticks': '{timescale} ticks/s',
+        'details.displayed': 'displayed {width}×{height}',
+        'details.estimatedTitle': '⚠️ Estimated Frame Count:',
+        'details.estimatedText': 'The container does not store a frame count, so it was <strong>estimated</strong> from duration × frame rate. Use packet count or full decode verification for an exact count.',
+        'details.ffmpegTitle': '✅ Complete FFmpeg Analysis:',
+        'details.ffmpegText': 'All displayed values are extracted directly from the video using FFmpeg. Frame count method: <strong>{method}</strong>.',
+        'details.timingTitle': '⚠️ Frame Timing Anomalies:',
+        'details.missingFrames': '• {count} frame(s) missing after {time}s (frame {frame})',
+        'details.duplicatedFrame': '• Duplicated frame {frame} at {time}s',
+
+        'frameCountMethods.metadata': 'container metadata',
+        'frameCountMethods.estimated': 'estimated',
+        'frameCountMethods.unknown': 'unknown',
+        'frameCountMethods.packets': 'packet count',
+        'frameCountMethods.decode': 'full decode',
+        'frameCountMethods.sampleTable': 'sample table',
+
+        'preflight.title': '🔍 Browser Preflight',
+        'preflight.noteTitle': '🔒 Checked in your browser:',
+        'preflight.noteText': 'The video was not uploaded. Values come from the MP4/MOV box structure (moov, stsd, stts, stsz) and only they were sent to the server to be checked. Criteria marked 🔒 need the pixel data or audio and can only be checked by the server.',
+
+        'thumbnails.frame': 'Frame {frame} / {total}',
+        'thumbnails.lastDecodable': 'Last decodable frame',
+        'thumbnails.title': '🎞️ First & Last Frame',
+        'thumbnails.first': 'First frame',
+        'thumbnails.last': 'Last frame',
+        'thumbnails.contactSheet': '🎞️ Contact Sheet',
+        'thumbnails.notStored': 'These images were generated for this result only and are not stored on the server.',
+
+        'fix.title': '🛠️ Fixed Video',
+        'fix.intro': 'The video was transcoded and re-checked against the contest rules. Reproduce it locally with:',
+        'fix.copy': '📋 Copy Command',
+        'fix.download': '⬇️ Download {fileName}',
+        'fix.stillFailing': 'The transcoded video still fails some criteria, so it is not offered for download.',
+
+        'history.title': '🕘 My history',
+        'history.clearAll': 'Delete all my entries',
+        'history.view': 'View',
+        'history.delete': 'Delete',
+        'history.confirmClear': 'Delete your whole history?',
+        'history.cached': '♻️ Identical file already checked on {date}: cached result shown.',
+        'history.checkAgain': 'Check again',
+        'history.checkedOn': '🕘 Checked on {date} with {profile} (v{version})',
+
+        'compare.compliant': 'COMPLIANT',
+        'compare.notCompliant': 'NOT COMPLIANT',
+        'compare.verdict': 'Before: {before} → After: {after}',
+        'compare.fixed': '✅ Fixed: {criteria}',
+        'compare.regressed': '⚠️ Regressed: {criteria}',
+        'compare.metadataChanges': '🔀 Metadata Changes ({count})',
+        'compare.unchangedFields': '{count} unchanged fields',
+        'compare.noDifference': 'No difference',
+        'compare.identical': '🟰 Pixel-identical frames: only the container or metadata changed',
+        'compare.encodeOnly': '🎞️ Same images: only the encode differs',
+        'compare.contentChanged': '🖼️ Visual content changed on {count} frame(s)',
+        'compare.similarityTitle': '🔬 Visual Similarity ({count} frames)',
+        'compare.psnr': 'PSNR (avg / min)',
+        'compare.ssim': 'SSIM (avg / min)',
+        'compare.worstFrames': 'Most different frames:',
+        'compare.worstFrame': 'Frame {frame} ({time}s): SSIM {ssim}',
+
+        'watch.title': 'Watch Folders',
+        'watch.loading': 'Loading watcher status...',
+        'watch.loadError': 'Unable to load the watcher status',
+        'watch.disabled': 'Folder watching is not enabled on this server (set WATCH_FOLDERS).',
+        'watch.summary': 'New renders are checked automatically with {profile} (v{version})',
+        'watch.rejectEnabled': '(failing files are moved to rejected/)',
+        'watch.detected': '📥 {file} detected, waiting for the render to finish...',
+        'watch.analyzing': '🔬 Analyzing {file}...',
+        'watch.empty': 'No file checked yet',
+        'watch.file': 'File',
+        'watch.status': 'Status',
+        'watch.details': 'Details',
+        'watch.checkedAt': 'Checked',
+        'watch.pass': 'Compliant',
+        'watch.fail': 'Not compliant',
+        'watch.error': 'Error',
+        'watch.movedToRejected': 'Moved to rejected/',
+        'watch.back': '🎬 Back to the checker',
+
+        'units.bytes': 'Bytes',
+        'units.kb': 'KB',
+        'units.mb': 'MB',
+        'units.gb': 'GB'
+    },
+    fr: {
+        'language.label': 'Langue',
+
+        'header.unofficial': '(non officiel)',
+        'header.tagline': 'Vérifiez que votre animation respecte le règlement du concours',
+
+        'privacy.title': '🔒 Confidentialité et sécurité',
+        'privacy.notStored': '<strong>Vos vidéos ne sont PAS enregistrées ni conservées sur notre serveur.</strong>',
+        'privacy.temporary': 'Les vidéos envoyées sont écrites dans un fichier temporaire supprimé dès la fin de l\'analyse. Si vous préférez, utilisez la <strong>vérification dans le navigateur</strong> : votre vidéo est lue localement et ne quitte jamais votre ordinateur ; seules les valeurs lues (résolution, codec, nombre d\'images...) sont envoyées pour être comparées aux règles.',
+        'privacy.history': 'L\'historique est facultatif : seuls l\'empreinte SHA-256 du fichier, ses métadonnées et les résultats sont conservés, et vous pouvez les supprimer à tout moment.',
+
+        'options.profile': 'Règlement',
+        'options.frameCheck': 'Vérification des images',
+        'options.frameCheck.metadata': 'Métadonnées du conteneur (rapide)',
+        'options.frameCheck.packets': 'Comptage des paquets',
+        'options.frameCheck.decode': 'Décodage complet (plus lent, exact)',
+        'options.preflight': 'Vérification dans le navigateur (sans envoi)',
+        'options.compare': 'Comparer deux versions (avant, après)',
+        'options.similarity': 'Mesurer le PSNR/SSIM lors de la comparaison (plus lent)',
+        'options.history': 'Enregistrer les résultats dans mon historique',
+
+        'upload.title': 'Glissez-déposez votre vidéo ici',
+        'upload.hint': 'ou cliquez pour la choisir (plusieurs fichiers pour une vérification par lot)',
+
+        'profile.loadError': 'Impossible de charger le règlement depuis le serveur',
+
+        'results.title': '🔍 Résultats de la vérification',
+        'results.exportReport': '📄 Exporter le rapport',
+        'results.certificate': 'Certificat (HTML/PDF)',
+        'results.fix': '🛠️ Corriger',
+        'results.serverCheck': '🔬 Lancer les vérifications restantes sur le serveur',
+        'results.reset': 'Vérifier une autre vidéo',
+        'results.cancel': 'Annuler',
+        'footer.source': '📦 Code source',
+
+        'loading.analyzing': 'Analyse de la vidéo...',
+        'loading.comparing': 'Comparaison des vidéos...',
+        'loading.preflight': 'Lecture de la structure de la vidéo dans votre navigateur...',
+        'loading.fixing': 'Transcodage de la vidéo selon le règlement...',
+        'loading.historyLookup': 'Recherche d\'un fichier identique dans l\'historique...',
+        'loading.resuming': 'Reprise de l\'envoi ({received}/{total} morceaux déjà reçus)...',
+
+        'stages.upload': 'Envoi',
+        'stages.queued': 'En file d\'attente',
+        'stages.queuePosition': '{label} (position {position})',
+        'stages.probe': 'Lecture des métadonnées',
+        'stages.hash': 'Calcul du SHA-256',
+        'stages.first': 'Analyse de la première vidéo',
+        'stages.second': 'Analyse de la seconde vidéo',
+        'stages.similarity': 'Mesure du PSNR/SSIM',
+        'stages.frames': 'Comptage des images',
+        'stages.content': 'Analyse du contenu des images',
+        'stages.audio': 'Mesure de la sonie',
+        'stages.thumbnails': 'Extraction des vignettes',
+        'stages.gop': 'Lecture des images clés',
+        'stages.validate': 'Validation',
+        'stages.transcode': 'Transcodage',
+        'stages.verify': 'Nouvelle vérification de la vidéo corrigée',
+
+        'errors.serverError': 'Erreur serveur : {status}',
+        'errors.analyze': 'Erreur lors de l\'analyse de la vidéo',
+        'errors.analyzeBatch': 'Erreur lors de l\'analyse des vidéos',
+        'errors.compare': 'Erreur lors de la comparaison des vidéos',
+        'errors.fix': 'Erreur lors de la correction de la vidéo',
+        'errors.readVideo': 'Erreur lors de la lecture de la vidéo',
+        'errors.analysis': 'Erreur d\'analyse',
+        'errors.historyEntry': 'Impossible de charger l\'entrée de l\'historique',
+        'errors.notAnalyzed': 'Non analysé',
+        'errors.cancelled': 'Annulé',
+        'errors.fileTooLarge': 'Fichier trop volumineux (150 Mo maximum pour l\'analyse)',
+        'errors.batchFileTooLarge': '{fileName} : fichier trop volumineux (150 Mo maximum pour l\'analyse)',
+        'errors.compareTwoFiles': 'Sélectionnez exactement deux fichiers à comparer : le rendu précédent et le nouveau',
+        'errors.rulesNotLoaded': 'Le règlement n\'est pas chargé',
+        'errors.PREFLIGHT_NO_MOOV': 'Aucune boîte moov : ce n\'est pas un fichier MP4/MOV, ou le fichier est incomplet',
+        'errors.PREFLIGHT_FRAGMENTED': 'Les MP4 fragmentés ne peuvent pas être vérifiés dans le navigateur, utilisez la vérification sur le serveur',
+        'errors.PREFLIGHT_NO_SAMPLES': 'La piste vidéo ne contient aucun échantillon',
+        'errors.PREFLIGHT_INVALID_BOX': 'Boîte "{type}" invalide ou tronquée à la position {offset}',
+        'errors.NO_VIDEO_STREAM': 'Aucune piste vidéo trouvée',
+
+        'advice.title': '💡 Que faire :',
+        'advice.NO_VIDEO_STREAM': 'Le fichier ne contient aucune piste vidéo (audio seul, ou conteneur de séquence d\'images). Exportez de nouveau l\'animation en vidéo.',
+        'advice.UNSUPPORTED_TYPE': 'Seuls les fichiers MP4, MOV et AVI sont acceptés. Exportez l\'animation dans l\'un de ces formats.',
+        'advice.FILE_TOO_LARGE': 'Le fichier dépasse 150 Mo. Exportez-le de nouveau avec un débit plus faible, ou utilisez la vérification dans le navigateur, qui n\'a pas de limite de taille.',
+        'advice.PROBE_FAILED': 'Le fichier est illisible : il est probablement corrompu ou tronqué. Vérifiez que l\'export ou le téléchargement est terminé, puis réessayez.',
+        'advice.FFPROBE_MISSING': 'FFprobe n\'est pas installé sur le serveur. Contactez l\'administrateur, ou utilisez la vérification dans le navigateur en attendant.',
+        'advice.FFMPEG_MISSING': 'FFmpeg n\'est pas installé sur le serveur. Contactez l\'administrateur, ou utilisez la vérification dans le navigateur en attendant.',
+        'advice.FFMPEG_FAILED': 'FFmpeg n\'a pas pu décoder le fichier. Il est peut-être corrompu, ou utilise un codec que le serveur ne prend pas en charge.',
+        'advice.INSUFFICIENT_STORAGE': 'Le serveur manque d\'espace disque. Réessayez dans quelques minutes.',
+        'advice.UPLOAD_NOT_FOUND': 'La session d\'envoi a expiré. Sélectionnez de nouveau le fichier pour relancer l\'envoi.',
+        'advice.UNKNOWN_PROFILE': 'Le règlement sélectionné n\'existe plus sur le serveur. Rechargez la page.',
+        'advice.RATE_LIMITED': 'Vous avez lancé trop de vérifications en peu de temps. Patientez un moment avant de réessayer, ou utilisez la vérification dans le navigateur en attendant.',
+        'advice.PROBE_TIMEOUT': 'Le serveur a renoncé à lire le fichier. Il est peut-être endommagé, ou le serveur est occupé : réessayez dans quelques minutes.',
+        'advice.PREFLIGHT_NO_MOOV': 'Le navigateur n\'a pas trouvé l\'index de la vidéo. Vérifiez que l\'export est terminé, ou lancez la vérification sur le serveur.',
+        'advice.PREFLIGHT_FRAGMENTED': 'Les MP4 fragmentés ne peuvent être vérifiés que par le serveur. Décochez la vérification dans le navigateur et réessayez.',
+        'advice.PREFLIGHT_INVALID_BOX': 'Le fichier est probablement tronqué. Vérifiez que l\'export ou le téléchargement est terminé, puis réessayez.',
+        'advice.checklistTitle': '🔧 Vérifiez que :',
+        'advice.checklist': '• le serveur Node.js est démarré<br>• FFmpeg est installé sur le serveur<br>• le fichier est une vidéo valide (MP4/MOV)<br>• la taille ne dépasse pas 150 Mo',
+
+        'table.criterion': 'Critère',
+        'table.required': 'Exigence',
+        'table.yourVideo': 'Votre vidéo',
+        'table.status': 'Statut',
+        'table.file': 'Fichier',
+        'table.overall': 'Global',
+        'table.before': 'Avant',
+        'table.after': 'Après',
+        'table.field': 'Champ',
+
+        'status.notCompliant': 'Vidéo NON CONFORME - Voir le détail ci-dessus',
+        'status.preflightPassed': 'Vérification dans le navigateur réussie - {count} critères restent à vérifier sur le serveur',
+        'status.preflightPassedOne': 'Vérification dans le navigateur réussie - 1 critère reste à vérifier sur le serveur',
+        'status.compliant': 'Vidéo CONFORME au règlement !',
+        'status.warnings': '({count} avertissement(s))',
+        'status.batch': '{passed}/{total} vidéos CONFORMES au règlement',
+
+        'criteria.resolution': 'Résolution',
+        'criteria.format': 'Format',
+        'criteria.fileSize': 'Taille du fichier',
+        'criteria.frameRate': 'Fréquence d\'images',
+        'criteria.frameCount': 'Nombre d\'images',
+        'criteria.frameTiming': 'Régularité des images',
+        'criteria.codec': 'Codec',
+        'criteria.audio': 'Audio',
+        'criteria.pixelFormat': 'Format de pixel',
+        'criteria.colorimetry': 'Espace colorimétrique',
+        'criteria.colorRange': 'Plage de couleurs',
+        'criteria.hdr': 'HDR',
+        'criteria.blackFrames': 'Images noires',
+        'criteria.frozenFrames': 'Images figées',
+        'criteria.letterbox': 'Bandes noires (letterbox / pillarbox)',
+        'criteria.audioFormat': 'Format audio',
+        'criteria.loudness': 'Sonie intégrée',
+        'criteria.truePeak': 'Niveau crête (true peak)',
+        'criteria.avDuration': 'Durée audio/vidéo',
+        'criteria.codecProfile': 'Profil du codec',
+        'criteria.codecLevel': 'Niveau du codec',
+        'criteria.keyframeInterval': 'Intervalle des images clés',
+        'criteria.gopStructure': 'Structure des GOP',
+        'criteria.faststart': 'Lecture progressive (moov avant mdat)',
+        'criteria.tracks': 'Nombre de pistes',
+        'criteria.rotation': 'Rotation',
+
+        'values.none': 'Aucun',
+        'values.unknown': 'Inconnu',
+        'values.constant': 'Constante',
+        'values.untagged': 'non renseigné',
+        'values.untaggedRange': 'Non renseignée',
+        'values.limited': 'Limitée',
+        'values.full': 'Complète',
+        'values.fps': '{fps} i/s',
+        'values.frames': '{count} images',
+        'values.streams': '{count} flux',
+        'values.vfr': 'VFR (moyenne {fps} i/s)',
+        'values.vfrShort': 'VFR, moyenne {fps}',
+        'values.serverCheckRequired': 'Vérification serveur requise',
+
+        'details.title': '🔍 Analyse technique détaillée',
+        'details.fileName': 'Nom du fichier',
+        'details.fileSize': 'Taille du fichier',
+        'details.exactDuration': 'Durée exacte',
+        'details.duration': 'Durée',
+        'details.resolution': 'Résolution',
+        'details.frameRate': 'Fréquence d\'images',
+        'details.frameCount': 'Nombre d\'images ({method})',
+        'details.codec': 'Codec',
+        'details.pixelFormat': 'Format de pixel',
+        'details.bitDepth': '{depth} bits',
+        'details.color': 'Couleur (matrice / primaires / transfert)',
+        'details.colorRange': 'Plage de couleurs',
+        'details.hdr': 'Métadonnées HDR',
+        'details.mastering': 'mastering {min}–{max} nits',
+        'details.audio': 'Audio',
+        'details.loudness': 'Sonie (EBU R128)',
+        'details.container': 'Conteneur',
+        'details.containerFormat': 'Format du conteneur',
+        'details.faststart': 'moov avant mdat',
+        'details.notFaststart': 'moov après mdat',
+        'details.rotation': 'Rotation',
+        'details.rotationValue': '{degrees}° (affichée en {width}×{height})',
+        'details.gop': 'Images clés',
+        'details.gopValue': "{count} images clés, intervalle max {seconds}s, jusqu'à {bFrames} images B consécutives",
+        'details.brand': 'marque {brand}',
+        'details.bitrate': 'Débit',
+        'details.timescale': 'Échelle de temps',
+        'details.ticks': '{timescale} unités/s',
+        'details.displayed': 'affichée en {width}×{height}',
+        'details.estimatedTitle': '⚠️ Nombre d\'images estimé :',
+        'details.estimatedText': 'Le conteneur n\'indique pas le nombre d\'images : il a été <strong>estimé</strong> à partir de la durée × la fréquence d\'images. Utilisez le comptage des paquets ou le décodage complet pour un compte exact.',
+        'details.ffmpegTitle': '✅ Analyse FFmpeg complète :',
+        'details.ffmpegText': 'Toutes les valeurs affichées sont extraites directement de la vidéo avec FFmpeg. Méthode de comptage des images : <strong>{method}</strong>.',
+        'details.timingTitle': '⚠️ Anomalies de régularité des images :',
+        'details.missingFrames': '• {count} image(s) manquante(s) après {time}s (image {frame})',
+        'details.duplicatedFrame': '• Image {frame} dupliquée à {time}s',
+
+        'frameCountMethods.metadata': 'métadonnées du conteneur',
+        'frameCountMethods.estimated': 'estimé',
+        'frameCountMethods.unknown': 'inconnu',
+        'frameCountMethods.packets': 'comptage des paquets',
+        'frameCountMethods.decode': 'décodage complet',
+        'frameCountMethods.sampleTable': 'table des échantillons',
+
+        'preflight.title': '🔍 Vérification dans le navigateur',
+        'preflight.noteTitle': '🔒 Vérifié dans votre navigateur :',
+        'preflight.noteText': 'La vidéo n\'a pas été envoyée. Les valeurs proviennent de la structure des boîtes MP4/MOV (moov, stsd, stts, stsz) et seules elles ont été envoyées au serveur pour être vérifiées. Les critères marqués 🔒 nécessitent les images ou l\'audio et ne peuvent être vérifiés que par le serveur.',
+
+        'thumbnails.frame': 'Image {frame} / {total}',
+        'thumbnails.lastDecodable': 'Dernière image décodable',
+        'thumbnails.title': '🎞️ Première et dernière image',
+        'thumbnails.first': 'Première image',
+        'thumbnails.last': 'Dernière image',
+        'thumbnails.contactSheet': '🎞️ Planche contact',
+        'thumbnails.notStored': 'Ces images ont été générées pour ce résultat uniquement et ne sont pas conservées sur le serveur.',
+
+        'fix.title': '🛠️ Vidéo corrigée',
+        'fix.intro': 'La vidéo a été transcodée puis vérifiée de nouveau selon le règlement. Pour la reproduire sur votre machine :',
+        'fix.copy': '📋 Copier la commande',
+        'fix.download': '⬇️ Télécharger {fileName}',
+        'fix.stillFailing': 'La vidéo transcodée ne respecte toujours pas certains critères : elle n\'est pas proposée au téléchargement.',
+
+        'history.title': '🕘 Mon historique',
+        'history.clearAll': 'Supprimer toutes mes entrées',
+        'history.view': 'Voir',
+        'history.delete': 'Supprimer',
+        'history.confirmClear': 'Supprimer tout votre historique ?',
+        'history.cached': '♻️ Fichier identique déjà vérifié le {date} : résultat enregistré affiché.',
+        'history.checkAgain': 'Vérifier de nouveau',
+        'history.checkedOn': '🕘 Vérifié le {date} avec {profile} (v{version})',
+
+        'compare.compliant': 'CONFORME',
+        'compare.notCompliant': 'NON CONFORME',
+        'compare.verdict': 'Avant : {before} → Après : {after}',
+        'compare.fixed': '✅ Corrigé : {criteria}',
+        'compare.regressed': '⚠️ Dégradé : {criteria}',
+        'compare.metadataChanges': '🔀 Métadonnées modifiées ({count})',
+        'compare.unchangedFields': '{count} champs inchangés',
+        'compare.noDifference': 'Aucune différence',
+        'compare.identical': '🟰 Images identiques au pixel près : seuls le conteneur ou les métadonnées ont changé',
+        'compare.encodeOnly': '🎞️ Mêmes images : seul l\'encodage diffère',
+        'compare.contentChanged': '🖼️ Contenu visuel modifié sur {count} image(s)',
+        'compare.similarityTitle': '🔬 Similarité visuelle ({count} images)',
+        'compare.psnr': 'PSNR (moyen / min)',
+        'compare.ssim': 'SSIM (moyen / min)',
+        'compare.worstFrames': 'Images les plus différentes :',
+        'compare.worstFrame': 'Image {frame} ({time}s) : SSIM {ssim}',
+
+        'watch.title': 'Dossiers surveillés',
+        'watch.loading': 'Chargement de la surveillance...',
+        'watch.loadError': "Impossible de charger l'état de la surveillance",
+        'watch.disabled': "La surveillance de dossiers n'est pas activée sur ce serveur (WATCH_FOLDERS).",
+        'watch.summary': 'Les nouveaux rendus sont vérifiés automatiquement avec {profile} (v{version})',
+        'watch.rejectEnabled': '(les fichiers non conformes sont déplacés dans rejected/)',
+        'watch.detected': '📥 {file} détecté, attente de la fin du rendu...',
+        'watch.analyzing': '🔬 Analyse de {file}...',
+        'watch.empty': 'Aucun fichier vérifié pour le moment',
+        'watch.file': 'Fichier',
+        'watch.status': 'Statut',
+        'watch.details': 'Détails',
+        'watch.checkedAt': 'Vérifié le',
+        'watch.pass': 'Conforme',
+        'watch.fail': 'Non conforme',
+        'watch.error': 'Erreur',
+        'watch.movedToRejected': 'Déplacé dans rejected/',
+        'watch.back': '🎬 Retour au vérificateur',
+
+        'units.bytes': 'octets',
+        'units.kb': 'Ko',
+        'units.mb': 'Mo',
+        'units.gb': 'Go'
+    }
+};
+
+const I18N_LANGUAGES = {
+    en: 'English',
+    fr: 'Français'
+};
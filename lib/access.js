@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// Clés d'API facultatives des clients automatisés, au format "nom:clé" ou "clé"
+// séparées par des virgules. Seule l'empreinte des clés est gardée en mémoire.
+function parseApiKeys(value) {
+    const keys = new Map();
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+        const separator = entry.indexOf(':');
+        const name = separator > 0 ? entry.substring(0, separator) : `key${index + 1}`;
+        const key = separator > 0 ? entry.substring(separator + 1) : entry;
+        keys.set(hashKey(key), name);
+    });
+    return keys;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Middleware : une requête sans clé reste anonyme (limites par IP) ; une clé
+// fournie (X-API-Key ou Authorization: Bearer) doit être connue
+function authenticateApiKey(keys) {
+    return (req, res, next) => {
+        const authorization = req.get('Authorization') || '';
+        const key = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null);
+        if (!key) {
+            req.apiClient = null;
+            return next();
+        }
+
+        const name = keys.get(hashKey(key));
+        if (!name) {
+            return sendError(res, 'INVALID_API_KEY');
+        }
+        req.apiClient = name;
+        next();
+    };
+}
+
+// Compteur par fenêtre fixe : au plus `limit` unités par identifiant et par fenêtre
+// (une requête compte pour 1, ou pour son coût : un lot pour son nombre de fichiers)
+class RateLimiter {
+    constructor({ limit, window }) {
+        this.limit = limit;
+        this.window = window;
+        this.counters = new Map();
+
+        // Les compteurs des fenêtres écoulées sont purgés régulièrement
+        this.cleanupTimer = setInterval(() => this.cleanup(), window);
+        this.cleanupTimer.unref();
+    }
+
+    hit(id, cost = 1) {
+        const now = Date.now();
+        let counter = this.counters.get(id);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + this.window };
+            this.counters.set(id, counter);
+        }
+        counter.count += cost;
+
+        return {
+            allowed: counter.count <= this.limit,
+            limit: this.limit,
+            remaining: Math.max(0, this.limit - counter.count),
+            resetAt: counter.resetAt
+        };
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [id, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(id);
+            }
+        }
+    }
+}
+
+// Middleware pour les routes coûteuses (lancement de FFmpeg/FFprobe) : les
+// clients avec une clé ont leur propre quota, les autres sont limités par IP.
+// À placer après authenticateApiKey et avant Multer, pour refuser avant l'envoi.
+// cost(req) : unités décomptées pour la requête (1 par défaut)
+function rateLimit({ perIp, perKey, cost = () => 1 }) {
+    return (req, res, next) => {
+        const limiter = req.apiClient ? perKey : perIp;
+        const result = limiter.hit(req.apiClient ? `key:${req.apiClient}` : `ip:${req.ip}`, cost(req));
+        const resetSeconds = Math.ceil((result.resetAt - Date.now()) / 1000);
+
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+        if (!result.allowed) {
+            res.set('Retry-After', String(resetSeconds));
+            return sendError(res, 'RATE_LIMITED', `${result.limit} requests per ${limiter.window / 1000}s`);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    parseApiKeys,
+    authenticateApiKey,
+    RateLimiter,
+    rateLimit
+};
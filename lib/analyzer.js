@@ -0,0 +1,147 @@
+const { runFFprobeJSON, parseRational, getSideData } = require('./ffprobe');
+const { verifyFrames } = require('./frames');
+const { describeAudioStreams } = require('./audio');
+const { describeColor } = require('./color');
+const { VideoCheckerError } = require('./errors');
+
+// Écart maximal (en fps) entre r_frame_rate et avg_frame_rate pour un flux CFR
+const FRAME_RATE_MISMATCH_TOLERANCE = 0.01;
+
+// Sortie JSON de FFprobe : contrairement au format texte, elle conserve
+// les side data des flux (métadonnées HDR, matrice d'affichage...)
+async function probeMetadata(filePath, options = {}) {
+    const metadata = await runFFprobeJSON(['-show_format', '-show_streams', filePath], options);
+    return {
+        streams: metadata.streams || [],
+        format: metadata.format || {}
+    };
+}
+
+// Fonction pour analyser la vidéo avec FFmpeg.
+// options.frameCheck: 'metadata' (défaut), 'packets' ou 'decode'
+// options.signal: AbortSignal pour interrompre FFprobe
+// options.metadata: sortie de probeMetadata déjà obtenue (évite un second FFprobe)
+async function analyzeVideoWithFFmpeg(filePath, options = {}) {
+    const frameCheck = options.frameCheck || 'metadata';
+    const onProgress = options.onProgress || (() => {});
+    const metadata = options.metadata || await probeMetadata(filePath, { signal: options.signal });
+
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    if (!videoStream) {
+        throw new VideoCheckerError('NO_VIDEO_STREAM');
+    }
+
+    const containerFrameCount = parseInt(videoStream.nb_frames) || null;
+
+    let videoInfo;
+    try {
+        // Fichiers tronqués ou mal muxés : chaque champ absent ou illisible est
+        // remplacé par la meilleure valeur disponible, sinon null
+        const avgFrameRate = parseRational(videoStream.avg_frame_rate);
+        const frameRate = firstFinite(parseRational(videoStream.r_frame_rate), avgFrameRate); // "24/1" -> 24
+        const videoDuration = parseFloat(videoStream.duration);
+        const duration = firstFinite(
+            parseFloat(metadata.format.duration),
+            videoDuration,
+            containerFrameCount && frameRate ? containerFrameCount / frameRate : NaN
+        );
+        const estimatedFrameCount = duration !== null && frameRate ? Math.round(duration * frameRate) : null;
+
+        videoInfo = {
+            duration: roundTo(duration, 2),
+            width: videoStream.width || null,
+            height: videoStream.height || null,
+            frameRate: roundTo(frameRate, 2),
+            avgFrameRate: roundTo(firstFinite(avgFrameRate), 2),
+            frameCount: containerFrameCount || estimatedFrameCount,
+            // 'metadata' = nb_frames du conteneur, 'estimated' = durée × frame rate
+            frameCountMethod: containerFrameCount ? 'metadata' : (estimatedFrameCount !== null ? 'estimated' : 'unknown'),
+            variableFrameRate: frameRate !== null && Number.isFinite(avgFrameRate) &&
+                Math.abs(frameRate - avgFrameRate) > FRAME_RATE_MISMATCH_TOLERANCE,
+            codec: videoStream.codec_name || null,
+            profile: videoStream.profile || null,
+            level: getCodecLevel(videoStream),
+            // Rotation à appliquer à l'affichage, en degrés dans le sens horaire
+            rotation: getRotation(videoStream),
+            tracks: countTracks(metadata.streams),
+            bitRate: parseInt(metadata.format.bit_rate) || null,
+            format: metadata.format.format_name || null,
+            color: describeColor(videoStream),
+            videoDuration: roundTo(firstFinite(videoDuration), 3),
+            audioStreams: describeAudioStreams(metadata.streams)
+        };
+    } catch (parseError) {
+        throw new VideoCheckerError('PROBE_FAILED', `unreadable metadata (${parseError.message})`);
+    }
+
+    // Mode approfondi : comptage réel des frames au lieu de faire confiance au conteneur
+    if (frameCheck !== 'metadata') {
+        onProgress('frames', 0);
+        const verification = await verifyFrames(filePath, videoStream.index, videoInfo.frameRate, frameCheck, {
+            signal: options.signal
+        });
+        onProgress('frames', 100);
+
+        videoInfo.containerFrameCount = containerFrameCount || null;
+        videoInfo.frameCount = verification.frameCount;
+        videoInfo.frameCountMethod = frameCheck;
+        videoInfo.variableFrameRate = videoInfo.variableFrameRate || verification.irregularDeltas > 0;
+        videoInfo.frameTiming = {
+            droppedFrames: verification.droppedFrames,
+            duplicatedFrames: verification.duplicatedFrames,
+            dropped: verification.dropped,
+            duplicated: verification.duplicated
+        };
+    }
+
+    return videoInfo;
+}
+
+// FFprobe donne level_idc : 42 pour le niveau H.264 4.2, 153 (30 × 5.1) pour
+// le niveau HEVC 5.1 ; -99 ou absent quand il est inconnu
+function getCodecLevel(videoStream) {
+    const level = parseInt(videoStream.level);
+    if (!Number.isFinite(level) || level <= 0) return null;
+    if (videoStream.codec_name === 'h264') return level / 10;
+    if (videoStream.codec_name === 'hevc') return roundTo(level / 30, 1);
+    return null;
+}
+
+// Matrice d'affichage (FFprobe récent : angle anti-horaire, ex: -90 pour une
+// vidéo de téléphone tenue verticalement) ou ancien tag "rotate" (sens horaire)
+function getRotation(videoStream) {
+    const sideData = getSideData(videoStream, 'Display Matrix');
+    let degrees = 0;
+    if (sideData && Number.isFinite(Number(sideData.rotation))) {
+        degrees = -Number(sideData.rotation);
+    } else if (videoStream.tags && videoStream.tags.rotate !== undefined) {
+        degrees = Number(videoStream.tags.rotate) || 0;
+    }
+    return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+// Nombre de pistes par type ; une pochette (attached_pic) n'est pas une piste vidéo
+function countTracks(streams) {
+    const tracks = { video: 0, audio: 0, subtitle: 0, data: 0 };
+    streams.forEach(stream => {
+        const isCoverArt = stream.disposition && stream.disposition.attached_pic === 1;
+        if (tracks[stream.codec_type] !== undefined && !isCoverArt) {
+            tracks[stream.codec_type]++;
+        }
+    });
+    return tracks;
+}
+
+// Première valeur finie et positive de la liste, sinon null
+function firstFinite(...values) {
+    const value = values.find(candidate => Number.isFinite(candidate) && candidate > 0);
+    return value !== undefined ? value : null;
+}
+
+function roundTo(value, decimals) {
+    if (value === null) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = { probeMetadata, analyzeVideoWithFFmpeg, getRotation, countTracks };
@@ -0,0 +1,51 @@
+const { runFFmpeg } = require('./ffmpeg');
+
+// Informations de chaque flux audio retourné par FFprobe
+function describeAudioStreams(streams) {
+    return streams
+        .filter(stream => stream.codec_type === 'audio')
+        .map(stream => {
+            const duration = parseFloat(stream.duration);
+            return {
+                index: stream.index,
+                codec: stream.codec_name || null,
+                channels: stream.channels || null,
+                channelLayout: stream.channel_layout || null,
+                sampleRate: parseInt(stream.sample_rate) || null,
+                duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null
+            };
+        });
+}
+
+// Mesure la sonie EBU R128 (intégrée, LRA et true peak) du premier flux audio
+// (options transmises à runFFmpeg : signal, duration, onProgress)
+async function measureLoudness(filePath, options = {}) {
+    const log = await runFFmpeg(
+        ['-i', filePath, '-map', '0:a:0', '-af', 'ebur128=peak=true', '-vn', '-f', 'null', '-'],
+        options
+    );
+
+    // Seul le résumé final est retenu (les lignes par frame contiennent aussi "I:")
+    const summary = log.slice(log.lastIndexOf('Summary:'));
+    const readValue = (regex) => {
+        const match = summary.match(regex);
+        if (!match) return null;
+        return match[1] === '-inf' ? -Infinity : parseFloat(match[1]);
+    };
+
+    return {
+        integrated: readValue(/I:\s+(-?[\d.]+|-inf) LUFS/),
+        range: readValue(/LRA:\s+(-?[\d.]+) LU/),
+        truePeak: readValue(/Peak:\s+(-?[\d.]+|-inf) dBFS/)
+    };
+}
+
+function needsLoudness(criteria) {
+    return Boolean(criteria.audio && criteria.audio.loudness);
+}
+
+module.exports = {
+    describeAudioStreams,
+    measureLoudness,
+    needsLoudness
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { probeMetadata, analyzeVideoWithFFmpeg } = require('./analyzer');
+const { validateVideoSpecs } = require('./validator');
+const { hasContentCriteria, analyzeContent } = require('./content');
+const { needsLoudness, measureLoudness } = require('./audio');
+const { extractThumbnails } = require('./thumbnails');
+const { describeContainer } = require('./container');
+const { needsGopAnalysis, analyzeGop } = require('./gop');
+
+const MIME_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.avi': 'video/x-msvideo'
+};
+
+// Analyse un fichier vidéo sur disque et le valide selon le profil.
+// fileMeta permet de fournir le nom d'origine, la taille et le type MIME
+// (ex: upload HTTP) ; sinon ils sont déduits du fichier lui-même.
+// options : frameCheck (voir analyzeVideoWithFFmpeg), signal (AbortSignal)
+// et onProgress(stage, percent) pour suivre chaque étape de l'analyse ;
+// options.thumbnails ajoute les vignettes de la planche contact au résultat,
+// options.locale choisit la langue des textes de validation (anglais par défaut).
+async function checkVideoFile(filePath, profile, fileMeta = {}, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const runOptions = { signal: options.signal };
+
+    onProgress('probe', 0);
+    const probe = await probeMetadata(filePath, runOptions);
+    const videoInfo = await analyzeVideoWithFFmpeg(filePath, { ...options, metadata: probe, onProgress });
+    onProgress('probe', 100);
+
+    // Empreinte SHA-256 : identifie sans ambiguïté le fichier vérifié dans les rapports
+    onProgress('hash', 0);
+    const sha256 = await hashFile(filePath, runOptions);
+    onProgress('hash', 100);
+
+    const fullVideoInfo = {
+        ...videoInfo,
+        fileName: fileMeta.fileName || path.basename(filePath),
+        fileSize: fileMeta.fileSize !== undefined ? fileMeta.fileSize : fs.statSync(filePath).size,
+        mimeType: fileMeta.mimeType || getMimeType(filePath),
+        sha256,
+        // Ordre des boîtes moov/mdat : lecture des seuls en-têtes, toujours faite
+        container: await describeContainer(filePath)
+    };
+
+    // Images clés et images B à partir des paquets, uniquement si le profil impose une structure de GOP
+    if (needsGopAnalysis(profile.criteria)) {
+        onProgress('gop', 0);
+        const videoStream = probe.streams.find(stream => stream.codec_type === 'video');
+        fullVideoInfo.gop = await analyzeGop(filePath, videoStream.index, fullVideoInfo.frameRate, runOptions);
+        onProgress('gop', 100);
+    }
+
+    // Analyse du contenu (frames noires, figées, bandes) uniquement si le profil le demande
+    if (hasContentCriteria(profile.criteria)) {
+        onProgress('content', 0);
+        fullVideoInfo.content = await analyzeContent(filePath, fullVideoInfo, profile.criteria, {
+            ...runOptions,
+            onProgress: percent => onProgress('content', percent)
+        });
+        onProgress('content', 100);
+    }
+
+    // Mesure de sonie EBU R128 si le profil impose une cible et qu'il y a de l'audio
+    if (needsLoudness(profile.criteria) && fullVideoInfo.audioStreams.length > 0) {
+        onProgress('audio', 0);
+        fullVideoInfo.loudness = await measureLoudness(filePath, {
+            ...runOptions,
+            duration: fullVideoInfo.duration,
+            onProgress: percent => onProgress('audio', percent)
+        });
+        onProgress('audio', 100);
+    }
+
+    let thumbnails;
+    if (options.thumbnails) {
+        onProgress('thumbnails', 0);
+        thumbnails = await extractThumbnails(filePath, fullVideoInfo, {
+            ...runOptions,
+            onProgress: percent => onProgress('thumbnails', percent)
+        });
+        onProgress('thumbnails', 100);
+    }
+
+    onProgress('validate', 100);
+    return {
+        videoInfo: fullVideoInfo,
+        validation: validateVideoSpecs(fullVideoInfo, profile.criteria, options.locale),
+        // Sortie brute de FFprobe, conservée pour les rapports exportés
+        probe,
+        thumbnails
+    };
+}
+
+function hashFile(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath, { signal: options.signal })
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = {
+    VIDEO_EXTENSIONS: Object.keys(MIME_TYPES),
+    checkVideoFile,
+    hashFile,
+    getMimeType
+};
@@ -0,0 +1,97 @@
+const { parseRational, getSideData } = require('./ffprobe');
+const { translate } = require('./i18n');
+
+// Transferts HDR : PQ (SMPTE ST 2084) et HLG (ARIB STD-B67)
+const HDR_TRANSFERS = ['smpte2084', 'arib-std-b67'];
+
+const COLOR_NAMES = {
+    'bt709': 'BT.709',
+    'bt470bg': 'BT.601 (PAL)',
+    'smpte170m': 'BT.601 (NTSC)',
+    'bt2020': 'BT.2020',
+    'bt2020nc': 'BT.2020 NCL',
+    'bt2020c': 'BT.2020 CL',
+    'bt2020-10': 'BT.2020',
+    'smpte2084': 'PQ',
+    'arib-std-b67': 'HLG',
+    'iec61966-2-1': 'sRGB',
+    'gbr': 'RGB'
+};
+
+// Plage de couleurs : FFprobe utilise "tv"/"pc", les profils peuvent dire "limited"/"full"
+const RANGE_ALIASES = {
+    'limited': 'tv',
+    'full': 'pc'
+};
+
+// Extrait format de pixel, profondeur, colorimétrie et métadonnées HDR du flux vidéo
+function describeColor(videoStream) {
+    const pixelFormat = videoStream.pix_fmt || null;
+    const masteringDisplay = getSideData(videoStream, 'Mastering display metadata');
+    const contentLight = getSideData(videoStream, 'Content light level metadata');
+
+    return {
+        pixelFormat,
+        bitDepth: parseInt(videoStream.bits_per_raw_sample) || getBitDepth(pixelFormat),
+        chromaSubsampling: getChromaSubsampling(pixelFormat),
+        colorSpace: normalizeTag(videoStream.color_space),
+        colorTransfer: normalizeTag(videoStream.color_transfer),
+        colorPrimaries: normalizeTag(videoStream.color_primaries),
+        colorRange: normalizeTag(videoStream.color_range),
+        hdr: HDR_TRANSFERS.includes(videoStream.color_transfer) || Boolean(masteringDisplay),
+        masteringDisplay: masteringDisplay && {
+            minLuminance: parseRationalValue(masteringDisplay.min_luminance),
+            maxLuminance: parseRationalValue(masteringDisplay.max_luminance)
+        },
+        contentLightLevel: contentLight && {
+            maxContent: contentLight.max_content,
+            maxAverage: contentLight.max_average
+        }
+    };
+}
+
+// "unknown"/"unspecified" signifient que le flux n'est pas tagué
+function normalizeTag(value) {
+    return value && !['unknown', 'unspecified', 'reserved'].includes(value) ? value : null;
+}
+
+// yuv420p10le -> 10 ; les formats sans suffixe sont en 8 bits
+function getBitDepth(pixelFormat) {
+    if (!pixelFormat) return null;
+    const match = pixelFormat.match(/p(\d+)(le|be)?$/);
+    return match ? parseInt(match[1], 10) : 8;
+}
+
+function getChromaSubsampling(pixelFormat) {
+    if (!pixelFormat) return null;
+    const match = pixelFormat.match(/^yuva?j?(4\d\d)/);
+    if (!match) return null;
+    return match[1].split('').join(':');
+}
+
+// Les luminances sont exprimées en fractions ("10000000/10000" cd/m²)
+function parseRationalValue(value) {
+    const number = parseRational(value);
+    return Number.isFinite(number) ? Math.round(number * 10000) / 10000 : null;
+}
+
+function getColorName(value, locale) {
+    if (!value) return translate(locale, 'values.untagged');
+    return COLOR_NAMES[value] || value;
+}
+
+function normalizeRange(range) {
+    return RANGE_ALIASES[range] || range;
+}
+
+function getRangeName(range, locale) {
+    if (!range) return translate(locale, 'values.untagged');
+    return range === 'tv' ? translate(locale, 'values.limited') : range === 'pc' ? translate(locale, 'values.full') : range;
+}
+
+module.exports = {
+    describeColor,
+    getColorName,
+    getRangeName,
+    normalizeRange
+};
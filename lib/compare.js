@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runFFmpeg } = require('./ffmpeg');
+const { getCriterionStatus } = require('./report');
+const { VideoCheckerError } = require('./errors');
+
+// SSIM en dessous duquel une frame est considérée comme visuellement différente
+// (au-dessus, seules les pertes d'encodage séparent les deux versions)
+const VISUAL_DIFFERENCE_SSIM = 0.98;
+// Nombre de points de la courbe SSIM renvoyée au client
+const TIMELINE_POINTS = 200;
+const WORST_FRAMES = 5;
+
+// Différences entre deux résultats de checkVideoFile : chaque champ de
+// videoInfo et le statut de chaque critère, de la première à la seconde version
+function compareVideos(first, second) {
+    const firstFields = flattenFields(first.videoInfo);
+    const secondFields = flattenFields(second.videoInfo);
+    const fieldNames = [...new Set([...Object.keys(firstFields), ...Object.keys(secondFields)])];
+
+    const metadata = fieldNames.map(field => ({
+        field,
+        first: firstFields[field] !== undefined ? firstFields[field] : null,
+        second: secondFields[field] !== undefined ? secondFields[field] : null,
+        changed: JSON.stringify(firstFields[field]) !== JSON.stringify(secondFields[field])
+    }));
+
+    const criteriaKeys = [...new Set([...Object.keys(first.validation), ...Object.keys(second.validation)])]
+        .filter(key => key !== 'overall');
+
+    const criteria = criteriaKeys.map(key => {
+        const before = first.validation[key];
+        const after = second.validation[key];
+        const firstStatus = before ? getCriterionStatus(before) : null;
+        const secondStatus = after ? getCriterionStatus(after) : null;
+        return {
+            key,
+            label: (after || before).label,
+            requirement: (after || before).requirement,
+            first: before ? { status: firstStatus, value: before.value } : null,
+            second: after ? { status: secondStatus, value: after.value } : null,
+            changed: firstStatus !== secondStatus
+        };
+    });
+
+    return {
+        metadata,
+        criteria,
+        summary: {
+            changedFields: metadata.filter(field => field.changed).length,
+            fixed: criteria.filter(criterion => criterion.changed && criterion.second && criterion.second.status === 'pass')
+                .map(criterion => criterion.label),
+            regressed: criteria.filter(criterion => criterion.changed && criterion.first && criterion.first.status === 'pass')
+                .map(criterion => criterion.label),
+            firstCompliant: first.validation.overall,
+            secondCompliant: second.validation.overall
+        }
+    };
+}
+
+// { 'color.primaries': 'bt709', 'audioStreams.0.codec': 'aac', ... }
+function flattenFields(value, prefix = '', fields = {}) {
+    // Les listes de valeurs simples restent un seul champ
+    const isPlainList = Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+    if (value !== null && typeof value === 'object' && !isPlainList) {
+        Object.keys(value).forEach(key => flattenFields(value[key], prefix ? `${prefix}.${key}` : key, fields));
+    } else if (prefix) {
+        fields[prefix] = value;
+    }
+    return fields;
+}
+
+// PSNR et SSIM frame par frame en une passe FFmpeg. La seconde vidéo est mise
+// à l'échelle de la première pour ne comparer que le contenu des images.
+async function measureSimilarity(firstPath, secondPath, firstInfo, options = {}) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-checker-compare-'));
+    const psnrLog = path.join(dir, 'psnr.log');
+    const ssimLog = path.join(dir, 'ssim.log');
+
+    try {
+        const graph = [
+            '[0:v]format=yuv420p[first]',
+            `[1:v]scale=${firstInfo.width}:${firstInfo.height},format=yuv420p,split[second1][second2]`,
+            `[first][second1]psnr=stats_file=${escapeFilterValue(psnrLog)}[measured]`,
+            `[measured][second2]ssim=stats_file=${escapeFilterValue(ssimLog)}`
+        ].join(';');
+
+        await runFFmpeg([
+            '-i', firstPath, '-i', secondPath,
+            '-filter_complex', graph,
+            '-an', '-f', 'null', '-'
+        ], { signal: options.signal, onProgress: options.onProgress, duration: firstInfo.duration });
+
+        const psnr = parseStats(await fs.promises.readFile(psnrLog, 'utf8'), /psnr_avg:(\S+)/);
+        const ssim = parseStats(await fs.promises.readFile(ssimLog, 'utf8'), /All:(\S+)/);
+        return summarizeSimilarity(psnr, ssim, firstInfo.frameRate);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Une ligne par frame ("n:1 ... psnr_avg:42.1 ..."), indexée à partir de 0.
+// Un PSNR "inf" (frames identiques au pixel près) devient null.
+function parseStats(log, pattern) {
+    return log.split('\n').filter(line => /^n:\d+/.test(line)).map(line => {
+        const match = line.match(pattern);
+        const value = match ? parseFloat(match[1]) : NaN;
+        return Number.isFinite(value) ? value : null;
+    });
+}
+
+function summarizeSimilarity(psnr, ssim, frameRate) {
+    const frames = ssim.map((value, frame) => ({
+        frame,
+        time: frameRate > 0 ? Math.round((frame / frameRate) * 1000) / 1000 : null,
+        psnr: typeof psnr[frame] === 'number' ? roundTo(psnr[frame], 2) : null,
+        ssim: value !== null ? roundTo(value, 5) : null
+    }));
+    if (frames.length === 0) {
+        throw new VideoCheckerError('FFMPEG_FAILED', 'no frame could be compared');
+    }
+
+    const finitePsnr = frames.map(frame => frame.psnr).filter(value => value !== null);
+    const ssimValues = frames.map(frame => frame.ssim).filter(value => value !== null);
+    const identicalFrames = frames.filter(frame => frame.psnr === null && frame.ssim === 1).length;
+    const differentFrames = frames.filter(frame => frame.ssim !== null && frame.ssim < VISUAL_DIFFERENCE_SSIM).length;
+
+    // Courbe réduite : SSIM minimal de chaque groupe de frames
+    const bucketSize = Math.ceil(frames.length / TIMELINE_POINTS);
+    const timeline = [];
+    for (let start = 0; start < frames.length; start += bucketSize) {
+        const bucket = frames.slice(start, start + bucketSize).filter(frame => frame.ssim !== null);
+        if (bucket.length > 0) {
+            timeline.push({ frame: start, ssim: Math.min(...bucket.map(frame => frame.ssim)) });
+        }
+    }
+
+    let verdict = 'content-changed';
+    if (identicalFrames === frames.length) {
+        verdict = 'identical';
+    } else if (differentFrames === 0) {
+        verdict = 'encode-only';
+    }
+
+    return {
+        comparedFrames: frames.length,
+        psnr: {
+            average: finitePsnr.length > 0 ? roundTo(average(finitePsnr), 2) : null,
+            min: finitePsnr.length > 0 ? Math.min(...finitePsnr) : null
+        },
+        ssim: {
+            average: ssimValues.length > 0 ? roundTo(average(ssimValues), 5) : null,
+            min: ssimValues.length > 0 ? Math.min(...ssimValues) : null
+        },
+        identicalFrames,
+        differentFrames,
+        threshold: VISUAL_DIFFERENCE_SSIM,
+        verdict,
+        worstFrames: frames.filter(frame => frame.ssim !== null)
+            .sort((a, b) => a.ssim - b.ssim)
+            .slice(0, WORST_FRAMES),
+        timeline
+    };
+}
+
+// Chemin utilisable comme option d'un filtre (séparateurs Windows convertis, ':' et "'" échappés)
+function escapeFilterValue(value) {
+    return value.replace(/\\/g, '/').replace(/[:']/g, '\\$&');
+}
+
+function average(values) {
+    return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    compareVideos,
+    measureSimilarity
+};
@@ -0,0 +1,49 @@
+// Exécute fn sur chaque élément avec au plus `limit` traitements simultanés.
+// L'ordre des résultats correspond à l'ordre des éléments.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+// File d'attente partagée : au plus `limit` appels de run() s'exécutent en même
+// temps, les suivants attendent qu'une place se libère (ordre d'arrivée)
+function createLimiter(limit) {
+    let running = 0;
+    const waiting = [];
+
+    async function run(fn) {
+        if (running < limit) {
+            running++;
+        } else {
+            // La place est transmise directement par l'appel qui se termine
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        try {
+            return await fn();
+        } finally {
+            const next = waiting.shift();
+            if (next) {
+                next();
+            } else {
+                running--;
+            }
+        }
+    }
+
+    run.stats = () => ({ running, queued: waiting.length, limit });
+    return run;
+}
+
+module.exports = { mapWithConcurrency, createLimiter };
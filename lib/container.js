@@ -0,0 +1,64 @@
+const fs = require('fs');
+
+// Boîtes pouvant ouvrir un fichier ISO-BMFF / QuickTime ; tout autre début
+// (AVI, fichier inconnu) signifie qu'il n'y a pas de structure moov/mdat à vérifier
+const LEADING_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot', 'uuid', 'styp'];
+// Garde-fou contre un fichier corrompu aux en-têtes incohérents
+const MAX_TOP_LEVEL_BOXES = 1000;
+
+// Ordre des boîtes de premier niveau (lecture des seuls en-têtes, comme la
+// vérification dans le navigateur) : un MP4 "faststart" a son moov avant mdat
+// et peut être lu en streaming sans avoir été entièrement téléchargé.
+async function describeContainer(filePath) {
+    const boxes = await readTopLevelBoxes(filePath);
+    if (!boxes) {
+        return { topLevelBoxes: null, faststart: null, fragmented: false };
+    }
+
+    const moovIndex = boxes.indexOf('moov');
+    const mdatIndex = boxes.findIndex(type => type === 'mdat' || type === 'moof');
+    return {
+        topLevelBoxes: boxes,
+        faststart: moovIndex === -1 ? null : mdatIndex === -1 || moovIndex < mdatIndex,
+        fragmented: boxes.includes('moof')
+    };
+}
+
+async function readTopLevelBoxes(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await handle.stat();
+        const header = Buffer.alloc(16);
+        const boxes = [];
+        let offset = 0;
+
+        while (offset + 8 <= fileSize && boxes.length < MAX_TOP_LEVEL_BOXES) {
+            const { bytesRead } = await handle.read(header, 0, 16, offset);
+            if (bytesRead < 8) break;
+
+            let size = header.readUInt32BE(0);
+            const type = header.toString('latin1', 4, 8);
+            if (boxes.length === 0 && !LEADING_BOXES.includes(type)) {
+                return null;
+            }
+
+            // 1 : taille sur 64 bits après le type ; 0 : la boîte va jusqu'à la fin du fichier
+            if (size === 1) {
+                if (bytesRead < 16) break;
+                size = Number(header.readBigUInt64BE(8));
+            } else if (size === 0) {
+                size = fileSize - offset;
+            }
+            if (size < 8) break;
+
+            boxes.push(type);
+            offset += size;
+        }
+
+        return boxes.length > 0 ? boxes : null;
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = { describeContainer };
@@ -0,0 +1,109 @@
+const { runFFmpeg } = require('./ffmpeg');
+
+// Critères de profil qui déclenchent une analyse du contenu des frames
+const CONTENT_CRITERIA = ['blackFrames', 'frozenFrames', 'letterbox'];
+
+const DEFAULTS = {
+    blackFrames: { pixelThreshold: 0.10, pictureThreshold: 0.98 },
+    frozenFrames: { noise: '-60dB', minDuration: 0.5 },
+    letterbox: { limit: 24, tolerance: 4 }
+};
+
+function hasContentCriteria(criteria) {
+    return CONTENT_CRITERIA.some(key => criteria[key]);
+}
+
+// Analyse le contenu des frames en une seule passe FFmpeg
+// (blackdetect, freezedetect et cropdetect selon les critères du profil)
+async function analyzeContent(filePath, videoInfo, criteria, options = {}) {
+    const black = { ...DEFAULTS.blackFrames, ...criteria.blackFrames };
+    const frozen = { ...DEFAULTS.frozenFrames, ...criteria.frozenFrames };
+    const letterbox = { ...DEFAULTS.letterbox, ...criteria.letterbox };
+
+    const filters = [];
+    if (criteria.blackFrames) {
+        filters.push(`blackdetect=d=0:pix_th=${black.pixelThreshold}:pic_th=${black.pictureThreshold}`);
+    }
+    if (criteria.frozenFrames) {
+        filters.push(`freezedetect=n=${frozen.noise}:d=${frozen.minDuration}`);
+    }
+    if (criteria.letterbox) {
+        // reset=0 : la zone détectée s'agrandit sur toute la vidéo,
+        // seules les bandes présentes sur toutes les frames sont retenues
+        filters.push(`cropdetect=limit=${letterbox.limit}:round=2:reset=0`);
+    }
+
+    const log = await runFFmpeg(
+        ['-i', filePath, '-map', '0:v:0', '-vf', filters.join(','), '-an', '-f', 'null', '-'],
+        { ...options, duration: videoInfo.duration }
+    );
+    const toRange = (start, end) => toFrameRange(start, end, videoInfo);
+
+    const content = {};
+    if (criteria.blackFrames) {
+        content.blackSegments = parseBlackDetect(log).map(segment => toRange(segment.start, segment.end));
+    }
+    if (criteria.frozenFrames) {
+        content.frozenSegments = parseFreezeDetect(log, videoInfo.duration).map(segment => toRange(segment.start, segment.end));
+    }
+    if (criteria.letterbox) {
+        content.activeArea = parseCropDetect(log);
+    }
+
+    return content;
+}
+
+function parseBlackDetect(log) {
+    const segments = [];
+    const regex = /black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/g;
+    let match;
+    while ((match = regex.exec(log)) !== null) {
+        segments.push({ start: parseFloat(match[1]), end: parseFloat(match[2]) });
+    }
+    return segments;
+}
+
+// freezedetect n'écrit pas toujours freeze_end quand la vidéo se termine figée
+function parseFreezeDetect(log, duration) {
+    const segments = [];
+    const regex = /freezedetect\.freeze_(start|end):\s*([\d.]+)/g;
+    let current = null;
+    let match;
+    while ((match = regex.exec(log)) !== null) {
+        const time = parseFloat(match[2]);
+        if (match[1] === 'start') {
+            current = { start: time, end: duration };
+            segments.push(current);
+        } else if (current) {
+            current.end = time;
+            current = null;
+        }
+    }
+    return segments;
+}
+
+// Dernière zone active détectée (x, y, largeur, hauteur)
+function parseCropDetect(log) {
+    const matches = [...log.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
+    if (matches.length === 0) return null;
+
+    const [, width, height, x, y] = matches[matches.length - 1].map(Number);
+    return { width, height, x, y };
+}
+
+// Convertit un intervalle de temps en plage de frames (bornes incluses)
+function toFrameRange(start, end, videoInfo) {
+    const frameRate = videoInfo.frameRate;
+    return {
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round(end * 1000) / 1000,
+        startFrame: Math.round(start * frameRate),
+        endFrame: Math.max(Math.round(start * frameRate), Math.round(end * frameRate) - 1)
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    hasContentCriteria,
+    analyzeContent
+};
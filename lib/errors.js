@@ -0,0 +1,99 @@
+const { DEFAULT_LOCALE, getLocale, translate } = require('./i18n');
+
+// Catalogue des erreurs renvoyées aux clients : un code stable que l'interface
+// peut reconnaître et le statut HTTP. Les messages lisibles sont traduits
+// dans lib/i18n.js (clés errors.<CODE>).
+const ERRORS = {
+    NO_FILE: { status: 400 },
+    UNSUPPORTED_TYPE: { status: 415 },
+    FILE_TOO_LARGE: { status: 413 },
+    TOO_MANY_FILES: { status: 400 },
+    INVALID_REQUEST: { status: 400 },
+    UNKNOWN_PROFILE: { status: 400 },
+    INVALID_API_KEY: { status: 401 },
+    RATE_LIMITED: { status: 429 },
+    INVALID_FRAME_CHECK: { status: 400 },
+    INVALID_JOB_TYPE: { status: 400 },
+    INVALID_WEBHOOK: { status: 400 },
+    WEBHOOK_SECRET_REQUIRED: { status: 400 },
+    INSUFFICIENT_STORAGE: { status: 507 },
+    UPLOAD_NOT_FOUND: { status: 404 },
+    INVALID_CHUNK: { status: 400 },
+    CHECKSUM_MISMATCH: { status: 400 },
+    MISSING_CHUNKS: { status: 409 },
+    JOB_NOT_FOUND: { status: 404 },
+    JOB_FINISHED: { status: 409 },
+    INVALID_REPORT: { status: 400 },
+    UNTRUSTED_REPORT: { status: 400 },
+    CLIENT_ID_REQUIRED: { status: 400 },
+    HISTORY_NOT_FOUND: { status: 404 },
+    FIXED_FILE_NOT_FOUND: { status: 404 },
+    WATCH_DISABLED: { status: 404 },
+    NO_VIDEO_STREAM: { status: 422 },
+    PROBE_FAILED: { status: 422 },
+    PROBE_TIMEOUT: { status: 504 },
+    FFPROBE_MISSING: { status: 503 },
+    FFMPEG_MISSING: { status: 503 },
+    FFMPEG_FAILED: { status: 422 },
+    INTERNAL_ERROR: { status: 500 }
+};
+
+// details : précision propre à ce cas (nom du profil, sortie de FFprobe...)
+// extra : champs ajoutés tels quels à la réponse (ex: liste des morceaux manquants)
+class VideoCheckerError extends Error {
+    constructor(code, details, extra = {}) {
+        const knownCode = ERRORS[code] ? code : 'INTERNAL_ERROR';
+        // Le message de l'exception (journaux, CLI) reste en anglais
+        super(formatMessage(DEFAULT_LOCALE, knownCode, details));
+        this.name = 'VideoCheckerError';
+        this.code = knownCode;
+        this.status = ERRORS[knownCode].status;
+        this.details = details || null;
+        this.extra = extra;
+    }
+}
+
+function formatMessage(locale, code, details) {
+    const message = translate(locale, `errors.${code}`);
+    return details ? `${message} (${details})` : message;
+}
+
+// Corps JSON d'une réponse d'erreur ; `error` est le message lisible dans la
+// langue du client, `details` (technique) n'est pas traduit
+function toErrorBody(error, locale = DEFAULT_LOCALE) {
+    const code = error.code || 'INTERNAL_ERROR';
+    const body = { error: formatMessage(locale, code, error.details), code };
+    if (error.details) {
+        body.details = error.details;
+    }
+    return { ...body, ...(error.extra || {}) };
+}
+
+// La langue est celle de la requête à laquelle on répond (res.req)
+function sendError(res, code, details, extra) {
+    const error = new VideoCheckerError(code, details, extra);
+    return res.status(error.status).json(toErrorBody(error, getLocale(res.req)));
+}
+
+// Erreur quelconque (FFmpeg, fs, parseur Express...) convertie en erreur du catalogue
+function normalizeError(error) {
+    if (error instanceof VideoCheckerError) {
+        return error;
+    }
+    // Erreurs des parseurs Express (ex: morceau trop volumineux)
+    if (error.type === 'entity.too.large') {
+        return new VideoCheckerError('FILE_TOO_LARGE', error.message);
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return new VideoCheckerError('INVALID_REQUEST', error.message);
+    }
+    return new VideoCheckerError('INTERNAL_ERROR', error.message);
+}
+
+module.exports = {
+    ERRORS,
+    VideoCheckerError,
+    toErrorBody,
+    sendError,
+    normalizeError
+};
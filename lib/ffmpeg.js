@@ -0,0 +1,52 @@
+const { spawn } = require('child_process');
+const { VideoCheckerError } = require('./errors');
+
+// Chemin de ffmpeg
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Exécute ffmpeg et retourne sa sortie d'erreur, où les filtres
+// d'analyse (blackdetect, ebur128...) écrivent leurs résultats.
+// options.signal (AbortSignal) interrompt le processus ;
+// options.onProgress(percent) reçoit l'avancement si options.duration est connue.
+function runFFmpeg(args, options = {}) {
+    return new Promise((resolve, reject) => {
+        const progressArgs = options.onProgress ? ['-progress', 'pipe:1'] : [];
+        const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-nostats', ...progressArgs, ...args], {
+            signal: options.signal
+        });
+        let stderr = '';
+
+        if (options.onProgress) {
+            child.stdout.on('data', chunk => {
+                // out_time_ms est en réalité exprimé en microsecondes, comme out_time_us
+                const matches = [...String(chunk).matchAll(/out_time_(?:us|ms)=(\d+)/g)];
+                if (matches.length > 0 && options.duration > 0) {
+                    const seconds = parseInt(matches[matches.length - 1][1], 10) / 1e6;
+                    options.onProgress(Math.min(100, (seconds / options.duration) * 100));
+                }
+            });
+        }
+
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+            if (error.code === 'ENOENT') {
+                reject(new VideoCheckerError('FFMPEG_MISSING', FFMPEG_PATH));
+            } else {
+                reject(error.name === 'AbortError' ? error : new VideoCheckerError('FFMPEG_FAILED', error.message));
+            }
+        });
+        child.on('close', code => {
+            if (code !== 0) {
+                const lastLines = stderr.trim().split('\n').slice(-3).join(' ');
+                reject(new VideoCheckerError('FFMPEG_FAILED', lastLines || `exit code ${code}`));
+                return;
+            }
+            resolve(stderr);
+        });
+    });
+}
+
+module.exports = {
+    FFMPEG_PATH,
+    runFFmpeg
+};
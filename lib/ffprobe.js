@@ -0,0 +1,95 @@
+const { spawn } = require('child_process');
+const { VideoCheckerError } = require('./errors');
+const { createLimiter } = require('./concurrency');
+
+// Chemin de ffprobe
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+// Processus ffprobe simultanés (tous appels confondus) et durée maximale d'un appel
+const FFPROBE_CONCURRENCY = parseInt(process.env.FFPROBE_CONCURRENCY) || 4;
+const FFPROBE_TIMEOUT = (parseInt(process.env.FFPROBE_TIMEOUT_SECONDS) || 120) * 1000;
+
+const probeLimiter = createLimiter(FFPROBE_CONCURRENCY);
+
+// Exécute ffprobe avec une sortie JSON et retourne l'objet parsé
+// (options.signal permet d'interrompre le processus). Les appels au-delà de
+// FFPROBE_CONCURRENCY attendent leur tour ; le délai ne court qu'une fois lancé.
+function runFFprobeJSON(args, options = {}) {
+    return probeLimiter(() => spawnFFprobeJSON(args, options));
+}
+
+function spawnFFprobeJSON(args, options) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(FFPROBE_PATH, ['-v', 'error', '-of', 'json', ...args], {
+            signal: options.signal
+        });
+        const stdout = [];
+        let stderr = '';
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, FFPROBE_TIMEOUT);
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+            clearTimeout(timer);
+            if (error.code === 'ENOENT') {
+                reject(new VideoCheckerError('FFPROBE_MISSING', FFPROBE_PATH));
+            } else {
+                // Une annulation (AbortError) est transmise telle quelle
+                reject(error.name === 'AbortError' ? error : new VideoCheckerError('PROBE_FAILED', error.message));
+            }
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (timedOut) {
+                reject(new VideoCheckerError('PROBE_TIMEOUT', `no result after ${FFPROBE_TIMEOUT / 1000}s`));
+                return;
+            }
+            if (code !== 0) {
+                reject(new VideoCheckerError('PROBE_FAILED', stderr.trim() || `exit code ${code}`));
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(stdout).toString() || '{}'));
+            } catch (parseError) {
+                reject(new VideoCheckerError('PROBE_FAILED', `invalid FFprobe output (${parseError.message})`));
+            }
+        });
+    });
+}
+
+// Conversion d'une fraction FFprobe ("24000/1001", "25") en nombre, sans eval.
+// Toute autre valeur (absente, "0/0", texte) donne NaN.
+function parseRational(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+
+    const match = value.trim().match(/^(-?\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+    if (!match) return NaN;
+
+    const numerator = parseFloat(match[1]);
+    const denominator = match[2] !== undefined ? parseFloat(match[2]) : 1;
+    return denominator === 0 ? NaN : numerator / denominator;
+}
+
+// Side data d'un flux par type ("Display Matrix"...) ; null si elle est absente
+// ou si la liste est illisible (fichier mal muxé)
+function getSideData(stream, type) {
+    const list = Array.isArray(stream.side_data_list) ? stream.side_data_list : [];
+    return list.find(data => data && data.side_data_type === type) || null;
+}
+
+// Processus en cours et en attente, pour GET /health
+function getProbeStats() {
+    return probeLimiter.stats();
+}
+
+module.exports = {
+    FFPROBE_PATH,
+    runFFprobeJSON,
+    getProbeStats,
+    parseRational,
+    getSideData
+};
@@ -0,0 +1,149 @@
+const path = require('path');
+const { runFFmpeg } = require('./ffmpeg');
+const { normalizeRange } = require('./color');
+
+// Marge de sécurité sur le débit pour rester sous la taille maximale
+// (entête du conteneur, piste audio, imprécision du contrôle de débit)
+const SIZE_MARGIN = 0.9;
+const AUDIO_BITRATE = 192000;
+
+// Résolution autorisée la plus proche : même orientation que l'image affichée
+// (FFmpeg applique la rotation des métadonnées au décodage) et surface la plus
+// proche ; à défaut de résolution dans la même orientation, la plus proche en surface
+function getTargetResolution(videoInfo, criteria) {
+    const rotated = videoInfo.rotation === 90 || videoInfo.rotation === 270;
+    const width = rotated ? videoInfo.height : videoInfo.width;
+    const height = rotated ? videoInfo.width : videoInfo.height;
+    if (!criteria.resolutions || criteria.resolutions.length === 0) {
+        return { width, height };
+    }
+
+    const portrait = height > width;
+    const sameOrientation = criteria.resolutions.filter(res => (res.height > res.width) === portrait);
+    const candidates = sameOrientation.length > 0 ? sameOrientation : criteria.resolutions;
+    const sourceArea = width * height;
+    return candidates.reduce((best, res) => {
+        const distance = Math.abs(Math.log((res.width * res.height) / sourceArea));
+        const bestDistance = Math.abs(Math.log((best.width * best.height) / sourceArea));
+        return distance < bestDistance ? res : best;
+    });
+}
+
+// Cadence, nombre d'images et durée visés ; null si ni le profil ni la source ne les donnent
+function getTargetTiming(videoInfo, criteria) {
+    const frameRate = criteria.frameRate || videoInfo.frameRate || null;
+    const frameCount = criteria.frameCount || videoInfo.frameCount || null;
+    const duration = frameRate && frameCount ? frameCount / frameRate : (videoInfo.videoDuration || null);
+    return { frameRate, frameCount, duration };
+}
+
+// Construit les arguments FFmpeg qui rendent la vidéo conforme aux critères du profil
+function buildFixArgs(inputPath, outputPath, videoInfo, criteria) {
+    const target = getTargetResolution(videoInfo, criteria);
+    const { frameRate, frameCount, duration } = getTargetTiming(videoInfo, criteria);
+    const audio = criteria.audio;
+    const hasAudio = videoInfo.audioStreams && videoInfo.audioStreams.length > 0;
+    const addSilence = audio && audio.required && !hasAudio;
+    const keepAudio = audio ? audio.required : hasAudio;
+
+    const args = ['-y', '-i', inputPath];
+    if (addSilence) {
+        args.push('-f', 'lavfi', '-i', `anullsrc=channel_layout=stereo:sample_rate=${audio.sampleRate || 48000}`);
+    }
+
+    // Mise à l'échelle avec bandes si le ratio diffère, retiming puis
+    // duplication de la dernière frame pour atteindre le nombre exact
+    // (étapes omises quand la cadence ou le nombre d'images sont inconnus)
+    const filters = [
+        `scale=${target.width}:${target.height}:force_original_aspect_ratio=decrease`,
+        `pad=${target.width}:${target.height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1',
+        ...(frameRate ? [`fps=${frameRate}`] : []),
+        ...(frameCount ? [`tpad=stop_mode=clone:stop=${frameCount}`] : []),
+        'format=yuv420p'
+    ];
+    args.push('-map', '0:v:0', '-vf', filters.join(','));
+    if (frameCount) {
+        args.push('-frames:v', String(frameCount));
+    }
+
+    const useHevc = criteria.codecs && !criteria.codecs.some(codec => ['h264', 'avc', 'avc1'].includes(codec.toLowerCase()));
+    if (useHevc) {
+        args.push('-c:v', 'libx265', '-tag:v', 'hvc1');
+    } else {
+        args.push('-c:v', 'libx264', '-profile:v', 'high');
+    }
+    args.push('-preset', 'slow', '-crf', '18');
+
+    // Débit plafonné pour rester sous la taille maximale du profil
+    if (criteria.maxFileSize && duration) {
+        const audioBits = keepAudio ? AUDIO_BITRATE * duration : 0;
+        const maxRate = Math.floor(((criteria.maxFileSize * 8 * SIZE_MARGIN) - audioBits) / duration);
+        args.push('-maxrate', String(maxRate), '-bufsize', String(maxRate));
+    }
+
+    const color = criteria.color || {};
+    const primaries = (color.colorPrimaries && color.colorPrimaries[0]) || 'bt709';
+    const transfer = (color.colorTransfers && color.colorTransfers[0]) || 'bt709';
+    const matrix = (color.colorSpaces && color.colorSpaces[0]) || 'bt709';
+    args.push(
+        '-color_primaries', primaries,
+        '-color_trc', transfer,
+        '-colorspace', matrix,
+        '-color_range', normalizeRange(color.colorRange || 'limited')
+    );
+
+    if (keepAudio) {
+        args.push('-map', addSilence ? '1:a:0' : '0:a:0');
+        args.push('-c:a', 'aac', '-b:a', String(AUDIO_BITRATE));
+        args.push('-ar', String((audio && audio.sampleRate) || 48000));
+        args.push('-ac', String((audio && audio.channels) || 2));
+
+        const audioFilters = ['apad'];
+        if (audio && audio.loudness && audio.loudness.integrated !== undefined) {
+            const truePeak = audio.loudness.truePeak !== undefined ? audio.loudness.truePeak : -1;
+            audioFilters.unshift(`loudnorm=I=${audio.loudness.integrated}:TP=${truePeak}`);
+        }
+        // apad prolonge l'audio sans fin : on le coupe à la durée visée, ou à la fin de la vidéo
+        args.push('-af', audioFilters.join(','));
+        args.push(...(duration ? ['-t', duration.toFixed(6)] : ['-shortest']));
+    } else {
+        args.push('-an');
+    }
+
+    args.push('-movflags', '+faststart', outputPath);
+    return args;
+}
+
+// Commande lisible et reproductible, avec des noms de fichiers génériques
+function formatCommand(args, inputName, outputName) {
+    const quote = (arg) => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+    const replacements = new Map([[args[args.indexOf('-i') + 1], inputName], [args[args.length - 1], outputName]]);
+    return ['ffmpeg', ...args.map(arg => quote(replacements.get(arg) || arg))].join(' ');
+}
+
+function getFixedFileName(fileName) {
+    return `${path.basename(fileName, path.extname(fileName))}_fixed.mp4`;
+}
+
+// Transcode la vidéo vers une version conforme au profil
+// (options transmises à runFFmpeg : signal, onProgress)
+async function fixVideo(inputPath, outputPath, videoInfo, criteria, options = {}) {
+    const args = buildFixArgs(inputPath, outputPath, videoInfo, criteria);
+    const fixedName = getFixedFileName(videoInfo.fileName);
+    const { duration } = getTargetTiming(videoInfo, criteria);
+
+    await runFFmpeg(args, { ...options, duration });
+
+    return {
+        fileName: fixedName,
+        command: formatCommand(args, videoInfo.fileName, fixedName)
+    };
+}
+
+module.exports = {
+    buildFixArgs,
+    formatCommand,
+    getFixedFileName,
+    fixVideo
+};
@@ -0,0 +1,82 @@
+const { runFFprobeJSON } = require('./ffprobe');
+
+// Méthodes de comptage des frames, de la plus rapide à la plus fiable
+const FRAME_CHECK_METHODS = ['metadata', 'packets', 'decode'];
+
+// Compte les frames du flux vidéo en lisant les paquets (rapide, sans décodage)
+// ou en décodant chaque frame, et récupère leurs timestamps de présentation
+async function countFrames(filePath, streamIndex, method, options) {
+    if (method === 'packets') {
+        const data = await runFFprobeJSON([
+            '-select_streams', String(streamIndex),
+            '-show_entries', 'packet=pts_time,dts_time',
+            filePath
+        ], options);
+        const packets = data.packets || [];
+        return {
+            count: packets.length,
+            timestamps: packets.map(packet => parseFloat(packet.pts_time !== undefined ? packet.pts_time : packet.dts_time))
+        };
+    }
+
+    const data = await runFFprobeJSON([
+        '-select_streams', String(streamIndex),
+        '-show_entries', 'frame=best_effort_timestamp_time',
+        filePath
+    ], options);
+    const frames = data.frames || [];
+    return {
+        count: frames.length,
+        timestamps: frames.map(frame => parseFloat(frame.best_effort_timestamp_time))
+    };
+}
+
+// Analyse les écarts entre timestamps : frames manquantes, dupliquées ou irrégulières
+function analyzeTimestamps(timestamps, frameRate) {
+    const sorted = timestamps.filter(Number.isFinite).sort((a, b) => a - b);
+    const expected = 1 / frameRate;
+    const dropped = [];
+    const duplicated = [];
+    let irregularDeltas = 0;
+
+    for (let i = 1; i < sorted.length; i++) {
+        const delta = sorted[i] - sorted[i - 1];
+
+        if (delta < expected * 0.5) {
+            duplicated.push({ frame: i, time: roundTime(sorted[i]) });
+        } else if (delta > expected * 1.5) {
+            dropped.push({ frame: i, time: roundTime(sorted[i - 1]), count: Math.round(delta / expected) - 1 });
+        } else if (Math.abs(delta - expected) > expected * 0.1) {
+            irregularDeltas++;
+        }
+    }
+
+    return { dropped, duplicated, irregularDeltas };
+}
+
+function roundTime(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+// Vérification approfondie du nombre de frames et de la régularité du flux
+async function verifyFrames(filePath, streamIndex, frameRate, method, options = {}) {
+    const { count, timestamps } = await countFrames(filePath, streamIndex, method, options);
+    const timing = Number.isFinite(frameRate) && frameRate > 0
+        ? analyzeTimestamps(timestamps, frameRate)
+        : { dropped: [], duplicated: [], irregularDeltas: 0 };
+
+    return {
+        frameCount: count,
+        droppedFrames: timing.dropped.reduce((total, gap) => total + gap.count, 0),
+        duplicatedFrames: timing.duplicated.length,
+        irregularDeltas: timing.irregularDeltas,
+        dropped: timing.dropped,
+        duplicated: timing.duplicated
+    };
+}
+
+module.exports = {
+    FRAME_CHECK_METHODS,
+    verifyFrames,
+    analyzeTimestamps
+};
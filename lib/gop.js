@@ -0,0 +1,108 @@
+const { runFFprobeJSON } = require('./ffprobe');
+
+// Structure des GOP à partir des seuls paquets (rapide, sans décodage) :
+// - images clés : paquets marqués K (échantillons de synchronisation du conteneur) ;
+// - images B : paquets présentés avant une image déjà décodée (pts inférieur au
+//   plus grand pts vu jusque-là, dans l'ordre de décodage) ;
+// - GOP ouvert : images suivant une image clé dans l'ordre de décodage mais
+//   affichées avant elle, qui dépendent donc du GOP précédent.
+function needsGopAnalysis(criteria) {
+    return Boolean(criteria.gop);
+}
+
+async function analyzeGop(filePath, streamIndex, frameRate, options = {}) {
+    const data = await runFFprobeJSON([
+        '-select_streams', String(streamIndex),
+        '-show_entries', 'packet=pts_time,dts_time,flags',
+        filePath
+    ], options);
+
+    // Ordre de sortie de FFprobe = ordre de décodage
+    const packets = (data.packets || [])
+        .map(packet => ({
+            pts: parseFloat(packet.pts_time !== undefined ? packet.pts_time : packet.dts_time),
+            keyframe: String(packet.flags || '').includes('K')
+        }))
+        .filter(packet => Number.isFinite(packet.pts));
+
+    return describeGop(packets, frameRate);
+}
+
+function describeGop(packets, frameRate) {
+    let maxPts = -Infinity;
+    let bFrames = 0;
+    let consecutiveBFrames = 0;
+    let maxConsecutiveBFrames = 0;
+    let openGops = 0;
+    let currentKeyframe = null;
+    let currentGopOpen = false;
+
+    for (const packet of packets) {
+        if (packet.keyframe) {
+            currentKeyframe = packet;
+            currentGopOpen = false;
+        } else if (currentKeyframe && packet.pts < currentKeyframe.pts && !currentGopOpen) {
+            currentGopOpen = true;
+            openGops++;
+        }
+
+        if (packet.pts < maxPts) {
+            bFrames++;
+            consecutiveBFrames++;
+            maxConsecutiveBFrames = Math.max(maxConsecutiveBFrames, consecutiveBFrames);
+        } else {
+            consecutiveBFrames = 0;
+            maxPts = packet.pts;
+        }
+    }
+
+    // Intervalles entre images clés, en images et en secondes (ordre d'affichage).
+    // Le dernier GOP, de la dernière image clé à la fin, compte pour l'intervalle
+    // maximal mais pas pour la régularité : il est normalement plus court.
+    const displayOrder = packets.map(packet => packet.pts).sort((a, b) => a - b);
+    const positions = new Map();
+    displayOrder.forEach((pts, index) => {
+        if (!positions.has(pts)) positions.set(pts, index);
+    });
+    const keyframePositions = [...new Set(packets.filter(packet => packet.keyframe).map(packet => positions.get(packet.pts)))]
+        .sort((a, b) => a - b);
+    const frameDuration = Number.isFinite(frameRate) && frameRate > 0 ? 1 / frameRate : 0;
+
+    const intervals = keyframePositions.slice(1).map((position, i) => position - keyframePositions[i]);
+    const lastKeyframe = keyframePositions[keyframePositions.length - 1];
+    const tail = lastKeyframe !== undefined ? displayOrder.length - lastKeyframe : 0;
+    const intervalSeconds = (frames, start) => {
+        const end = start + frames < displayOrder.length
+            ? displayOrder[start + frames]
+            : displayOrder[displayOrder.length - 1] + frameDuration;
+        return roundTo(end - displayOrder[start], 3);
+    };
+    const allSeconds = [
+        ...intervals.map((frames, i) => intervalSeconds(frames, keyframePositions[i])),
+        ...(tail > 0 ? [intervalSeconds(tail, lastKeyframe)] : [])
+    ];
+
+    return {
+        frameCount: packets.length,
+        keyframeCount: keyframePositions.length,
+        // Une seule image clé : l'intervalle maximal est la durée de tout le flux
+        maxKeyframeInterval: allSeconds.length > 0 ? Math.max(...allSeconds) : null,
+        maxKeyframeIntervalFrames: keyframePositions.length > 0 ? Math.max(...intervals, tail) : null,
+        gopSizes: [...new Set(intervals)].sort((a, b) => a - b),
+        regular: new Set(intervals).size <= 1,
+        openGops,
+        bFrames,
+        maxConsecutiveBFrames
+    };
+}
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    needsGopAnalysis,
+    analyzeGop,
+    describeGop
+};
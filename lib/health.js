@@ -0,0 +1,43 @@
+const { execFile } = require('child_process');
+const { FFMPEG_PATH } = require('./ffmpeg');
+const { FFPROBE_PATH, getProbeStats } = require('./ffprobe');
+
+// Les versions ne changent pas d'un appel à l'autre : on évite de lancer deux
+// processus à chaque interrogation de /health (sondes de supervision)
+const CACHE_DURATION = 60 * 1000;
+
+let cached = null;
+
+// Disponibilité et version de FFmpeg et FFprobe, plus l'occupation des processus ffprobe
+async function getHealth() {
+    if (!cached || Date.now() - cached.checkedAt > CACHE_DURATION) {
+        const [ffmpeg, ffprobe] = await Promise.all([getToolVersion(FFMPEG_PATH), getToolVersion(FFPROBE_PATH)]);
+        cached = { checkedAt: Date.now(), tools: { ffmpeg, ffprobe } };
+    }
+
+    const { ffmpeg, ffprobe } = cached.tools;
+    return {
+        status: ffmpeg.available && ffprobe.available ? 'ok' : 'degraded',
+        uptime: Math.round(process.uptime()),
+        checkedAt: new Date(cached.checkedAt).toISOString(),
+        ffmpeg,
+        ffprobe,
+        probes: getProbeStats()
+    };
+}
+
+// "ffprobe version 6.1.1-3ubuntu5 Copyright (c)..." -> "6.1.1-3ubuntu5"
+function getToolVersion(command) {
+    return new Promise(resolve => {
+        execFile(command, ['-version'], { timeout: 5000 }, (error, stdout) => {
+            if (error) {
+                resolve({ available: false, version: null, error: error.code === 'ENOENT' ? 'not found' : error.message });
+                return;
+            }
+            const match = String(stdout).match(/version\s+(\S+)/);
+            resolve({ available: true, version: match ? match[1] : null });
+        });
+    });
+}
+
+module.exports = { getHealth };
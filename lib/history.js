@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Historique local des vérifications (fichier JSON) : empreinte du fichier,
+// videoInfo et résultat de validation, jamais la vidéo elle-même.
+// Chaque entrée appartient au client qui l'a créée (identifiant X-Client-Id),
+// qui ne voit que ses propres entrées. limit s'applique à chaque client : un
+// client ne peut pas faire disparaître l'historique des autres.
+class HistoryStore {
+    constructor(filePath, { limit }) {
+        this.filePath = filePath;
+        this.limit = limit;
+        this.entries = null;
+        // Les écritures sont sérialisées pour ne jamais entrelacer deux sauvegardes
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (this.entries) return this.entries;
+
+        try {
+            this.entries = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Historique illisible (${this.filePath}), il sera recréé:`, error.message);
+            }
+            this.entries = [];
+        }
+        return this.entries;
+    }
+
+    async add({ clientId, profile, frameCheck, videoInfo, validation }) {
+        const entries = await this.load();
+        const entry = {
+            id: crypto.randomBytes(8).toString('hex'),
+            clientId,
+            sha256: videoInfo.sha256,
+            fileName: videoInfo.fileName,
+            profile: { id: profile.id, name: profile.name, version: profile.version },
+            frameCheck,
+            videoInfo,
+            validation,
+            createdAt: new Date().toISOString()
+        };
+
+        entries.unshift(entry);
+        // Les entrées les plus anciennes du client au-delà de la limite sont supprimées
+        let count = 0;
+        this.entries = entries.filter(existing => existing.clientId !== clientId || ++count <= this.limit);
+        await this.save();
+        return entry;
+    }
+
+    async list(clientId) {
+        return (await this.load()).filter(entry => entry.clientId === clientId);
+    }
+
+    async get(id, clientId) {
+        return (await this.load()).find(entry => entry.id === id && entry.clientId === clientId) || null;
+    }
+
+    // Un fichier identique déjà vérifié par ce client avec la même version du
+    // profil et la même méthode de comptage donne le même résultat
+    async find({ clientId, sha256, profile, frameCheck }) {
+        return (await this.load()).find(entry =>
+            entry.clientId === clientId &&
+            entry.sha256 === sha256 &&
+            entry.profile.id === profile.id &&
+            entry.profile.version === profile.version &&
+            entry.frameCheck === frameCheck
+        ) || null;
+    }
+
+    // Supprime une entrée (ou toutes si id est absent) appartenant au client
+    async remove(clientId, id) {
+        const entries = await this.load();
+        const kept = entries.filter(entry => entry.clientId !== clientId || (id && entry.id !== id));
+        const removed = entries.length - kept.length;
+
+        if (removed > 0) {
+            this.entries = kept;
+            await this.save();
+        }
+        return removed;
+    }
+
+    // Écriture atomique : fichier temporaire puis renommage
+    save() {
+        // Un échec d'écriture précédent ne doit pas bloquer les suivantes
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.entries, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        return this.writing;
+    }
+
+    // Résumé affiché dans la liste de l'historique
+    summarize(entry) {
+        return {
+            id: entry.id,
+            fileName: entry.fileName,
+            sha256: entry.sha256,
+            profile: entry.profile,
+            frameCheck: entry.frameCheck,
+            overall: entry.validation.overall,
+            createdAt: entry.createdAt
+        };
+    }
+}
+
+module.exports = { HistoryStore };
@@ -0,0 +1,297 @@
+// Catalogues des messages renvoyés par l'API (erreurs, libellés et exigences
+// des critères). Les textes de l'interface sont dans i18n.js à la racine.
+// Les paramètres s'écrivent {nom} et sont remplacés par translate().
+const MESSAGES = {
+    en: {
+        'errors.NO_FILE': 'No video file provided',
+        'errors.UNSUPPORTED_TYPE': 'Unsupported file type (MP4, MOV or AVI expected)',
+        'errors.FILE_TOO_LARGE': 'File too large (max 150MB)',
+        'errors.TOO_MANY_FILES': 'Unexpected file field or too many files',
+        'errors.INVALID_REQUEST': 'Invalid request',
+        'errors.UNKNOWN_PROFILE': 'Unknown rule profile',
+        'errors.INVALID_API_KEY': 'Invalid API key',
+        'errors.RATE_LIMITED': 'Too many requests, try again later',
+        'errors.INVALID_FRAME_CHECK': 'Unknown frame counting method',
+        'errors.INVALID_JOB_TYPE': 'Unknown job type',
+        'errors.INVALID_WEBHOOK': 'Invalid or unauthorized webhook URL',
+        'errors.WEBHOOK_SECRET_REQUIRED': 'A webhookSecret field is required to sign the webhook notifications',
+        'errors.INSUFFICIENT_STORAGE': 'Not enough disk space on the server, try again later',
+        'errors.UPLOAD_NOT_FOUND': 'Upload session not found or expired',
+        'errors.INVALID_CHUNK': 'Invalid chunk',
+        'errors.CHECKSUM_MISMATCH': 'Chunk checksum mismatch',
+        'errors.MISSING_CHUNKS': 'Some chunks have not been received',
+        'errors.JOB_NOT_FOUND': 'Job not found or expired',
+        'errors.JOB_FINISHED': 'Job already finished',
+        'errors.INVALID_REPORT': 'Invalid report',
+        'errors.UNTRUSTED_REPORT': 'This report was not produced by this server (missing or invalid signature)',
+        'errors.CLIENT_ID_REQUIRED': 'Missing or invalid X-Client-Id header',
+        'errors.HISTORY_NOT_FOUND': 'History entry not found',
+        'errors.FIXED_FILE_NOT_FOUND': 'Fixed video not found or expired',
+        'errors.WATCH_DISABLED': 'Folder watching is not enabled on this server',
+        'errors.NO_VIDEO_STREAM': 'No video stream found in the file',
+        'errors.PROBE_FAILED': 'The file could not be read: it may be corrupt or truncated',
+        'errors.PROBE_TIMEOUT': 'Reading the file took too long',
+        'errors.FFPROBE_MISSING': 'FFprobe is not installed on the server',
+        'errors.FFMPEG_MISSING': 'FFmpeg is not installed on the server',
+        'errors.FFMPEG_FAILED': 'FFmpeg could not process the file',
+        'errors.INTERNAL_ERROR': 'Internal server error',
+
+        'criteria.resolution': 'Resolution',
+        'criteria.format': 'Format',
+        'criteria.fileSize': 'File Size',
+        'criteria.frameRate': 'Frame Rate',
+        'criteria.frameCount': 'Frame Count',
+        'criteria.frameTiming': 'Frame Timing',
+        'criteria.codec': 'Codec',
+        'criteria.blackFrames': 'Black Frames',
+        'criteria.frozenFrames': 'Frozen Frames',
+        'criteria.letterbox': 'Letterbox / Pillarbox',
+        'criteria.pixelFormat': 'Pixel Format',
+        'criteria.colorimetry': 'Color Space',
+        'criteria.colorRange': 'Color Range',
+        'criteria.hdr': 'HDR',
+        'criteria.audio': 'Audio',
+        'criteria.audioFormat': 'Audio Format',
+        'criteria.loudness': 'Integrated Loudness',
+        'criteria.truePeak': 'True Peak',
+        'criteria.avDuration': 'Audio/Video Duration',
+        'criteria.codecProfile': 'Codec Profile',
+        'criteria.codecLevel': 'Codec Level',
+        'criteria.keyframeInterval': 'Keyframe Interval',
+        'criteria.gopStructure': 'GOP Structure',
+        'criteria.faststart': 'Fast Start (moov before mdat)',
+        'criteria.tracks': 'Track Count',
+        'criteria.rotation': 'Rotation',
+
+        'values.unknown': 'Unknown',
+        'values.serverCheckRequired': 'Server check required',
+        'values.none': 'None',
+        'values.constant': 'Constant',
+        'values.silent': 'Silent',
+        'values.untagged': 'Untagged',
+        'values.limited': 'Limited',
+        'values.full': 'Full',
+        'values.fps': '{fps} fps',
+        'values.frames': '{count} frames',
+        'values.bitDepth': '{depth}-bit',
+        'values.segments': '{count} segment(s)',
+        'values.streams': '{count} stream(s)',
+        'values.vfr': 'VFR (avg {fps} fps)',
+        'values.dropped': '{count} dropped',
+        'values.duplicated': '{count} duplicated',
+        'values.activeArea': 'Active area {width}×{height}',
+        'values.avDuration': '{audio}s audio / {video}s video',
+        'values.mono': 'mono',
+        'values.stereo': 'stereo',
+        'values.channels': '{count} channels',
+        'values.keyframeInterval': 'max {seconds}s ({frames} frames)',
+        'values.gop': 'GOP of {sizes} frames, up to {count} consecutive B-frames',
+        'values.irregularGop': 'irregular GOPs ({sizes} frames)',
+        'values.openGop': '{count} open GOP(s)',
+        'values.bFrames': '{count} consecutive B-frames',
+        'values.moovFirst': 'moov before mdat',
+        'values.moovLast': 'moov after mdat',
+        'values.rotation': '{degrees}° (displayed as {width}×{height})',
+
+        'requirements.or': ' or ',
+        'requirements.orUntagged': ' (or untagged)',
+        'requirements.frameTiming': 'Constant frame rate, no dropped or duplicated frames',
+        'requirements.blackFrames': 'No black frames',
+        'requirements.frozenFrames': 'No frozen frames (≥ {duration}s)',
+        'requirements.letterbox': 'No black bars baked into the frame',
+        'requirements.audioRequired': 'Audio track required',
+        'requirements.noAudio': 'No audio track',
+        'requirements.avDuration': 'Difference ≤ {seconds}s',
+        'requirements.keyframeInterval': 'Keyframe at least every {seconds}s',
+        'requirements.regularGop': 'regular GOPs',
+        'requirements.closedGop': 'closed GOPs',
+        'requirements.noBFrames': 'no B-frames',
+        'requirements.maxBFrames': '≤ {count} consecutive B-frames',
+        'requirements.faststart': 'moov before mdat (faststart)',
+        'requirements.noRotation': 'No rotation metadata',
+
+        'details.frame': 'Frame {frame}',
+        'details.frames': 'Frames {start}–{end}',
+        'details.verticalBars': 'Top {top}px, bottom {bottom}px',
+        'details.horizontalBars': 'Left {left}px, right {right}px',
+        'details.colorimetry': 'Matrix / Primaries / Transfer',
+
+        'tracks.video': 'video',
+        'tracks.audio': 'audio',
+        'tracks.subtitle': 'subtitles',
+        'tracks.data': 'data',
+
+        'units.bytes': 'Bytes',
+        'units.kb': 'KB',
+        'units.mb': 'MB',
+        'units.gb': 'GB'
+    },
+    fr: {
+        'errors.NO_FILE': 'Aucun fichier vidéo fourni',
+        'errors.UNSUPPORTED_TYPE': 'Type de fichier non pris en charge (MP4, MOV ou AVI attendu)',
+        'errors.FILE_TOO_LARGE': 'Fichier trop volumineux (150 Mo maximum)',
+        'errors.TOO_MANY_FILES': 'Champ de fichier inattendu ou trop de fichiers',
+        'errors.INVALID_REQUEST': 'Requête invalide',
+        'errors.UNKNOWN_PROFILE': 'Profil de règles inconnu',
+        'errors.INVALID_API_KEY': "Clé d'API invalide",
+        'errors.RATE_LIMITED': 'Trop de requêtes, réessayez plus tard',
+        'errors.INVALID_FRAME_CHECK': "Méthode de comptage d'images inconnue",
+        'errors.INVALID_JOB_TYPE': 'Type de tâche inconnu',
+        'errors.INVALID_WEBHOOK': 'URL de webhook invalide ou non autorisée',
+        'errors.WEBHOOK_SECRET_REQUIRED': 'Un champ webhookSecret est requis pour signer les notifications du webhook',
+        'errors.INSUFFICIENT_STORAGE': "Espace disque insuffisant sur le serveur, réessayez plus tard",
+        'errors.UPLOAD_NOT_FOUND': "Session d'envoi introuvable ou expirée",
+        'errors.INVALID_CHUNK': 'Morceau invalide',
+        'errors.CHECKSUM_MISMATCH': "L'empreinte du morceau ne correspond pas",
+        'errors.MISSING_CHUNKS': "Certains morceaux n'ont pas été reçus",
+        'errors.JOB_NOT_FOUND': 'Tâche introuvable ou expirée',
+        'errors.JOB_FINISHED': 'Tâche déjà terminée',
+        'errors.INVALID_REPORT': 'Rapport invalide',
+        'errors.UNTRUSTED_REPORT': "Ce rapport n'a pas été produit par ce serveur (signature absente ou invalide)",
+        'errors.CLIENT_ID_REQUIRED': 'En-tête X-Client-Id absent ou invalide',
+        'errors.HISTORY_NOT_FOUND': "Entrée d'historique introuvable",
+        'errors.FIXED_FILE_NOT_FOUND': 'Vidéo corrigée introuvable ou expirée',
+        'errors.WATCH_DISABLED': "La surveillance de dossiers n'est pas activée sur ce serveur",
+        'errors.NO_VIDEO_STREAM': 'Aucun flux vidéo dans le fichier',
+        'errors.PROBE_FAILED': 'Le fichier est illisible : il est peut-être corrompu ou tronqué',
+        'errors.PROBE_TIMEOUT': 'La lecture du fichier a pris trop de temps',
+        'errors.FFPROBE_MISSING': "FFprobe n'est pas installé sur le serveur",
+        'errors.FFMPEG_MISSING': "FFmpeg n'est pas installé sur le serveur",
+        'errors.FFMPEG_FAILED': "FFmpeg n'a pas pu traiter le fichier",
+        'errors.INTERNAL_ERROR': 'Erreur interne du serveur',
+
+        'criteria.resolution': 'Résolution',
+        'criteria.format': 'Format',
+        'criteria.fileSize': 'Taille du fichier',
+        'criteria.frameRate': "Fréquence d'images",
+        'criteria.frameCount': "Nombre d'images",
+        'criteria.frameTiming': 'Régularité des images',
+        'criteria.codec': 'Codec',
+        'criteria.blackFrames': 'Images noires',
+        'criteria.frozenFrames': 'Images figées',
+        'criteria.letterbox': 'Bandes noires (letterbox / pillarbox)',
+        'criteria.pixelFormat': 'Format de pixel',
+        'criteria.colorimetry': 'Espace colorimétrique',
+        'criteria.colorRange': 'Plage de couleurs',
+        'criteria.hdr': 'HDR',
+        'criteria.audio': 'Audio',
+        'criteria.audioFormat': 'Format audio',
+        'criteria.loudness': 'Sonie intégrée',
+        'criteria.truePeak': 'Niveau crête (true peak)',
+        'criteria.avDuration': 'Durée audio/vidéo',
+        'criteria.codecProfile': 'Profil du codec',
+        'criteria.codecLevel': 'Niveau du codec',
+        'criteria.keyframeInterval': 'Intervalle des images clés',
+        'criteria.gopStructure': 'Structure des GOP',
+        'criteria.faststart': 'Lecture progressive (moov avant mdat)',
+        'criteria.tracks': 'Nombre de pistes',
+        'criteria.rotation': 'Rotation',
+
+        'values.unknown': 'Inconnu',
+        'values.serverCheckRequired': 'Vérification serveur requise',
+        'values.none': 'Aucun',
+        'values.constant': 'Constante',
+        'values.silent': 'Silence',
+        'values.untagged': 'Non renseigné',
+        'values.limited': 'Limitée',
+        'values.full': 'Complète',
+        'values.fps': '{fps} i/s',
+        'values.frames': '{count} images',
+        'values.bitDepth': '{depth} bits',
+        'values.segments': '{count} segment(s)',
+        'values.streams': '{count} flux',
+        'values.vfr': 'VFR (moyenne {fps} i/s)',
+        'values.dropped': '{count} manquante(s)',
+        'values.duplicated': '{count} dupliquée(s)',
+        'values.activeArea': 'Zone utile {width}×{height}',
+        'values.avDuration': '{audio}s audio / {video}s vidéo',
+        'values.mono': 'mono',
+        'values.stereo': 'stéréo',
+        'values.channels': '{count} canaux',
+        'values.keyframeInterval': 'max {seconds}s ({frames} images)',
+        'values.gop': "GOP de {sizes} images, jusqu'à {count} images B consécutives",
+        'values.irregularGop': 'GOP irréguliers ({sizes} images)',
+        'values.openGop': '{count} GOP ouvert(s)',
+        'values.bFrames': '{count} images B consécutives',
+        'values.moovFirst': 'moov avant mdat',
+        'values.moovLast': 'moov après mdat',
+        'values.rotation': '{degrees}° (affichée en {width}×{height})',
+
+        'requirements.or': ' ou ',
+        'requirements.orUntagged': ' (ou non renseigné)',
+        'requirements.frameTiming': "Fréquence constante, sans image manquante ni dupliquée",
+        'requirements.blackFrames': 'Aucune image noire',
+        'requirements.frozenFrames': 'Aucune image figée (≥ {duration}s)',
+        'requirements.letterbox': "Pas de bandes noires incrustées dans l'image",
+        'requirements.audioRequired': 'Piste audio obligatoire',
+        'requirements.noAudio': 'Aucune piste audio',
+        'requirements.avDuration': 'Écart ≤ {seconds}s',
+        'requirements.keyframeInterval': 'Image clé au moins toutes les {seconds}s',
+        'requirements.regularGop': 'GOP réguliers',
+        'requirements.closedGop': 'GOP fermés',
+        'requirements.noBFrames': 'sans images B',
+        'requirements.maxBFrames': '≤ {count} images B consécutives',
+        'requirements.faststart': 'moov avant mdat (faststart)',
+        'requirements.noRotation': 'Aucune métadonnée de rotation',
+
+        'details.frame': 'Image {frame}',
+        'details.frames': 'Images {start}–{end}',
+        'details.verticalBars': 'Haut {top}px, bas {bottom}px',
+        'details.horizontalBars': 'Gauche {left}px, droite {right}px',
+        'details.colorimetry': 'Matrice / Primaires / Transfert',
+
+        'tracks.video': 'vidéo',
+        'tracks.audio': 'audio',
+        'tracks.subtitle': 'sous-titres',
+        'tracks.data': 'données',
+
+        'units.bytes': 'octets',
+        'units.kb': 'Ko',
+        'units.mb': 'Mo',
+        'units.gb': 'Go'
+    }
+};
+
+const LOCALES = Object.keys(MESSAGES);
+const DEFAULT_LOCALE = 'en';
+
+// Langue de la réponse : paramètre ?lang= (sélecteur de l'interface, EventSource
+// ne pouvant pas envoyer d'en-tête), sinon l'en-tête Accept-Language
+function getLocale(req) {
+    const requested = normalizeLocale(req.query && req.query.lang);
+    if (requested) {
+        return requested;
+    }
+    return req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+}
+
+// "fr-FR" -> "fr" ; null si la langue n'est pas disponible
+function normalizeLocale(locale) {
+    if (typeof locale !== 'string') return null;
+    const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : null;
+}
+
+// Une clé absente du catalogue demandé retombe sur l'anglais, puis sur la clé elle-même
+function translate(locale, key, params = {}) {
+    const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    const message = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+function createTranslator(locale) {
+    return (key, params) => translate(locale, key, params);
+}
+
+module.exports = {
+    MESSAGES,
+    LOCALES,
+    DEFAULT_LOCALE,
+    getLocale,
+    normalizeLocale,
+    translate,
+    createTranslator
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { normalizeError } = require('./errors');
+
+// Durée de conservation d'un job terminé (pour les clients qui se reconnectent)
+const JOB_RETENTION = 10 * 60 * 1000;
+
+// File d'attente de jobs d'analyse avec un nombre limité de jobs simultanés.
+// Chaque job émet 'event' ({ type, ...data }) pour le suivi en direct (SSE).
+class JobQueue {
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    // task(job) reçoit le job : job.signal pour l'annulation, job.report(stage, progress)
+    submit(task, meta = {}) {
+        const job = {
+            // Imprévisible : l'identifiant suffit à suivre, lire et annuler le job
+            id: crypto.randomBytes(12).toString('hex'),
+            status: 'queued',
+            // Le fichier est déjà reçu quand le job est créé
+            stage: 'upload',
+            progress: 100,
+            meta,
+            result: null,
+            error: null,
+            errorCode: null,
+            errorDetails: null,
+            history: [],
+            emitter: new EventEmitter(),
+            controller: new AbortController(),
+            createdAt: Date.now()
+        };
+        job.signal = job.controller.signal;
+        job.report = (stage, progress) => this.report(job, stage, progress);
+        job.task = task;
+
+        this.jobs.set(job.id, job);
+        this.emit(job, 'status', { status: 'queued', position: this.pending.length + 1 });
+        this.pending.push(job);
+        this.next();
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || !['queued', 'running'].includes(job.status)) {
+            return false;
+        }
+
+        job.controller.abort();
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+            this.finish(job, 'cancelled');
+        }
+        return true;
+    }
+
+    report(job, stage, progress) {
+        if (job.status !== 'running') return;
+        job.stage = stage;
+        job.progress = Math.max(0, Math.min(100, Math.round(progress)));
+        this.emit(job, 'progress', { stage, progress: job.progress });
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            this.run(this.pending.shift());
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.status = 'running';
+        this.emit(job, 'status', { status: 'running' });
+
+        try {
+            job.result = await job.task(job);
+            this.finish(job, job.signal.aborted ? 'cancelled' : 'done');
+        } catch (error) {
+            if (job.signal.aborted) {
+                this.finish(job, 'cancelled');
+            } else {
+                // Code du catalogue (lib/errors.js) pour que le client puisse conseiller l'utilisateur ;
+                // le message est traduit dans la langue de chaque client qui suit le job
+                const normalized = normalizeError(error);
+                job.error = normalized.message;
+                job.errorCode = normalized.code;
+                job.errorDetails = normalized.details;
+                this.finish(job, 'failed');
+            }
+        } finally {
+            this.running--;
+            this.next();
+        }
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = Date.now();
+
+        if (status === 'done') {
+            this.emit(job, 'done', { result: job.result });
+        } else if (status === 'failed') {
+            this.emit(job, 'failed', { error: job.error, code: job.errorCode, details: job.errorDetails });
+        } else {
+            this.emit(job, 'cancelled', {});
+        }
+
+        if (job.meta.onFinish) {
+            job.meta.onFinish(job);
+        }
+
+        setTimeout(() => this.jobs.delete(job.id), JOB_RETENTION).unref();
+    }
+
+    // L'historique (sans les progressions intermédiaires) permet de rejouer
+    // les événements à un client SSE arrivé en retard
+    emit(job, type, data) {
+        const event = { type, ...data };
+        if (type !== 'progress') {
+            job.history.push(event);
+        }
+        job.emitter.emit('event', event);
+    }
+
+    // Vue publique d'un job (sans la tâche ni le contrôleur)
+    toJSON(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            stage: job.stage,
+            progress: job.progress,
+            result: job.result,
+            error: job.error,
+            errorCode: job.errorCode,
+            errorDetails: job.errorDetails
+        };
+    }
+}
+
+module.exports = { JobQueue };
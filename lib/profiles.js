@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeWebhooks } = require('./webhooks');
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, '..', 'profiles');
+const DEFAULT_PROFILE = process.env.DEFAULT_PROFILE || 'rampage-rally';
+
+let profiles = null;
+
+// Charge tous les profils JSON du dossier (l'identifiant est le nom du fichier)
+function loadProfiles(dir = PROFILES_DIR) {
+    const loaded = new Map();
+
+    if (!fs.existsSync(dir)) {
+        console.warn(`⚠️ Profiles directory not found: ${dir}`);
+        return loaded;
+    }
+
+    fs.readdirSync(dir)
+        .filter(file => path.extname(file).toLowerCase() === '.json')
+        .sort()
+        .forEach(file => {
+            const id = path.basename(file, path.extname(file));
+            try {
+                const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                loaded.set(id, normalizeProfile(id, raw));
+            } catch (error) {
+                console.error(`⚠️ Invalid profile ${file}: ${error.message}`);
+            }
+        });
+
+    return loaded;
+}
+
+// Normalise un profil brut (unités, valeurs par défaut)
+function normalizeProfile(id, raw) {
+    if (!raw || typeof raw.criteria !== 'object') {
+        throw new Error('missing "criteria" object');
+    }
+
+    const criteria = { ...raw.criteria };
+
+    if (criteria.maxFileSizeMB !== undefined) {
+        criteria.maxFileSize = criteria.maxFileSizeMB * 1024 * 1024;
+    }
+    if (criteria.frameRate !== undefined && criteria.frameRateTolerance === undefined) {
+        criteria.frameRateTolerance = 0.1;
+    }
+    if (criteria.frameCount !== undefined && criteria.frameCountTolerance === undefined) {
+        criteria.frameCountTolerance = 0;
+    }
+
+    return {
+        id,
+        name: raw.name || id,
+        version: raw.version || '1.0.0',
+        description: raw.description || '',
+        criteria,
+        // Notifiés à chaque analyse faite avec ce profil (non exposés par GET /profiles)
+        webhooks: normalizeWebhooks(raw.webhooks)
+    };
+}
+
+function getProfiles() {
+    if (!profiles) {
+        profiles = loadProfiles();
+    }
+    return profiles;
+}
+
+// Retourne le profil demandé, ou le profil par défaut si aucun n'est précisé
+function getProfile(id) {
+    return getProfiles().get(id || DEFAULT_PROFILE) || null;
+}
+
+function reloadProfiles() {
+    profiles = null;
+    return getProfiles();
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    getProfiles,
+    getProfile,
+    reloadProfiles
+};
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { version: toolVersion } = require('../package.json');
+
+const REPORT_FORMATS = ['json', 'html', 'junit'];
+const CRITERION_STATUSES = ['pass', 'warning', 'fail'];
+
+// Rapport de conformité d'un fichier : métadonnées complètes et résultat de
+// chaque critère, pour servir de preuve (certificat) ou de sortie CI
+function buildReport({ videoInfo, validation, probe }, profile) {
+    const criteria = Object.keys(validation)
+        .filter(key => key !== 'overall')
+        .map(key => {
+            const result = validation[key];
+            return {
+                key,
+                label: result.label,
+                status: getCriterionStatus(result),
+                value: result.value,
+                requirement: result.requirement,
+                exact: result.exact,
+                details: result.details || []
+            };
+        });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        tool: { name: 'video-checker', version: toolVersion },
+        profile: { id: profile.id, name: profile.name, version: profile.version },
+        file: {
+            name: videoInfo.fileName,
+            size: videoInfo.fileSize,
+            sha256: videoInfo.sha256
+        },
+        compliant: validation.overall,
+        criteria,
+        videoInfo,
+        probe: probe || null
+    };
+}
+
+function getCriterionStatus(result) {
+    return result.valid ? 'pass' : (result.severity === 'warning' ? 'warning' : 'fail');
+}
+
+// Signature HMAC-SHA256 du rapport tel qu'il est envoyé au client : un rapport
+// renvoyé pour export (certificat, JUnit) doit être celui produit par le serveur,
+// sans critère ni verdict modifié
+function signReport(report, secret) {
+    return { ...report, signature: computeSignature(report, secret) };
+}
+
+function verifyReport(report, secret) {
+    const { signature, ...content } = report;
+    if (typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(computeSignature(content, secret));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function computeSignature(report, secret) {
+    return crypto.createHmac('sha256', secret).update(JSON.stringify(report)).digest('hex');
+}
+
+// Rapport complet ou rapport d'échec d'analyse ({ file: { name }, error }) ;
+// null si la forme est invalide. Les champs facultatifs reçoivent une valeur par défaut.
+function normalizeReport(report) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(report) || !isObject(report.file) || typeof report.file.name !== 'string') {
+        return null;
+    }
+    if (typeof report.error === 'string') {
+        return { file: { name: report.file.name }, error: report.error };
+    }
+    if (typeof report.compliant !== 'boolean' || !Array.isArray(report.criteria) ||
+        !report.criteria.every(criterion => isObject(criterion) && CRITERION_STATUSES.includes(criterion.status))) {
+        return null;
+    }
+
+    const profile = isObject(report.profile) ? report.profile : {};
+    const tool = isObject(report.tool) ? report.tool : {};
+    return {
+        ...report,
+        generatedAt: typeof report.generatedAt === 'string' ? report.generatedAt : '',
+        tool: { name: tool.name || 'video-checker', version: tool.version || '' },
+        profile: { id: profile.id || '', name: profile.name || '', version: profile.version || '' },
+        file: { name: report.file.name, size: report.file.size, sha256: report.file.sha256 },
+        criteria: report.criteria.map(criterion => ({
+            ...criterion,
+            label: criterion.label !== undefined ? criterion.label : criterion.key,
+            value: criterion.value !== undefined ? criterion.value : '',
+            requirement: criterion.requirement !== undefined ? criterion.requirement : '',
+            details: Array.isArray(criterion.details) ? criterion.details : []
+        })),
+        probe: report.probe || null
+    };
+}
+
+function renderReport(reports, format) {
+    switch (format) {
+        case 'html':
+            return { contentType: 'text/html; charset=utf-8', extension: 'html', body: renderHTMLReport(reports) };
+        case 'junit':
+            return { contentType: 'application/xml; charset=utf-8', extension: 'xml', body: renderJUnitReport(reports) };
+        default:
+            return {
+                contentType: 'application/json; charset=utf-8',
+                extension: 'json',
+                body: JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2)
+            };
+    }
+}
+
+// Certificat imprimable (le navigateur l'enregistre en PDF via Imprimer)
+function renderHTMLReport(reports) {
+    const sections = reports.map(report => {
+        if (report.error) {
+            return `
+    <section class="certificate">
+        <h2>${escapeXML(report.file.name)}</h2>
+        <p class="verdict fail">Analysis failed: ${escapeXML(report.error)}</p>
+    </section>`;
+        }
+
+        const rows = report.criteria.map(criterion => `
+            <tr class="${criterion.status}">
+                <td>${escapeXML(criterion.label)}</td>
+                <td>${escapeXML(criterion.requirement)}</td>
+                <td>${escapeXML(criterion.value)}${criterion.details.length > 0 ? `<br><small>${criterion.details.map(escapeXML).join('<br>')}</small>` : ''}</td>
+                <td>${{ pass: '✔ Pass', warning: '! Warning', fail: '✘ Fail' }[criterion.status]}</td>
+            </tr>`).join('');
+
+        return `
+    <section class="certificate">
+        <h2>${escapeXML(report.file.name)}</h2>
+        <p class="verdict ${report.compliant ? 'pass' : 'fail'}">${report.compliant ? 'COMPLIANT' : 'NOT COMPLIANT'} with ${escapeXML(report.profile.name)} (v${escapeXML(report.profile.version)})</p>
+        <dl>
+            <dt>SHA-256</dt><dd><code>${escapeXML(report.file.sha256 || 'n/a')}</code></dd>
+            <dt>File size</dt><dd>${report.file.size} bytes</dd>
+            <dt>Checked on</dt><dd>${escapeXML(report.generatedAt)}</dd>
+            <dt>Tool</dt><dd>${escapeXML(report.tool.name)} ${escapeXML(report.tool.version)}</dd>
+        </dl>
+        <table>
+            <thead><tr><th>Criterion</th><th>Required</th><th>Measured</th><th>Status</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+        <details>
+            <summary>Full probe metadata</summary>
+            <pre>${escapeXML(JSON.stringify(report.probe, null, 2))}</pre>
+        </details>
+    </section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Video compliance certificate</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; max-width: 900px; margin: 40px auto; padding: 0 20px; }
+        h1 { font-size: 1.6em; border-bottom: 2px solid #111; padding-bottom: 10px; }
+        .certificate { page-break-after: always; margin-bottom: 40px; }
+        .verdict { font-size: 1.2em; font-weight: 700; padding: 10px 14px; border-radius: 6px; }
+        .verdict.pass { background: #dcfce7; color: #166534; }
+        .verdict.fail { background: #fee2e2; color: #991b1b; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 16px; }
+        dt { font-weight: 600; }
+        dd { margin: 0; word-break: break-all; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+        tr.fail td:last-child { color: #991b1b; font-weight: 600; }
+        tr.warning td:last-child { color: #92400e; font-weight: 600; }
+        tr.pass td:last-child { color: #166534; }
+        pre { font-size: 0.75em; background: #f5f5f5; padding: 10px; overflow-x: auto; }
+        .print-btn { margin-bottom: 20px; padding: 8px 16px; cursor: pointer; }
+        @media print {
+            .print-btn { display: none; }
+            details > pre { display: block; }
+        }
+    </style>
+</head>
+<body>
+    <h1>🎬 Video compliance certificate</h1>
+    <button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+${sections}
+</body>
+</html>
+`;
+}
+
+// Une suite par fichier, un cas de test par critère (les avertissements ne
+// sont pas des échecs, ils sont signalés dans system-out)
+function renderJUnitReport(reports) {
+    const suites = reports.map(report => {
+        const name = escapeXML(report.file.name);
+
+        if (report.error) {
+            return `  <testsuite name="${name}" tests="1" failures="0" errors="1">
+    <testcase classname="${name}" name="analysis">
+      <error message="${escapeXML(report.error)}"/>
+    </testcase>
+  </testsuite>`;
+        }
+
+        const failures = report.criteria.filter(criterion => criterion.status === 'fail').length;
+        const cases = report.criteria.map(criterion => {
+            const message = `${criterion.value} (required: ${criterion.requirement})`;
+            const body = criterion.status === 'fail'
+                ? `\n      <failure message="${escapeXML(message)}">${escapeXML(criterion.details.join('\n'))}</failure>\n    `
+                : criterion.status === 'warning'
+                    ? `\n      <system-out>${escapeXML(`Warning: ${message}`)}</system-out>\n    `
+                    : '';
+            return `    <testcase classname="${name}" name="${escapeXML(criterion.label)}">${body}</testcase>`;
+        }).join('\n');
+
+        return `  <testsuite name="${name}" tests="${report.criteria.length}" failures="${failures}" errors="0" timestamp="${report.generatedAt}">
+    <properties>
+      <property name="profile" value="${escapeXML(`${report.profile.id}@${report.profile.version}`)}"/>
+      <property name="sha256" value="${escapeXML(report.file.sha256 || '')}"/>
+    </properties>
+${cases}
+  </testsuite>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="video-checker">
+${suites}
+</testsuites>
+`;
+}
+
+function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    buildReport,
+    getCriterionStatus,
+    signReport,
+    verifyReport,
+    normalizeReport,
+    renderReport
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { removeTempFile } = require('./uploads');
+
+// Sessions d'upload reprenables : le fichier est reçu par morceaux numérotés,
+// écrits directement à leur position dans un fichier temporaire pré-alloué.
+// Une session inactive pendant `ttl` est supprimée avec son fichier.
+class UploadSessions {
+    constructor(tempDir, { chunkSize, ttl }) {
+        this.tempDir = tempDir;
+        this.chunkSize = chunkSize;
+        this.ttl = ttl;
+        this.sessions = new Map();
+    }
+
+    async create({ fileName, fileSize, mimeType }) {
+        await fs.promises.mkdir(this.tempDir, { recursive: true });
+
+        const id = crypto.randomBytes(12).toString('hex');
+        const session = {
+            id,
+            fileName,
+            fileSize,
+            mimeType,
+            chunkSize: this.chunkSize,
+            chunkCount: Math.max(1, Math.ceil(fileSize / this.chunkSize)),
+            received: new Set(),
+            path: path.join(this.tempDir, `resumable_${id}${path.extname(fileName).toLowerCase()}`),
+            timer: null
+        };
+
+        // Fichier creux à la taille finale : chaque morceau est écrit à son offset
+        const handle = await fs.promises.open(session.path, 'w');
+        try {
+            await handle.truncate(fileSize);
+        } finally {
+            await handle.close();
+        }
+
+        this.sessions.set(id, session);
+        this.touch(session);
+        return session;
+    }
+
+    get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    // Taille attendue d'un morceau (le dernier peut être plus court)
+    getChunkLength(session, index) {
+        if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+            return null;
+        }
+        return Math.min(session.chunkSize, session.fileSize - index * session.chunkSize);
+    }
+
+    async writeChunk(session, index, buffer) {
+        const handle = await fs.promises.open(session.path, 'r+');
+        try {
+            await handle.write(buffer, 0, buffer.length, index * session.chunkSize);
+        } finally {
+            await handle.close();
+        }
+        session.received.add(index);
+        this.touch(session);
+    }
+
+    getMissingChunks(session) {
+        return Array.from({ length: session.chunkCount }, (_, index) => index)
+            .filter(index => !session.received.has(index));
+    }
+
+    // Le fichier complet est repris par l'appelant (un job), qui le supprimera
+    release(session) {
+        clearTimeout(session.timer);
+        this.sessions.delete(session.id);
+        return session.path;
+    }
+
+    async remove(session) {
+        this.release(session);
+        await removeTempFile(session.path);
+    }
+
+    touch(session) {
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => this.remove(session), this.ttl);
+        session.timer.unref();
+    }
+
+    // Vue publique d'une session (sans le chemin sur disque)
+    toJSON(session) {
+        return {
+            uploadId: session.id,
+            fileName: session.fileName,
+            fileSize: session.fileSize,
+            chunkSize: session.chunkSize,
+            chunkCount: session.chunkCount,
+            received: [...session.received].sort((a, b) => a - b),
+            complete: session.received.size === session.chunkCount
+        };
+    }
+}
+
+module.exports = { UploadSessions };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runFFmpeg } = require('./ffmpeg');
+
+// Nombre d'images réparties entre la première et la dernière frame
+const THUMBNAIL_COUNT = parseInt(process.env.THUMBNAIL_COUNT) || 8;
+const THUMBNAIL_WIDTH = 320;
+
+// Numéros (à partir de 0) des frames à extraire : première, dernière
+// et `count` frames régulièrement espacées entre les deux
+function getThumbnailFrames(frameCount, count = THUMBNAIL_COUNT) {
+    const last = Math.max(0, frameCount - 1);
+    const frames = [0];
+    for (let i = 1; i <= count; i++) {
+        frames.push(Math.round((i * last) / (count + 1)));
+    }
+    frames.push(last);
+    return [...new Set(frames)];
+}
+
+// Extrait les vignettes en une passe FFmpeg (select + showinfo pour les timestamps).
+// Les images ne sont jamais conservées : elles sont lues en data URI puis
+// le dossier temporaire est supprimé, comme la vidéo analysée.
+async function extractThumbnails(filePath, videoInfo, options = {}) {
+    const frames = getThumbnailFrames(videoInfo.frameCount, options.count);
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-checker-thumbs-'));
+
+    try {
+        const select = frames.map(frame => `eq(n\\,${frame})`).join('+');
+        const log = await runFFmpeg([
+            '-i', filePath, '-map', '0:v:0',
+            '-vf', `select=${select},showinfo,scale=${THUMBNAIL_WIDTH}:-2`,
+            '-vsync', 'vfr', '-q:v', '5',
+            path.join(dir, 'thumb_%03d.jpg')
+        ], { signal: options.signal, onProgress: options.onProgress, duration: videoInfo.duration });
+
+        const times = parseShowInfo(log);
+        const thumbnails = [];
+        for (let i = 0; i < frames.length; i++) {
+            const image = await readImage(path.join(dir, `thumb_${String(i + 1).padStart(3, '0')}.jpg`));
+            if (!image) break;
+            thumbnails.push({ frame: frames[i], time: times[i] !== undefined ? times[i] : null, image });
+        }
+
+        // Le conteneur annonce plus de frames qu'il n'en contient : la dernière
+        // frame réellement décodable est extraite depuis la fin du fichier
+        const lastFrame = frames[frames.length - 1];
+        if (!thumbnails.some(thumbnail => thumbnail.frame === lastFrame)) {
+            const lastPath = path.join(dir, 'last.jpg');
+            const lastLog = await runFFmpeg([
+                '-sseof', '-1', '-i', filePath, '-map', '0:v:0',
+                '-vf', `showinfo,scale=${THUMBNAIL_WIDTH}:-2`,
+                '-update', '1', '-q:v', '5', lastPath
+            ], { signal: options.signal });
+            const lastTimes = parseShowInfo(lastLog);
+            const image = await readImage(lastPath);
+            if (image) {
+                thumbnails.push({ frame: null, time: lastTimes.length > 0 ? lastTimes[lastTimes.length - 1] : null, image });
+            }
+        }
+
+        return thumbnails.map((thumbnail, index) => ({
+            ...thumbnail,
+            position: index === 0 ? 'first' : (index === thumbnails.length - 1 ? 'last' : 'middle')
+        }));
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Horodatage (pts_time) de chaque frame sortie du filtre showinfo, dans l'ordre
+function parseShowInfo(log) {
+    return [...log.matchAll(/\bn:\s*\d+\s+pts:\s*-?\d+\s+pts_time:\s*(-?[\d.]+)/g)]
+        .map(match => Math.round(parseFloat(match[1]) * 1000) / 1000);
+}
+
+async function readImage(imagePath) {
+    try {
+        const data = await fs.promises.readFile(imagePath);
+        return `data:image/jpeg;base64,${data.toString('base64')}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    getThumbnailFrames,
+    extractThumbnails
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { sendError } = require('./errors');
+
+// Stockage Multer qui écrit chaque fichier reçu directement dans un fichier
+// temporaire propre à la requête, sans jamais le garder en mémoire
+function createTempStorage(tempDir) {
+    return {
+        _handleFile(req, file, cb) {
+            fs.mkdirSync(tempDir, { recursive: true });
+
+            const tempFileName = `upload_${Date.now()}_${Math.random().toString(36).substring(2, 8)}${path.extname(file.originalname).toLowerCase()}`;
+            const filePath = path.join(tempDir, tempFileName);
+            if (req.tempFiles) {
+                req.tempFiles.add(filePath);
+            }
+
+            const output = fs.createWriteStream(filePath);
+
+            // Connexion interrompue pendant l'envoi : Multer n'est jamais notifié,
+            // on ferme le fichier partiel puis on le supprime
+            const onClose = () => {
+                if (req.complete) return;
+                file.stream.unpipe(output);
+                output.destroy();
+                output.once('close', () => removeTempFile(filePath));
+            };
+            req.once('close', onClose);
+
+            file.stream.pipe(output);
+            output.on('error', (error) => {
+                req.off('close', onClose);
+                cb(error);
+            });
+            output.on('finish', () => {
+                req.off('close', onClose);
+                cb(null, { path: filePath, size: output.bytesWritten });
+            });
+        },
+
+        // Appelé par Multer quand l'upload échoue (taille dépassée, fichier refusé...)
+        _removeFile(req, file, cb) {
+            removeTempFile(file.path).then(() => cb(null), cb);
+        }
+    };
+}
+
+// Middleware à placer avant Multer : les fichiers reçus sont supprimés
+// quand la réponse se termine, sauf ceux repris par un job (claimUpload)
+function trackUploads(req, res, next) {
+    req.tempFiles = new Set();
+    res.on('close', () => {
+        req.tempFiles.forEach(filePath => removeTempFile(filePath));
+        req.tempFiles.clear();
+    });
+    next();
+}
+
+// Le fichier survit à la requête : l'appelant devient responsable de sa suppression
+function claimUpload(req, filePath) {
+    if (req.tempFiles) {
+        req.tempFiles.delete(filePath);
+    }
+}
+
+// Refuse l'upload avant de le recevoir si l'espace disque libre ne suffit pas
+// (taille annoncée par Content-Length, ou taille maximale si absente)
+function checkDiskSpace(tempDir, { maxUploadSize, minFreeSpace }) {
+    return async (req, res, next) => {
+        try {
+            const expected = parseInt(req.headers['content-length']) || maxUploadSize;
+            if (!await hasFreeDiskSpace(tempDir, expected, minFreeSpace)) {
+                return sendError(res, 'INSUFFICIENT_STORAGE');
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+async function hasFreeDiskSpace(tempDir, size, minFreeSpace) {
+    await fs.promises.mkdir(tempDir, { recursive: true });
+    const stats = await fs.promises.statfs(tempDir);
+    const available = stats.bavail * stats.bsize;
+
+    if (available - size < minFreeSpace) {
+        console.warn(`⚠️ Upload refused: ${Math.round(available / 1024 / 1024)}MB free on disk`);
+        return false;
+    }
+    return true;
+}
+
+async function removeTempFile(filePath) {
+    try {
+        await fs.promises.unlink(filePath);
+        console.log(`✅ Temporary file deleted: ${path.basename(filePath)}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Erreur suppression fichier temporaire (${path.basename(filePath)}):`, error.message);
+        }
+    }
+}
+
+// Au démarrage : supprime les fichiers laissés par une exécution précédente
+async function cleanTempDir(tempDir) {
+    let files;
+    try {
+        files = await fs.promises.readdir(tempDir);
+    } catch (error) {
+        return;
+    }
+    await Promise.all(files.map(file => removeTempFile(path.join(tempDir, file))));
+}
+
+module.exports = {
+    createTempStorage,
+    trackUploads,
+    claimUpload,
+    checkDiskSpace,
+    hasFreeDiskSpace,
+    removeTempFile,
+    cleanTempDir
+};
@@ -0,0 +1,743 @@
+const { DEFAULTS: CONTENT_DEFAULTS } = require('./content');
+const { getColorName, getRangeName, normalizeRange } = require('./color');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+
+// Fonction de validation selon les critères du profil sélectionné.
+// locale : langue des libellés, valeurs et exigences (voir lib/i18n.js)
+function validateVideoSpecs(videoInfo, criteria, locale = DEFAULT_LOCALE) {
+    const t = createTranslator(locale);
+    const requirements = describeRequirements(criteria, locale);
+    const results = {};
+
+    if (criteria.resolutions) {
+        results.resolution = {
+            label: t('criteria.resolution'),
+            valid: criteria.resolutions.some(res => 
+                res.width === videoInfo.width && res.height === videoInfo.height
+            ),
+            value: videoInfo.width && videoInfo.height ? `${videoInfo.width}×${videoInfo.height}` : t('values.unknown'),
+            requirement: requirements.resolution,
+            exact: true
+        };
+    }
+
+    if (criteria.formats) {
+        results.format = {
+            label: t('criteria.format'),
+            valid: criteria.formats.some(format => 
+                getFormatAliases(format).some(alias =>
+                    (videoInfo.format || '').toLowerCase().includes(alias) ||
+                    (videoInfo.mimeType || '').includes(alias)
+                )
+            ),
+            value: getFormatName(videoInfo.format, videoInfo.mimeType, locale),
+            requirement: requirements.format,
+            exact: true
+        };
+    }
+
+    if (criteria.maxFileSize !== undefined) {
+        results.fileSize = {
+            label: t('criteria.fileSize'),
+            valid: Number.isFinite(videoInfo.fileSize) && videoInfo.fileSize <= criteria.maxFileSize,
+            value: formatFileSize(videoInfo.fileSize, locale),
+            requirement: requirements.fileSize,
+            exact: true
+        };
+    }
+
+    if (criteria.frameRate !== undefined) {
+        results.frameRate = {
+            label: t('criteria.frameRate'),
+            valid: Number.isFinite(videoInfo.frameRate) && Math.abs(videoInfo.frameRate - criteria.frameRate) <= criteria.frameRateTolerance,
+            value: Number.isFinite(videoInfo.frameRate) ? t('values.fps', { fps: videoInfo.frameRate }) : t('values.unknown'),
+            requirement: requirements.frameRate,
+            exact: true
+        };
+    }
+
+    if (criteria.frameCount !== undefined) {
+        // La tolérance ne s'applique qu'aux comptes issus du conteneur :
+        // un comptage par paquets ou par décodage doit être exact
+        const isCounted = ['packets', 'decode'].includes(videoInfo.frameCountMethod);
+        const tolerance = isCounted ? 0 : criteria.frameCountTolerance;
+
+        results.frameCount = {
+            label: t('criteria.frameCount'),
+            valid: Number.isFinite(videoInfo.frameCount) && Math.abs(videoInfo.frameCount - criteria.frameCount) <= tolerance,
+            value: Number.isFinite(videoInfo.frameCount) ? videoInfo.frameCount : t('values.unknown'),
+            requirement: requirements.frameCount,
+            exact: !['estimated', 'unknown'].includes(videoInfo.frameCountMethod),
+            method: videoInfo.frameCountMethod
+        };
+    }
+
+    if (criteria.constantFrameRate) {
+        const timing = videoInfo.frameTiming;
+        const anomalies = [];
+        if (videoInfo.variableFrameRate) {
+            anomalies.push(t('values.vfr', { fps: videoInfo.avgFrameRate }));
+        }
+        if (timing && timing.droppedFrames > 0) {
+            anomalies.push(t('values.dropped', { count: timing.droppedFrames }));
+        }
+        if (timing && timing.duplicatedFrames > 0) {
+            anomalies.push(t('values.duplicated', { count: timing.duplicatedFrames }));
+        }
+
+        results.frameTiming = {
+            label: t('criteria.frameTiming'),
+            valid: anomalies.length === 0,
+            value: anomalies.length > 0 ? anomalies.join(', ') : t('values.constant'),
+            requirement: requirements.frameTiming,
+            // Sans vérification approfondie, seules les métadonnées sont comparées
+            exact: Boolean(timing)
+        };
+    }
+
+    if (criteria.codecs) {
+        const videoCodec = getCodecName(videoInfo.codec, locale);
+
+        results.codec = {
+            label: t('criteria.codec'),
+            valid: criteria.codecs.some(codec => getCodecName(codec) === videoCodec),
+            value: videoCodec,
+            requirement: requirements.codec,
+            exact: true
+        };
+    }
+
+    if (criteria.codecProfiles || criteria.maxLevels || criteria.gop ||
+        criteria.faststart || criteria.maxTracks || criteria.allowRotation === false) {
+        Object.assign(results, validateStructure(videoInfo, criteria, requirements, locale));
+    }
+
+    // Analyse du contenu des frames (voir lib/content.js)
+    const content = videoInfo.content || {};
+
+    if (criteria.blackFrames && content.blackSegments) {
+        results.blackFrames = {
+            label: t('criteria.blackFrames'),
+            valid: content.blackSegments.length === 0,
+            value: content.blackSegments.length === 0 ? t('values.none') : t('values.segments', { count: content.blackSegments.length }),
+            requirement: requirements.blackFrames,
+            severity: getSeverity(criteria.blackFrames),
+            details: content.blackSegments.map(range => formatFrameRange(range, t)),
+            ranges: content.blackSegments,
+            exact: true
+        };
+    }
+
+    if (criteria.frozenFrames && content.frozenSegments) {
+        results.frozenFrames = {
+            label: t('criteria.frozenFrames'),
+            valid: content.frozenSegments.length === 0,
+            value: content.frozenSegments.length === 0 ? t('values.none') : t('values.segments', { count: content.frozenSegments.length }),
+            requirement: requirements.frozenFrames,
+            severity: getSeverity(criteria.frozenFrames),
+            details: content.frozenSegments.map(range => formatFrameRange(range, t)),
+            ranges: content.frozenSegments,
+            exact: true
+        };
+    }
+
+    if (criteria.letterbox && content.activeArea !== undefined) {
+        const area = content.activeArea;
+        const tolerance = { ...CONTENT_DEFAULTS.letterbox, ...criteria.letterbox }.tolerance;
+        const hasBars = Boolean(area) && (
+            area.width < videoInfo.width - tolerance || area.height < videoInfo.height - tolerance
+        );
+
+        results.letterbox = {
+            label: t('criteria.letterbox'),
+            valid: !hasBars,
+            value: hasBars ? t('values.activeArea', { width: area.width, height: area.height }) : t('values.none'),
+            requirement: requirements.letterbox,
+            severity: getSeverity(criteria.letterbox),
+            details: hasBars ? describeBars(area, videoInfo, t) : [],
+            exact: true
+        };
+    }
+
+    if (criteria.color && videoInfo.color) {
+        Object.assign(results, validateColor(videoInfo.color, criteria.color, requirements, locale));
+    }
+
+    if (criteria.audio) {
+        Object.assign(results, validateAudio(videoInfo, criteria.audio, requirements, locale));
+    }
+
+    // Calcul du résultat global (les avertissements ne font pas échouer la vidéo)
+    results.overall = Object.keys(results).every(key => 
+        key === 'overall' || results[key].valid || results[key].severity === 'warning'
+    );
+
+    return results;
+}
+
+// Critères vérifiables avec les seules valeurs lues dans les boîtes MP4/MOV par la
+// vérification dans le navigateur (preflight.js), avec les mêmes règles qu'ici
+const PREFLIGHT_CRITERIA = [
+    'resolutions', 'formats', 'maxFileSize', 'frameRate', 'frameRateTolerance',
+    'frameCount', 'frameCountTolerance', 'constantFrameRate', 'codecs'
+];
+
+// Validation des informations envoyées par la vérification dans le navigateur :
+// les autres critères du profil (images, audio, structure du flux) sont renvoyés
+// en attente, sans compter dans le résultat global tant que le serveur ne les a pas vérifiés
+function validatePreflight(videoInfo, criteria, locale = DEFAULT_LOCALE) {
+    const t = createTranslator(locale);
+    const preflightCriteria = {};
+    PREFLIGHT_CRITERIA
+        .filter(key => criteria[key] !== undefined)
+        .forEach(key => { preflightCriteria[key] = criteria[key]; });
+    if (criteria.audio) {
+        preflightCriteria.audio = { required: criteria.audio.required };
+    }
+
+    const { overall, ...results } = validateVideoSpecs(videoInfo, preflightCriteria, locale);
+    const requirements = describeRequirements(criteria, locale);
+    Object.keys(requirements).forEach(key => {
+        if (results[key]) {
+            results[key].requirement = requirements[key];
+        } else {
+            results[key] = {
+                label: t(`criteria.${key}`),
+                valid: false,
+                pending: true,
+                value: t('values.serverCheckRequired'),
+                requirement: requirements[key]
+            };
+        }
+    });
+
+    results.overall = Object.keys(results).every(key =>
+        key === 'overall' || results[key].pending || results[key].valid || results[key].severity === 'warning'
+    );
+
+    return results;
+}
+
+// Textes des exigences affichés dans le tableau, générés à partir du profil
+function describeRequirements(criteria, locale = DEFAULT_LOCALE) {
+    const t = createTranslator(locale);
+    const or = t('requirements.or');
+    const requirements = {};
+
+    if (criteria.resolutions) {
+        requirements.resolution = criteria.resolutions
+            .map(res => `${res.width}×${res.height}`)
+            .join(or);
+    }
+    if (criteria.formats) {
+        requirements.format = criteria.formats.map(format => format.toUpperCase()).join(or);
+    }
+    if (criteria.maxFileSize !== undefined) {
+        requirements.fileSize = `< ${formatFileSize(criteria.maxFileSize, locale).replace(' ', '')}`;
+    }
+    if (criteria.frameRate !== undefined) {
+        requirements.frameRate = t('values.fps', { fps: criteria.frameRate });
+    }
+    if (criteria.frameCount !== undefined) {
+        requirements.frameCount = t('values.frames', { count: criteria.frameCount });
+    }
+    if (criteria.constantFrameRate) {
+        requirements.frameTiming = t('requirements.frameTiming');
+    }
+    if (criteria.codecs) {
+        requirements.codec = [...new Set(criteria.codecs.map(codec => getCodecName(codec)))].join(or);
+    }
+    Object.assign(requirements, describeStructureRequirements(criteria, locale));
+    if (criteria.color) {
+        Object.assign(requirements, describeColorRequirements(criteria.color, locale));
+    }
+    if (criteria.audio) {
+        Object.assign(requirements, describeAudioRequirements(criteria.audio, locale));
+    }
+    if (criteria.blackFrames) {
+        requirements.blackFrames = t('requirements.blackFrames');
+    }
+    if (criteria.frozenFrames) {
+        const minDuration = { ...CONTENT_DEFAULTS.frozenFrames, ...criteria.frozenFrames }.minDuration;
+        requirements.frozenFrames = t('requirements.frozenFrames', { duration: minDuration });
+    }
+    if (criteria.letterbox) {
+        requirements.letterbox = t('requirements.letterbox');
+    }
+
+    return requirements;
+}
+
+// Critères de structure du flux et du conteneur :
+// - codecProfiles { h264: ["High", "Main"] } et maxLevels { h264: 4.2 }, par codec
+//   (un codec absent de la liste n'est pas contraint, un codec inconnu échoue) ;
+// - gop { maxKeyframeInterval (s), regular, closed, maxBFrames, severity } (voir lib/gop.js) ;
+// - faststart (moov avant mdat), maxTracks { video, audio, subtitle, data } et
+//   allowRotation: false, qui acceptent aussi "warning" ou { severity }
+function validateStructure(videoInfo, criteria, requirements, locale) {
+    const t = createTranslator(locale);
+    const results = {};
+    const codecName = getCodecName(videoInfo.codec, locale);
+    // Sans codec, impossible de savoir quelle contrainte s'applique : null (échec)
+    const forCodec = map => {
+        if (!videoInfo.codec) return null;
+        const key = Object.keys(map).find(codec => getCodecName(codec) === codecName);
+        return key !== undefined ? map[key] : undefined;
+    };
+
+    if (criteria.codecProfiles) {
+        const allowed = forCodec(criteria.codecProfiles);
+        const profile = videoInfo.profile || null;
+        results.codecProfile = {
+            label: t('criteria.codecProfile'),
+            valid: allowed === undefined || (allowed !== null && profile !== null &&
+                allowed.some(name => name.toLowerCase() === profile.toLowerCase())),
+            value: profile && videoInfo.codec ? `${codecName} ${profile}` : t('values.unknown'),
+            requirement: requirements.codecProfile,
+            exact: true
+        };
+    }
+
+    if (criteria.maxLevels) {
+        const maxLevel = forCodec(criteria.maxLevels);
+        const level = Number.isFinite(videoInfo.level) ? videoInfo.level : null;
+        results.codecLevel = {
+            label: t('criteria.codecLevel'),
+            valid: maxLevel === undefined || (maxLevel !== null && level !== null && level <= maxLevel),
+            value: level !== null && videoInfo.codec ? `${codecName} ${level}` : t('values.unknown'),
+            requirement: requirements.codecLevel,
+            exact: true
+        };
+    }
+
+    const gop = videoInfo.gop;
+    if (criteria.gop && gop) {
+        const severity = getSeverity(criteria.gop);
+
+        if (criteria.gop.maxKeyframeInterval !== undefined) {
+            results.keyframeInterval = {
+                label: t('criteria.keyframeInterval'),
+                valid: gop.maxKeyframeInterval !== null && gop.maxKeyframeInterval <= criteria.gop.maxKeyframeInterval,
+                value: gop.maxKeyframeInterval !== null
+                    ? t('values.keyframeInterval', { seconds: gop.maxKeyframeInterval, frames: gop.maxKeyframeIntervalFrames })
+                    : t('values.none'),
+                requirement: requirements.keyframeInterval,
+                severity,
+                exact: true
+            };
+        }
+
+        if (criteria.gop.regular || criteria.gop.closed || criteria.gop.maxBFrames !== undefined) {
+            const anomalies = [];
+            if (criteria.gop.regular && !gop.regular) {
+                anomalies.push(t('values.irregularGop', { sizes: gop.gopSizes.join(', ') }));
+            }
+            if (criteria.gop.closed && gop.openGops > 0) {
+                anomalies.push(t('values.openGop', { count: gop.openGops }));
+            }
+            if (criteria.gop.maxBFrames !== undefined && gop.maxConsecutiveBFrames > criteria.gop.maxBFrames) {
+                anomalies.push(t('values.bFrames', { count: gop.maxConsecutiveBFrames }));
+            }
+
+            results.gopStructure = {
+                label: t('criteria.gopStructure'),
+                valid: anomalies.length === 0,
+                value: anomalies.length > 0
+                    ? anomalies.join(', ')
+                    : t('values.gop', { sizes: gop.gopSizes.join(', ') || gop.maxKeyframeIntervalFrames, count: gop.maxConsecutiveBFrames }),
+                requirement: requirements.gopStructure,
+                severity,
+                exact: true
+            };
+        }
+    }
+
+    if (criteria.faststart) {
+        const faststart = videoInfo.container ? videoInfo.container.faststart : null;
+        results.faststart = {
+            label: t('criteria.faststart'),
+            valid: faststart === true,
+            value: faststart === null ? t('values.unknown') : t(faststart ? 'values.moovFirst' : 'values.moovLast'),
+            requirement: requirements.faststart,
+            severity: getSeverity(criteria.faststart),
+            exact: faststart !== null
+        };
+    }
+
+    if (criteria.maxTracks && videoInfo.tracks) {
+        const limits = getTrackLimits(criteria.maxTracks);
+        const types = Object.keys(videoInfo.tracks).filter(type => videoInfo.tracks[type] > 0 || limits[type] !== undefined);
+        results.tracks = {
+            label: t('criteria.tracks'),
+            valid: Object.keys(limits).every(type => (videoInfo.tracks[type] || 0) <= limits[type]),
+            value: types.map(type => `${t(`tracks.${type}`)}: ${videoInfo.tracks[type]}`).join(', '),
+            requirement: requirements.tracks,
+            severity: getSeverity(criteria.maxTracks),
+            exact: true
+        };
+    }
+
+    if (criteria.allowRotation === false) {
+        const rotated = videoInfo.rotation !== 0;
+        // Un quart de tour inverse largeur et hauteur à l'affichage
+        const swapped = videoInfo.rotation === 90 || videoInfo.rotation === 270;
+        results.rotation = {
+            label: t('criteria.rotation'),
+            valid: !rotated,
+            value: rotated
+                ? t('values.rotation', {
+                    degrees: videoInfo.rotation,
+                    width: swapped ? videoInfo.height : videoInfo.width,
+                    height: swapped ? videoInfo.width : videoInfo.height
+                })
+                : t('values.none'),
+            requirement: requirements.rotation,
+            exact: true
+        };
+    }
+
+    return results;
+}
+
+function describeStructureRequirements(criteria, locale) {
+    const t = createTranslator(locale);
+    const requirements = {};
+    const perCodec = (map, format) => Object.keys(map)
+        .map(codec => `${getCodecName(codec)} ${format(map[codec])}`)
+        .join(', ');
+
+    if (criteria.codecProfiles) {
+        requirements.codecProfile = perCodec(criteria.codecProfiles, profiles => profiles.join(t('requirements.or')));
+    }
+    if (criteria.maxLevels) {
+        requirements.codecLevel = perCodec(criteria.maxLevels, level => `≤ ${level}`);
+    }
+    if (criteria.gop && criteria.gop.maxKeyframeInterval !== undefined) {
+        requirements.keyframeInterval = t('requirements.keyframeInterval', { seconds: criteria.gop.maxKeyframeInterval });
+    }
+    if (criteria.gop && (criteria.gop.regular || criteria.gop.closed || criteria.gop.maxBFrames !== undefined)) {
+        const structure = [];
+        if (criteria.gop.regular) structure.push(t('requirements.regularGop'));
+        if (criteria.gop.closed) structure.push(t('requirements.closedGop'));
+        if (criteria.gop.maxBFrames === 0) {
+            structure.push(t('requirements.noBFrames'));
+        } else if (criteria.gop.maxBFrames !== undefined) {
+            structure.push(t('requirements.maxBFrames', { count: criteria.gop.maxBFrames }));
+        }
+        requirements.gopStructure = structure.join(', ');
+    }
+    if (criteria.faststart) {
+        requirements.faststart = t('requirements.faststart');
+    }
+    if (criteria.maxTracks) {
+        const limits = getTrackLimits(criteria.maxTracks);
+        requirements.tracks = Object.keys(limits)
+            .map(type => `${t(`tracks.${type}`)} ≤ ${limits[type]}`)
+            .join(', ');
+    }
+    if (criteria.allowRotation === false) {
+        requirements.rotation = t('requirements.noRotation');
+    }
+
+    return requirements;
+}
+
+// Critères de format de pixel et de colorimétrie (voir lib/color.js)
+function validateColor(color, criteria, requirements, locale) {
+    const t = createTranslator(locale);
+    const colorName = value => getColorName(value, locale);
+    const results = {};
+
+    if (criteria.pixelFormats || criteria.bitDepth !== undefined) {
+        const formatValid = !criteria.pixelFormats || criteria.pixelFormats.includes(color.pixelFormat);
+        const depthValid = criteria.bitDepth === undefined || color.bitDepth === criteria.bitDepth;
+
+        results.pixelFormat = {
+            label: t('criteria.pixelFormat'),
+            valid: formatValid && depthValid,
+            value: `${color.pixelFormat || t('values.unknown')} (${t('values.bitDepth', { depth: color.bitDepth || '?' })})`,
+            requirement: requirements.pixelFormat,
+            exact: true
+        };
+    }
+
+    // Un tag absent est accepté seulement si le profil l'autorise
+    const tagValid = (value, allowed) => value === null
+        ? Boolean(criteria.allowUntagged)
+        : !allowed || allowed.includes(value);
+
+    if (criteria.colorSpaces || criteria.colorPrimaries || criteria.colorTransfers) {
+        results.colorimetry = {
+            label: t('criteria.colorimetry'),
+            valid: tagValid(color.colorSpace, criteria.colorSpaces) &&
+                tagValid(color.colorPrimaries, criteria.colorPrimaries) &&
+                tagValid(color.colorTransfer, criteria.colorTransfers),
+            value: [color.colorSpace, color.colorPrimaries, color.colorTransfer].map(colorName).join(' / '),
+            requirement: requirements.colorimetry,
+            details: [t('details.colorimetry')],
+            exact: true
+        };
+    }
+
+    if (criteria.colorRange) {
+        results.colorRange = {
+            label: t('criteria.colorRange'),
+            valid: tagValid(color.colorRange, [normalizeRange(criteria.colorRange)]),
+            value: getRangeName(color.colorRange, locale),
+            requirement: requirements.colorRange,
+            exact: true
+        };
+    }
+
+    if (criteria.allowHDR === false) {
+        results.hdr = {
+            label: t('criteria.hdr'),
+            valid: !color.hdr,
+            value: color.hdr ? `HDR (${colorName(color.colorTransfer)})` : 'SDR',
+            requirement: requirements.hdr,
+            exact: true
+        };
+    }
+
+    return results;
+}
+
+function describeColorRequirements(color, locale) {
+    const t = createTranslator(locale);
+    const or = t('requirements.or');
+    const requirements = {};
+    const untagged = color.allowUntagged ? t('requirements.orUntagged') : '';
+
+    if (color.pixelFormats || color.bitDepth !== undefined) {
+        requirements.pixelFormat = [
+            color.pixelFormats && color.pixelFormats.join(or),
+            color.bitDepth !== undefined && t('values.bitDepth', { depth: color.bitDepth })
+        ].filter(Boolean).join(', ');
+    }
+    if (color.colorSpaces || color.colorPrimaries || color.colorTransfers) {
+        const names = [color.colorSpaces, color.colorPrimaries, color.colorTransfers]
+            .filter(Boolean)
+            .flat()
+            .map(value => getColorName(value, locale));
+        requirements.colorimetry = [...new Set(names)].join(or) + untagged;
+    }
+    if (color.colorRange) {
+        requirements.colorRange = getRangeName(normalizeRange(color.colorRange), locale) + untagged;
+    }
+    if (color.allowHDR === false) {
+        requirements.hdr = 'SDR';
+    }
+
+    return requirements;
+}
+
+// Critères audio : absence de son, ou format, sonie et synchronisation imposés
+function validateAudio(videoInfo, audio, requirements, locale) {
+    const t = createTranslator(locale);
+    const results = {};
+    const streams = videoInfo.audioStreams || [];
+
+    results.audio = {
+        label: t('criteria.audio'),
+        valid: audio.required ? streams.length > 0 : streams.length === 0,
+        value: streams.length === 0 ? t('values.none') : t('values.streams', { count: streams.length }),
+        requirement: requirements.audio,
+        exact: true
+    };
+
+    if (!audio.required || streams.length === 0) {
+        return results;
+    }
+
+    const stream = streams[0];
+
+    if (audio.codecs || audio.channels !== undefined || audio.sampleRate !== undefined) {
+        const codecValid = !audio.codecs || audio.codecs.some(codec => getCodecName(codec) === getCodecName(stream.codec));
+        const channelsValid = audio.channels === undefined || stream.channels === audio.channels;
+        const sampleRateValid = audio.sampleRate === undefined || stream.sampleRate === audio.sampleRate;
+
+        results.audioFormat = {
+            label: t('criteria.audioFormat'),
+            valid: codecValid && channelsValid && sampleRateValid,
+            value: `${getCodecName(stream.codec, locale)}, ${getChannelsName(stream.channels, t)}, ${stream.sampleRate ? `${stream.sampleRate} Hz` : t('values.unknown')}`,
+            requirement: requirements.audioFormat,
+            exact: true
+        };
+    }
+
+    if (audio.loudness && videoInfo.loudness) {
+        const { integrated, truePeak } = videoInfo.loudness;
+
+        if (audio.loudness.integrated !== undefined) {
+            const tolerance = audio.loudness.tolerance !== undefined ? audio.loudness.tolerance : 1;
+            results.loudness = {
+                label: t('criteria.loudness'),
+                valid: integrated !== null && Math.abs(integrated - audio.loudness.integrated) <= tolerance,
+                value: integrated === -Infinity ? t('values.silent') : `${integrated} LUFS`,
+                requirement: requirements.loudness,
+                exact: true
+            };
+        }
+        if (audio.loudness.truePeak !== undefined) {
+            results.truePeak = {
+                label: t('criteria.truePeak'),
+                valid: truePeak !== null && truePeak <= audio.loudness.truePeak,
+                value: truePeak === -Infinity ? '-inf dBTP' : `${truePeak} dBTP`,
+                requirement: requirements.truePeak,
+                exact: true
+            };
+        }
+    }
+
+    if (audio.maxDurationMismatch !== undefined) {
+        const videoDuration = videoInfo.videoDuration !== null && videoInfo.videoDuration !== undefined
+            ? videoInfo.videoDuration
+            : videoInfo.duration;
+        const mismatch = stream.duration !== null ? Math.abs(stream.duration - videoDuration) : null;
+
+        results.avDuration = {
+            label: t('criteria.avDuration'),
+            valid: mismatch !== null && mismatch <= audio.maxDurationMismatch,
+            value: mismatch !== null
+                ? t('values.avDuration', { audio: stream.duration, video: videoDuration })
+                : t('values.unknown'),
+            requirement: requirements.avDuration,
+            exact: mismatch !== null
+        };
+    }
+
+    return results;
+}
+
+function describeAudioRequirements(audio, locale) {
+    const t = createTranslator(locale);
+    const requirements = {
+        audio: audio.required ? t('requirements.audioRequired') : t('requirements.noAudio')
+    };
+
+    if (!audio.required) {
+        return requirements;
+    }
+
+    const format = [];
+    if (audio.codecs) {
+        format.push([...new Set(audio.codecs.map(codec => getCodecName(codec)))].join(t('requirements.or')));
+    }
+    if (audio.channels !== undefined) {
+        format.push(getChannelsName(audio.channels, t));
+    }
+    if (audio.sampleRate !== undefined) {
+        format.push(`${audio.sampleRate} Hz`);
+    }
+    if (format.length > 0) {
+        requirements.audioFormat = format.join(', ');
+    }
+
+    if (audio.loudness && audio.loudness.integrated !== undefined) {
+        const tolerance = audio.loudness.tolerance !== undefined ? audio.loudness.tolerance : 1;
+        requirements.loudness = `${audio.loudness.integrated} LUFS ±${tolerance} LU`;
+    }
+    if (audio.loudness && audio.loudness.truePeak !== undefined) {
+        requirements.truePeak = `≤ ${audio.loudness.truePeak} dBTP`;
+    }
+    if (audio.maxDurationMismatch !== undefined) {
+        requirements.avDuration = t('requirements.avDuration', { seconds: audio.maxDurationMismatch });
+    }
+
+    return requirements;
+}
+
+function getChannelsName(channels, t) {
+    const names = { 1: t('values.mono'), 2: t('values.stereo'), 6: '5.1' };
+    if (!channels) return t('values.unknown');
+    return names[channels] || t('values.channels', { count: channels });
+}
+
+// maxTracks mêle les maximums par type de piste et la sévérité éventuelle
+function getTrackLimits(maxTracks) {
+    const { severity, ...limits } = maxTracks;
+    return limits;
+}
+
+// Un critère de contenu peut valoir true, "warning"/"error" ou { severity, ... }
+function getSeverity(check) {
+    const severity = typeof check === 'string' ? check : check.severity;
+    return severity === 'warning' ? 'warning' : 'error';
+}
+
+function formatFrameRange(range, t) {
+    const frames = range.startFrame === range.endFrame
+        ? t('details.frame', { frame: range.startFrame })
+        : t('details.frames', { start: range.startFrame, end: range.endFrame });
+    return `${frames} (${range.start}s – ${range.end}s)`;
+}
+
+function describeBars(area, videoInfo, t) {
+    const bars = [];
+    const bottom = videoInfo.height - area.height - area.y;
+    const right = videoInfo.width - area.width - area.x;
+
+    if (area.y > 0 || bottom > 0) {
+        bars.push(t('details.verticalBars', { top: area.y, bottom }));
+    }
+    if (area.x > 0 || right > 0) {
+        bars.push(t('details.horizontalBars', { left: area.x, right }));
+    }
+    return bars;
+}
+
+// Fonctions utilitaires
+function formatFileSize(bytes, locale = DEFAULT_LOCALE) {
+    const t = createTranslator(locale);
+    if (!Number.isFinite(bytes)) return t('values.unknown');
+    if (bytes === 0) return `0 ${t('units.bytes')}`;
+    const k = 1024;
+    const sizes = [t('units.bytes'), t('units.kb'), t('units.mb'), t('units.gb')];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function getFormatAliases(format) {
+    const aliases = {
+        'mov': ['mov', 'quicktime'],
+        'avi': ['avi', 'x-msvideo']
+    };
+    return aliases[format.toLowerCase()] || [format.toLowerCase()];
+}
+
+function getFormatName(format, mimeType, locale = DEFAULT_LOCALE) {
+    format = format || '';
+    mimeType = mimeType || '';
+    if (!format && !mimeType) return createTranslator(locale)('values.unknown');
+    if (format.toLowerCase().includes('mp4') || mimeType.includes('mp4')) return 'MP4';
+    if (format.toLowerCase().includes('mov') || format.toLowerCase().includes('quicktime') || mimeType.includes('quicktime')) return 'MOV';
+    return format.toUpperCase();
+}
+
+function getCodecName(codec, locale = DEFAULT_LOCALE) {
+    const codecMap = {
+        'h264': 'H.264',
+        'avc': 'H.264',
+        'avc1': 'H.264',
+        'hevc': 'H.265',
+        'h265': 'H.265',
+        'hev1': 'H.265',
+        'hvc1': 'H.265'
+    };
+    
+    if (!codec) return createTranslator(locale)('values.unknown');
+    const lowerCodec = codec.toLowerCase();
+    for (const [key, value] of Object.entries(codecMap)) {
+        if (lowerCodec.includes(key)) return value;
+    }
+    return codec.toUpperCase();
+}
+
+module.exports = {
+    validateVideoSpecs,
+    validatePreflight,
+    describeRequirements,
+    formatFileSize,
+    getFormatName,
+    getCodecName
+};
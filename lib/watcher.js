@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { VIDEO_EXTENSIONS, checkVideoFile } = require('./checker');
+const { buildReport } = require('./report');
+const { normalizeError } = require('./errors');
+
+const REJECTED_DIR = 'rejected';
+const SIDECAR_SUFFIX = '.check.json';
+
+// Surveillance de dossiers de rendus : chaque nouvelle vidéo est analysée une
+// fois qu'elle a cessé de grossir, puis un rapport <nom>.check.json est
+// écrit à côté. Les dossiers sont relus périodiquement plutôt qu'avec fs.watch, peu
+// fiable sur les partages réseau où arrivent souvent les rendus.
+// Émet 'status' (fichier détecté, en analyse) et 'result' pour le tableau de bord,
+// 'analysis' avec le résultat complet (ou l'erreur) pour les webhooks.
+// Les vues publiques (tableau de bord) ne donnent que le nom des dossiers
+// surveillés et des chemins relatifs à ces dossiers, jamais les chemins du serveur.
+class FolderWatcher extends EventEmitter {
+    constructor(folders, { profile, frameCheck = 'metadata', interval, stableTime, rejectFailed = false, limit = 100 }) {
+        super();
+        this.folders = folders.map(folder => path.resolve(folder));
+        this.profile = profile;
+        this.frameCheck = frameCheck;
+        this.interval = interval;
+        this.stableTime = stableTime;
+        this.rejectFailed = rejectFailed;
+        this.limit = limit;
+        // Chemin -> { size, mtimeMs, stableSince } des fichiers en cours d'écriture
+        this.pending = new Map();
+        // Chemin -> "taille:mtime" des fichiers déjà analysés
+        this.processed = new Map();
+        this.results = [];
+        this.current = null;
+        this.timer = null;
+        this.scanning = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.scan(), this.interval);
+        this.timer.unref();
+        this.scan();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Une passe sur tous les dossiers ; les fichiers stables sont analysés un par un
+    async scan() {
+        if (this.scanning) return;
+        this.scanning = true;
+
+        try {
+            for (const folder of this.folders) {
+                const ready = await this.findStableFiles(folder);
+                for (const filePath of ready) {
+                    await this.process(filePath);
+                }
+            }
+        } catch (error) {
+            console.error('Erreur surveillance des dossiers:', error);
+        } finally {
+            this.scanning = false;
+        }
+    }
+
+    async findStableFiles(folder) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(folder, { withFileTypes: true });
+        } catch (error) {
+            console.error(`Dossier surveillé illisible (${folder}):`, error.message);
+            return [];
+        }
+
+        const now = Date.now();
+        const ready = [];
+        const seen = new Set();
+
+        for (const entry of entries) {
+            // Fichiers masqués : souvent des fichiers temporaires de l'outil de rendu
+            if (!entry.isFile() || entry.name.startsWith('.') || !isVideoFile(entry.name)) continue;
+
+            const filePath = path.join(folder, entry.name);
+            seen.add(filePath);
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (error) {
+                // Supprimé ou renommé entre readdir et stat
+                this.pending.delete(filePath);
+                continue;
+            }
+
+            const signature = `${stats.size}:${stats.mtimeMs}`;
+            if (this.processed.get(filePath) === signature) continue;
+            if (!this.processed.has(filePath) && await this.hasFreshSidecar(filePath, stats)) {
+                this.processed.set(filePath, signature);
+                continue;
+            }
+
+            // Le fichier n'est prêt que si sa taille et sa date n'ont pas bougé pendant stableTime
+            const previous = this.pending.get(filePath);
+            if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+                if (!previous) {
+                    this.emitStatus('detected', filePath);
+                }
+                this.pending.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, stableSince: now });
+            } else if (stats.size > 0 && now - previous.stableSince >= this.stableTime) {
+                this.pending.delete(filePath);
+                ready.push(filePath);
+            }
+        }
+
+        this.forgetMissingFiles(folder, seen);
+        return ready;
+    }
+
+    // Fichiers supprimés, renommés ou rejetés depuis la dernière passe : sans cet
+    // oubli, les deux tables grossiraient sans fin sur un serveur qui tourne des mois
+    forgetMissingFiles(folder, seen) {
+        for (const table of [this.pending, this.processed]) {
+            for (const filePath of table.keys()) {
+                if (path.dirname(filePath) === folder && !seen.has(filePath)) {
+                    table.delete(filePath);
+                }
+            }
+        }
+    }
+
+    // Un rapport plus récent que la vidéo signifie qu'elle a déjà été vérifiée
+    // (ex: avant un redémarrage du serveur). render.mp4 et render.mov partagent
+    // render.check.json : le rapport ne compte que s'il porte sur ce fichier-là.
+    async hasFreshSidecar(filePath, stats) {
+        try {
+            const sidecarPath = getSidecarPath(filePath);
+            const sidecar = await fs.promises.stat(sidecarPath);
+            if (sidecar.mtimeMs < stats.mtimeMs) return false;
+            const report = JSON.parse(await fs.promises.readFile(sidecarPath, 'utf8'));
+            return Boolean(report.file) && report.file.name === path.basename(filePath);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async process(filePath) {
+        const fileName = path.basename(filePath);
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            return;
+        }
+
+        this.current = filePath;
+        this.emitStatus('analyzing', filePath);
+        const fileMeta = { fileName, fileSize: stats.size };
+
+        let report;
+        let status;
+        let failedCriteria = [];
+        let rejectable;
+        try {
+            const result = await checkVideoFile(filePath, this.profile, fileMeta, { frameCheck: this.frameCheck });
+            report = buildReport(result, this.profile);
+            status = result.validation.overall ? 'pass' : 'fail';
+            failedCriteria = report.criteria.filter(criterion => criterion.status === 'fail').map(criterion => criterion.label);
+            rejectable = status === 'fail';
+            this.emit('analysis', { fileMeta, result });
+        } catch (error) {
+            this.emit('analysis', { fileMeta, error });
+            const normalized = normalizeError(error);
+            console.error(`Erreur analyse du fichier surveillé (${fileName}):`, normalized.message);
+            report = {
+                generatedAt: new Date().toISOString(),
+                profile: { id: this.profile.id, name: this.profile.name, version: this.profile.version },
+                file: { name: fileName, size: stats.size },
+                error: normalized.message,
+                code: normalized.code,
+                details: normalized.details
+            };
+            status = 'error';
+            // Fichier illisible : rejeté ; panne du serveur (FFmpeg absent...) : laissé en place
+            rejectable = normalized.status < 500;
+        } finally {
+            this.current = null;
+        }
+
+        let finalPath = filePath;
+        if (this.rejectFailed && rejectable) {
+            try {
+                finalPath = await moveToRejected(filePath);
+            } catch (error) {
+                console.error(`Impossible de déplacer ${fileName} dans ${REJECTED_DIR}/:`, error.message);
+            }
+        }
+
+        const sidecarPath = getSidecarPath(finalPath);
+        try {
+            await writeJSONAtomic(sidecarPath, report);
+        } catch (error) {
+            console.error(`Impossible d'écrire le rapport ${sidecarPath}:`, error.message);
+        }
+
+        // Un fichier déplacé ne sera plus revu ; sinon il n'est réanalysé que s'il change
+        this.processed.set(filePath, `${stats.size}:${stats.mtimeMs}`);
+
+        const folder = path.dirname(filePath);
+        const entry = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            fileName,
+            folder: path.basename(folder),
+            path: path.relative(folder, finalPath),
+            sidecar: path.relative(folder, sidecarPath),
+            rejected: finalPath !== filePath,
+            status,
+            failedCriteria,
+            error: report.error || null,
+            code: report.code || null,
+            details: report.details || null,
+            checkedAt: new Date().toISOString()
+        };
+        this.results.unshift(entry);
+        this.results.splice(this.limit);
+
+        console.log(`${{ pass: '✅', fail: '❌', error: '⚠️' }[status]} ${fileName} (${this.profile.name})${entry.rejected ? ` → ${REJECTED_DIR}/` : ''}`);
+        this.emit('result', entry);
+        return entry;
+    }
+
+    emitStatus(state, filePath) {
+        this.emit('status', { state, fileName: path.basename(filePath), folder: path.basename(path.dirname(filePath)) });
+    }
+
+    // Vue publique pour le tableau de bord
+    toJSON() {
+        return {
+            folders: this.folders.map(folder => path.basename(folder)),
+            profile: { id: this.profile.id, name: this.profile.name, version: this.profile.version },
+            rejectFailed: this.rejectFailed,
+            pending: [...this.pending.keys()].map(filePath => path.basename(filePath)),
+            current: this.current ? path.basename(this.current) : null,
+            results: this.results
+        };
+    }
+}
+
+function isVideoFile(fileName) {
+    return VIDEO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// render_v2.mp4 -> render_v2.check.json ; deux vidéos du même nom (render_v2.mp4
+// et render_v2.mov) écrivent le même rapport, le dernier analysé l'emporte
+function getSidecarPath(filePath) {
+    const extension = path.extname(filePath);
+    return path.join(path.dirname(filePath), `${path.basename(filePath, extension)}${SIDECAR_SUFFIX}`);
+}
+
+// Un fichier du même nom déjà rejeté n'est pas écrasé : suffixe horodaté
+async function moveToRejected(filePath) {
+    const rejectedDir = path.join(path.dirname(filePath), REJECTED_DIR);
+    await fs.promises.mkdir(rejectedDir, { recursive: true });
+
+    let target = path.join(rejectedDir, path.basename(filePath));
+    if (fs.existsSync(target)) {
+        const extension = path.extname(filePath);
+        target = path.join(rejectedDir, `${path.basename(filePath, extension)}_${Date.now()}${extension}`);
+    }
+
+    await fs.promises.rename(filePath, target);
+    return target;
+}
+
+// Écriture atomique : fichier temporaire puis renommage
+async function writeJSONAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+module.exports = {
+    FolderWatcher,
+    getSidecarPath
+};
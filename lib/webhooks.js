@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { version } = require('../package.json');
+
+// Codes HTTP pour lesquels une nouvelle tentative a une chance d'aboutir
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+// Adresses jamais notifiées pour une URL fournie par un client : boucle locale,
+// réseaux privés, lien local (métadonnées cloud), multicast et réservées
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Envoi des notifications de fin d'analyse aux URL enregistrées (profil ou requête).
+// Le corps JSON est signé en HMAC-SHA256 (en-tête X-Video-Checker-Signature:
+// sha256=<hex>) avec le secret de la cible, sinon le secret global ; le
+// destinataire recalcule la signature sur le corps brut pour l'authentifier.
+// Les URL fournies par un client (requested) sont signées avec le secret qu'il a
+// fourni, jamais avec le secret global : sinon n'importe qui obtiendrait des
+// corps signés par le serveur.
+// Une livraison échouée est retentée avec un délai doublé à chaque essai ; les
+// nouvelles tentatives gardent le même identifiant de livraison et le même corps.
+class WebhookNotifier {
+    constructor({ secret = null, attempts = 5, backoff = 1000, timeout = 10000, allowedHosts = [] } = {}) {
+        this.secret = secret;
+        this.attempts = attempts;
+        this.backoff = backoff;
+        this.timeout = timeout;
+        // Hôtes autorisés pour les URL fournies dans les requêtes (vide : aucune)
+        this.allowedHosts = allowedHosts.map(host => host.toLowerCase());
+    }
+
+    // URL reçue d'un client : http(s) uniquement, hôte dans la liste configurée,
+    // et pas d'adresse IP privée ou locale écrite en dur
+    isAllowed(value) {
+        const url = parseHttpUrl(value);
+        if (!url) return false;
+        const host = getHostname(url);
+        return this.allowedHosts.includes(host) && !(net.isIP(host) && isBlockedAddress(host));
+    }
+
+    // targets : [{ url, secret, requested }] ; n'attend pas les livraisons (retournées pour les journaux)
+    send(targets, event, payload) {
+        const deliveries = targets.map(target => {
+            const deliveryId = crypto.randomUUID();
+            const body = JSON.stringify({ event, deliveryId, createdAt: new Date().toISOString(), ...payload });
+            return this.deliver(target, event, deliveryId, body);
+        });
+        return Promise.all(deliveries);
+    }
+
+    async deliver(target, event, deliveryId, body) {
+        const secret = target.requested ? target.secret : target.secret || this.secret;
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': `video-checker/${version}`,
+            'X-Video-Checker-Event': event,
+            'X-Video-Checker-Delivery': deliveryId
+        };
+        if (secret) {
+            headers['X-Video-Checker-Signature'] = `sha256=${sign(secret, body)}`;
+        } else if (target.requested) {
+            console.error(`❌ Webhook ${event} → ${target.url} refusé : aucun secret fourni, livraison ${deliveryId}`);
+            return { url: target.url, deliveryId, delivered: false, attempts: 0, error: 'no secret' };
+        }
+
+        for (let attempt = 1; attempt <= this.attempts; attempt++) {
+            let failure;
+            let retryable = true;
+            try {
+                const response = await this.post(target.url, headers, body, target.requested);
+                if (response.ok) {
+                    return { url: target.url, deliveryId, delivered: true, attempts: attempt };
+                }
+                failure = `HTTP ${response.status}`;
+                // Une autre erreur 4xx (URL inconnue, signature refusée...) ne changera pas
+                retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+            } catch (error) {
+                failure = error.message;
+                retryable = error.code !== 'EBLOCKEDADDRESS';
+            }
+
+            if (!retryable || attempt === this.attempts) {
+                console.error(`❌ Webhook ${event} → ${target.url} abandonné après ${attempt} essai(s) (${failure}), livraison ${deliveryId}`);
+                return { url: target.url, deliveryId, delivered: false, attempts: attempt, error: failure };
+            }
+
+            const delay = this.backoff * 2 ** (attempt - 1);
+            console.warn(`⚠️ Webhook ${event} → ${target.url} en échec (${failure}), nouvel essai dans ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    // POST sans suivre les redirections. Pour une URL fournie par un client, la
+    // connexion se fait à l'adresse vérifiée par lookupPublicAddress : résoudre
+    // le nom une seconde fois laisserait le DNS pointer ailleurs entre-temps.
+    post(value, headers, body, publicOnly) {
+        const url = new URL(value);
+        const host = getHostname(url);
+        if (publicOnly && net.isIP(host) && isBlockedAddress(host)) {
+            return Promise.reject(blockedAddressError(host, host));
+        }
+
+        return new Promise((resolve, reject) => {
+            const client = url.protocol === 'https:' ? https : http;
+            const request = client.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                timeout: this.timeout,
+                ...(publicOnly ? { lookup: lookupPublicAddress } : {})
+            }, response => {
+                response.resume();
+                response.on('end', () => resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode }));
+            });
+            request.on('timeout', () => request.destroy(new Error(`no response after ${this.timeout}ms`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+function sign(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// "[::1]" -> "::1" ; adresses IPv4 converties en IPv6 (::ffff:a.b.c.d) ramenées en IPv4
+function getHostname(url) {
+    return url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+}
+
+function isBlockedAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Remplace dns.lookup pour la connexion : échoue si l'une des adresses du nom
+// est privée ou locale, sinon donne à la socket l'adresse qui vient d'être vérifiée
+function lookupPublicAddress(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked || addresses.length === 0) {
+            return callback(blockedAddressError(hostname, blocked ? blocked.address : 'none'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function blockedAddressError(hostname, address) {
+    return Object.assign(new Error(`${hostname} resolves to a private or local address (${address})`), { code: 'EBLOCKEDADDRESS' });
+}
+
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Webhooks d'un profil : "https://..." ou { "url": "https://...", "secret": "..." }
+function normalizeWebhooks(webhooks) {
+    if (webhooks === undefined) return [];
+    if (!Array.isArray(webhooks)) {
+        throw new Error('"webhooks" must be an array');
+    }
+
+    return webhooks.map(webhook => {
+        const target = typeof webhook === 'string' ? { url: webhook } : { ...webhook };
+        if (!parseHttpUrl(target.url)) {
+            throw new Error(`invalid webhook URL ${JSON.stringify(target.url)}`);
+        }
+        return { url: target.url, secret: typeof target.secret === 'string' ? target.secret : null };
+    });
+}
+
+module.exports = {
+    WebhookNotifier,
+    isBlockedAddress,
+    lookupPublicAddress,
+    normalizeWebhooks,
+    sign
+};
@@ -0,0 +1,257 @@
+// Browser-only preflight: reads the ISO-BMFF / QuickTime box structure of a File
+// (ftyp, moov/trak/tkhd/mdia/mdhd/hdlr/stsd/stts/stsz) without uploading it,
+// to derive codec, resolution, timescale, frame count and frame rate.
+
+// Sample entry fourCC -> FFprobe codec name
+const PREFLIGHT_CODECS = {
+    avc1: 'h264', avc3: 'h264',
+    hvc1: 'hevc', hev1: 'hevc',
+    av01: 'av1', vp09: 'vp9', mp4v: 'mpeg4',
+    apch: 'prores', apcn: 'prores', apcs: 'prores', apco: 'prores', ap4h: 'prores', ap4x: 'prores',
+    jpeg: 'mjpeg', mjpa: 'mjpeg',
+    mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', lpcm: 'pcm', sowt: 'pcm', twos: 'pcm'
+};
+
+// Top-level boxes of a legacy QuickTime file, written before ftyp existed
+const QUICKTIME_BOXES = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+class Mp4Preflight {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async parse() {
+        const topLevel = await this.readTopLevelBoxes();
+        const ftyp = topLevel.find(box => box.type === 'ftyp');
+        const moov = topLevel.find(box => box.type === 'moov');
+        if (!moov) {
+            throw this.error('PREFLIGHT_NO_MOOV', 'No moov box found: not an MP4/MOV file, or the file is incomplete');
+        }
+
+        // Only the moov box is loaded in memory, mdat is never read
+        const view = await this.read(moov.offset, moov.size);
+        const moovBox = { start: moov.headerSize, end: moov.size };
+        if (this.findChild(view, moovBox, 'mvex')) {
+            throw this.error('PREFLIGHT_FRAGMENTED', 'Fragmented MP4 files cannot be checked in the browser, use the server check');
+        }
+
+        const tracks = this.findChildren(view, moovBox, 'trak').map(trak => this.parseTrack(view, trak));
+        const video = tracks.find(track => track.handler === 'vide');
+        if (!video) {
+            throw this.error('NO_VIDEO_STREAM', 'No video track found');
+        }
+        if (video.frameCount === 0) {
+            throw this.error('PREFLIGHT_NO_SAMPLES', 'The video track has no samples');
+        }
+
+        let brand = null;
+        if (ftyp) {
+            const header = await this.read(ftyp.offset + ftyp.headerSize, 4);
+            brand = this.fourCC(header, 0);
+        }
+
+        const timing = this.describeTiming(video);
+
+        return {
+            fileName: this.file.name,
+            fileSize: this.file.size,
+            mimeType: this.file.type || '',
+            format: this.detectFormat(brand, topLevel),
+            brand,
+            width: video.width,
+            height: video.height,
+            displayWidth: video.displayWidth,
+            displayHeight: video.displayHeight,
+            codec: PREFLIGHT_CODECS[video.sampleEntry] || video.sampleEntry,
+            sampleEntry: video.sampleEntry,
+            timescale: video.timescale,
+            duration: Math.round(timing.duration * 100) / 100,
+            frameCount: video.frameCount,
+            frameCountMethod: 'metadata',
+            frameRate: timing.frameRate,
+            avgFrameRate: timing.avgFrameRate,
+            variableFrameRate: timing.variableFrameRate,
+            audioStreams: tracks.filter(track => track.handler === 'soun').map(track => ({
+                codec: PREFLIGHT_CODECS[track.sampleEntry] || track.sampleEntry
+            }))
+        };
+    }
+
+    // 'qt  ' brand, or no ftyp at all with a QuickTime-only layout
+    detectFormat(brand, topLevel) {
+        if (brand === 'qt  ') return 'mov';
+        if (brand === null && topLevel.every(box => QUICKTIME_BOXES.includes(box.type))) return 'mov';
+        return 'mp4';
+    }
+
+    async read(offset, length) {
+        const buffer = await this.file.slice(offset, offset + length).arrayBuffer();
+        return new DataView(buffer);
+    }
+
+    // Walks the top-level boxes using their headers only, so a large mdat
+    // before or after moov costs nothing to skip
+    async readTopLevelBoxes() {
+        const boxes = [];
+        let offset = 0;
+
+        while (offset + 8 <= this.file.size) {
+            const header = await this.read(offset, 16);
+            const type = this.fourCC(header, 4);
+            let size = header.getUint32(0);
+            let headerSize = 8;
+
+            if (size === 1) {
+                size = Number(header.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = this.file.size - offset;
+            }
+            // A truncated last box (usually an mdat cut short) does not matter
+            // once moov has been read in full: only its size is wrong
+            const truncated = offset + size > this.file.size;
+            if (size < headerSize || (truncated && !boxes.some(box => box.type === 'moov'))) {
+                throw this.error('PREFLIGHT_INVALID_BOX', `Invalid or truncated "${type}" box at offset ${offset}`, { type, offset });
+            }
+            if (truncated) {
+                boxes.push({ type, offset, size: this.file.size - offset, headerSize, truncated: true });
+                break;
+            }
+
+            boxes.push({ type, offset, size, headerSize });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    // Children of a container box already loaded in memory ({ start, end } = payload)
+    findChildren(view, parent, type) {
+        const children = [];
+        let offset = parent.start;
+
+        while (offset + 8 <= parent.end) {
+            let size = view.getUint32(offset);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = parent.end - offset;
+            }
+            if (size < headerSize || offset + size > parent.end) break;
+
+            if (this.fourCC(view, offset + 4) === type) {
+                children.push({ start: offset + headerSize, end: offset + size });
+            }
+            offset += size;
+        }
+
+        return children;
+    }
+
+    findChild(view, parent, type) {
+        return this.findChildren(view, parent, type)[0] || null;
+    }
+
+    findPath(view, parent, types) {
+        return types.reduce((box, type) => box && this.findChild(view, box, type), parent);
+    }
+
+    parseTrack(view, trak) {
+        const track = { handler: null, sampleEntry: null, width: 0, height: 0, frameCount: 0, timeToSample: [] };
+
+        const tkhd = this.findChild(view, trak, 'tkhd');
+        if (tkhd) {
+            // Display size, 16.16 fixed point, after the transformation matrix
+            const sizeOffset = tkhd.start + (view.getUint8(tkhd.start) === 1 ? 88 : 76);
+            track.displayWidth = view.getUint32(sizeOffset) / 65536;
+            track.displayHeight = view.getUint32(sizeOffset + 4) / 65536;
+        }
+
+        const mdia = this.findChild(view, trak, 'mdia');
+        if (!mdia) return track;
+
+        const mdhd = this.findChild(view, mdia, 'mdhd');
+        if (mdhd) {
+            const isVersion1 = view.getUint8(mdhd.start) === 1;
+            track.timescale = view.getUint32(mdhd.start + (isVersion1 ? 20 : 12));
+            track.duration = isVersion1
+                ? Number(view.getBigUint64(mdhd.start + 24))
+                : view.getUint32(mdhd.start + 16);
+        }
+
+        const hdlr = this.findChild(view, mdia, 'hdlr');
+        if (hdlr) {
+            track.handler = this.fourCC(view, hdlr.start + 8);
+        }
+
+        const stbl = this.findPath(view, mdia, ['minf', 'stbl']);
+        if (!stbl) return track;
+
+        const stsd = this.findChild(view, stbl, 'stsd');
+        if (stsd && view.getUint32(stsd.start + 4) > 0) {
+            // First sample entry: size, format, then the visual sample entry fields
+            const entry = stsd.start + 8;
+            track.sampleEntry = this.fourCC(view, entry + 4);
+            if (track.handler === 'vide') {
+                track.width = view.getUint16(entry + 32);
+                track.height = view.getUint16(entry + 34);
+            }
+        }
+
+        const stts = this.findChild(view, stbl, 'stts');
+        if (stts) {
+            const entryCount = view.getUint32(stts.start + 4);
+            for (let i = 0; i < entryCount; i++) {
+                const entry = stts.start + 8 + i * 8;
+                track.timeToSample.push({ count: view.getUint32(entry), delta: view.getUint32(entry + 4) });
+            }
+        }
+
+        const stsz = this.findChild(view, stbl, 'stsz');
+        track.frameCount = stsz
+            ? view.getUint32(stsz.start + 8)
+            : track.timeToSample.reduce((total, entry) => total + entry.count, 0);
+
+        return track;
+    }
+
+    // Frame rate from the most common sample duration (like r_frame_rate in FFprobe),
+    // average frame rate from the total duration of all samples
+    describeTiming(track) {
+        const entries = track.timeToSample;
+        const totalTicks = entries.reduce((total, entry) => total + entry.count * entry.delta, 0);
+        const duration = (track.duration || totalTicks) / track.timescale;
+
+        const main = entries.reduce((best, entry) => (!best || entry.count > best.count ? entry : best), null);
+        const frameRate = main && main.delta > 0 ? track.timescale / main.delta : track.frameCount / duration;
+        const avgFrameRate = totalTicks > 0 ? track.frameCount / (totalTicks / track.timescale) : frameRate;
+
+        // Muxers often give the last sample its own duration: not a sign of VFR
+        const deltas = new Set(entries
+            .filter((entry, index) => !(index === entries.length - 1 && entry.count === 1 && entries.length > 1))
+            .map(entry => entry.delta));
+
+        return {
+            duration,
+            frameRate: Math.round(frameRate * 100) / 100,
+            avgFrameRate: Math.round(avgFrameRate * 100) / 100,
+            variableFrameRate: deltas.size > 1
+        };
+    }
+
+    fourCC(view, offset) {
+        return String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+    }
+
+    // The code and params let the interface translate the message (see i18n.js)
+    error(code, message, params = {}) {
+        return Object.assign(new Error(message), { code, params });
+    }
+}
+
+// Node (unit tests): the browser loads this file as a plain script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Mp4Preflight, PREFLIGHT_CODECS };
+}
@@ -1,22 +1,22 @@
 class VideoChecker {
     constructor() {
-        this.criteria = {
-            resolutions: [
-                { width: 1920, height: 810 },
-                { width: 3840, height: 1620 }
-            ],
-            frameRate: 24,
-            frameCount: 144,
-            duration: 6,
-            maxFileSize: 100 * 1024 * 1024, // 100MB in bytes
-            allowedFormats: ['video/mp4', 'video/quicktime'],
-            allowedCodecs: ['h264', 'hevc', 'h265']
-        };
-        
         this.serverUrl = window.location.origin; // Current server URL
         
+        // Contest rules are served by the server (see GET /profiles)
+        this.profiles = [];
+        this.selectedProfile = null;
+        
+        // Anonymous id owning this browser's history entries
+        this.clientId = this.getClientId();
+        
+        // Interface language (see i18n.js), also sent to the server
+        this.locale = this.getInitialLocale();
+        
         this.initializeElements();
+        this.applyTranslations();
         this.attachEventListeners();
+        this.loadProfiles();
+        this.loadHistory();
     }
 
     initializeElements() {
@@ -27,6 +27,37 @@ class VideoChecker {
         this.validationTable = document.getElementById('validationTable');
         this.videoDetails = document.getElementById('videoDetails');
         this.resetBtn = document.getElementById('resetBtn');
+        this.fixBtn = document.getElementById('fixBtn');
+        this.fixResult = document.getElementById('fixResult');
+        this.loadingText = document.getElementById('loadingText');
+        this.spinner = document.getElementById('spinner');
+        this.jobProgress = document.getElementById('jobProgress');
+        this.jobStages = document.getElementById('jobStages');
+        this.progressFill = document.getElementById('progressFill');
+        this.chunkBar = document.getElementById('chunkBar');
+        this.cancelBtn = document.getElementById('cancelBtn');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.profileSummary = document.getElementById('profileSummary');
+        this.profileTitle = document.getElementById('profileTitle');
+        this.frameCheckSelect = document.getElementById('frameCheckSelect');
+        this.preflightToggle = document.getElementById('preflightToggle');
+        this.serverCheckBtn = document.getElementById('serverCheckBtn');
+        this.reportActions = document.getElementById('reportActions');
+        this.contactSheet = document.getElementById('contactSheet');
+        this.reportStatus = document.getElementById('reportStatus');
+        this.compareToggle = document.getElementById('compareToggle');
+        this.similarityToggle = document.getElementById('similarityToggle');
+        this.historyToggle = document.getElementById('historyToggle');
+        this.historyPanel = document.getElementById('historyPanel');
+        this.historyList = document.getElementById('historyList');
+        this.historyCount = document.getElementById('historyCount');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.languageSelect = document.getElementById('languageSelect');
+        
+        this.languageSelect.innerHTML = Object.keys(I18N_LANGUAGES).map(locale => `
+            <option value="${locale}">${I18N_LANGUAGES[locale]}</option>
+        `).join('');
+        this.historyToggle.checked = localStorage.getItem('videoChecker.saveHistory') === 'true';
     }
 
     attachEventListeners() {
@@ -42,6 +73,136 @@ class VideoChecker {
         
         // Reset button
         this.resetBtn.addEventListener('click', () => this.reset());
+        
+        // Auto-fix transcode of the current video
+        this.fixBtn.addEventListener('click', () => this.fixCurrentVideo());
+        
+        // Remaining checks of a browser-only preflight
+        this.serverCheckBtn.addEventListener('click', () => this.checkOnServer(this.currentFile));
+        
+        // Report export (JSON, printable certificate, JUnit XML)
+        this.reportActions.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportReport(button.dataset.format));
+        });
+        
+        // Cancel the running job
+        this.cancelBtn.addEventListener('click', () => this.cancelJob());
+        
+        // Contest profile picker
+        this.profileSelect.addEventListener('change', () => this.selectProfile(this.profileSelect.value));
+        
+        // Language switcher
+        this.languageSelect.addEventListener('change', () => this.setLocale(this.languageSelect.value));
+        
+        // Opt-in history, remembered for the next visits
+        this.historyToggle.addEventListener('change', () => {
+            localStorage.setItem('videoChecker.saveHistory', this.historyToggle.checked);
+        });
+        this.historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'view') {
+                this.viewHistoryEntry(button.dataset.id);
+            } else {
+                this.deleteHistoryEntry(button.dataset.id);
+            }
+        });
+        this.clearHistoryBtn.addEventListener('click', () => this.deleteHistoryEntry());
+    }
+
+    // Saved choice, otherwise the first browser language with a catalog
+    getInitialLocale() {
+        const saved = localStorage.getItem('videoChecker.lang');
+        if (I18N_MESSAGES[saved]) {
+            return saved;
+        }
+        const preferred = (navigator.languages || [navigator.language])
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => I18N_MESSAGES[language]);
+        return preferred || 'en';
+    }
+
+    setLocale(locale) {
+        this.locale = I18N_MESSAGES[locale] ? locale : 'en';
+        localStorage.setItem('videoChecker.lang', this.locale);
+        this.applyTranslations();
+        
+        // Requirements are translated by the server, the history list by the client
+        this.loadProfiles();
+        this.loadHistory();
+    }
+
+    // Static texts of index.html: data-i18n replaces the text, data-i18n-html the markup
+    applyTranslations() {
+        document.documentElement.lang = this.locale;
+        this.languageSelect.value = this.locale;
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+    }
+
+    // Message of the current language, falling back to English then to the key
+    t(key, params = {}) {
+        const messages = I18N_MESSAGES[this.locale] || I18N_MESSAGES.en;
+        const message = messages[key] !== undefined ? messages[key] : I18N_MESSAGES.en[key];
+        if (message === undefined) {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    }
+
+    // Browser preflight errors carry a code and params (see preflight.js), server
+    // errors are already translated from the Accept-Language header
+    translateError(error, fallbackKey) {
+        const key = `errors.${error.code}`;
+        if (error.params && I18N_MESSAGES.en[key]) {
+            return this.t(key, error.params);
+        }
+        return error.message || this.t(fallbackKey);
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await fetch(`${this.serverUrl}/profiles`, {
+                headers: { 'Accept-Language': this.locale }
+            });
+            if (!response.ok) {
+                throw new Error(this.t('errors.serverError', { status: response.status }));
+            }
+            
+            const data = await response.json();
+            this.profiles = data.profiles;
+            
+            this.profileSelect.innerHTML = this.profiles.map(profile => `
+                <option value="${this.escapeHTML(profile.id)}">${this.escapeHTML(profile.name)} (v${this.escapeHTML(profile.version)})</option>
+            `).join('');
+            
+            // Reloading in another language keeps the selected rules
+            const currentProfile = this.selectedProfile && this.selectedProfile.id;
+            const initialProfile = [currentProfile, data.default].find(id => this.profiles.some(profile => profile.id === id))
+                || (this.profiles[0] && this.profiles[0].id);
+            this.selectProfile(initialProfile);
+        } catch (error) {
+            console.error('Profile loading error:', error);
+            this.profileSummary.textContent = this.t('profile.loadError');
+        }
+    }
+
+    selectProfile(profileId) {
+        this.selectedProfile = this.profiles.find(profile => profile.id === profileId) || null;
+        if (!this.selectedProfile) return;
+        
+        this.profileSelect.value = this.selectedProfile.id;
+        this.profileTitle.textContent = ` - ${this.selectedProfile.name}`;
+        document.title = `Video Checker - ${this.selectedProfile.name}`;
+        
+        const requirements = Object.values(this.selectedProfile.requirements);
+        this.profileSummary.textContent = [this.selectedProfile.description, ...requirements]
+            .filter(Boolean)
+            .join(' • ');
     }
 
     handleDragEnter(e) {
@@ -71,83 +232,890 @@ class VideoChecker {
         e.stopPropagation();
         this.uploadArea.classList.remove('dragover');
         
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            this.processFile(files[0]);
-        }
+        this.processFiles(e.dataTransfer.files);
     }
 
     handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.processFile(file);
+        this.processFiles(e.target.files);
+    }
+
+    processFiles(fileList) {
+        const files = Array.from(fileList);
+        if (this.compareToggle.checked) {
+            this.processComparison(files);
+        } else if (files.length === 1) {
+            this.processFile(files[0]);
+        } else if (files.length > 1) {
+            this.processBatch(files);
         }
     }
 
     async processFile(file) {
-        this.showLoading();
+        if (this.preflightToggle.checked) {
+            return this.runPreflight(file);
+        }
+        return this.checkOnServer(file);
+    }
+
+    async checkOnServer(file, { useCache = true } = {}) {
+        this.showJobProgress();
         
         try {
             // Preliminary size check
             if (file.size > 150 * 1024 * 1024) { // 150MB server limit
-                throw new Error('File too large (maximum 150MB for analysis)');
+                throw Object.assign(new Error(this.t('errors.fileTooLarge')), { code: 'FILE_TOO_LARGE' });
+            }
+
+            // An identical file already checked with the same rules needs no upload
+            if (useCache && this.historyToggle.checked) {
+                const cached = await this.findCachedResult(file);
+                if (cached) {
+                    this.displayCachedResult(file, cached);
+                    return;
+                }
             }
 
             // Send video to server for FFmpeg analysis
             const analysisResult = await this.analyzeVideoOnServer(file);
             
-            this.displayResults(file, analysisResult.videoInfo, analysisResult.validation);
+            this.displayResults(file, analysisResult.videoInfo, analysisResult.validation, analysisResult.report, analysisResult.thumbnails);
+            if (analysisResult.historyId) {
+                this.loadHistory();
+            }
             
         } catch (error) {
+            if (error.cancelled) {
+                this.reset();
+                return;
+            }
             console.error('Processing error:', error);
-            this.showError(error.message || 'Error analyzing video');
+            this.showError(error.message || this.t('errors.analyze'), error.code);
         }
     }
 
-    async analyzeVideoOnServer(file) {
+    async processBatch(files) {
+        this.showLoading();
+        
+        try {
+            if (this.preflightToggle.checked) {
+                this.displayBatchResults(await this.preflightBatch(files));
+                return;
+            }
+
+            const tooLarge = files.find(file => file.size > 150 * 1024 * 1024);
+            if (tooLarge) {
+                throw Object.assign(new Error(this.t('errors.batchFileTooLarge', { fileName: tooLarge.name })), { code: 'FILE_TOO_LARGE' });
+            }
+
+            const batchResult = await this.analyzeBatchOnServer(files);
+            
+            this.displayBatchResults(batchResult);
+            
+        } catch (error) {
+            console.error('Batch processing error:', error);
+            this.showError(error.message || this.t('errors.analyzeBatch'), error.code);
+        }
+    }
+
+    // Before/after comparison of two renders, always run on the server
+    async processComparison(files) {
+        this.showJobProgress(this.t('loading.comparing'));
+        
+        try {
+            if (files.length !== 2) {
+                throw new Error(this.t('errors.compareTwoFiles'));
+            }
+            const tooLarge = files.find(file => file.size > 150 * 1024 * 1024);
+            if (tooLarge) {
+                throw Object.assign(new Error(this.t('errors.batchFileTooLarge', { fileName: tooLarge.name })), { code: 'FILE_TOO_LARGE' });
+            }
+            
+            this.displayComparison(files, await this.compareOnServer(files));
+        } catch (error) {
+            if (error.cancelled) {
+                this.reset();
+                return;
+            }
+            console.error('Comparison error:', error);
+            this.showError(error.message || this.t('errors.compare'), error.code);
+        }
+    }
+
+    // Same flow as runJob with two uploads: the sessions are handed to POST /compare
+    async compareOnServer(files) {
+        const job = { controller: new AbortController(), resumeKey: null, uploadId: null, id: null, eventSource: null };
+        this.activeJob = job;
+        const uploadIds = [];
+        
+        try {
+            for (const file of files) {
+                job.resumeKey = this.getResumeKey(file);
+                await this.uploadInChunks(file, job);
+                uploadIds.push(job.uploadId);
+            }
+            
+            const data = await this.requestJSON('/compare', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    uploadIds,
+                    profile: this.selectedProfile ? this.selectedProfile.id : undefined,
+                    frameCheck: this.frameCheckSelect.value,
+                    similarity: this.similarityToggle.checked
+                }),
+                signal: job.controller.signal
+            });
+            
+            files.forEach(file => localStorage.removeItem(this.getResumeKey(file)));
+            job.id = data.jobId;
+            
+            return await this.followJob(job, data.eventsUrl);
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                // cancelJob only knows the upload in progress, not the one already sent
+                if (!job.id) {
+                    uploadIds.filter(id => id !== job.uploadId).forEach(id => {
+                        fetch(`${this.serverUrl}/uploads/${id}`, { method: 'DELETE' }).catch(() => {});
+                    });
+                    files.forEach(file => localStorage.removeItem(this.getResumeKey(file)));
+                }
+                throw Object.assign(new Error(this.t('errors.cancelled')), { cancelled: true });
+            }
+            throw error;
+        } finally {
+            if (job.eventSource) job.eventSource.close();
+            if (this.activeJob === job) this.activeJob = null;
+        }
+    }
+
+    async analyzeBatchOnServer(files) {
         const formData = new FormData();
-        formData.append('video', file);
+        if (this.selectedProfile) {
+            formData.append('profile', this.selectedProfile.id);
+        }
+        formData.append('frameCheck', this.frameCheckSelect.value);
+        files.forEach(file => formData.append('videos', file));
 
-        const response = await fetch(`${this.serverUrl}/analyze-video`, {
+        const response = await fetch(`${this.serverUrl}/analyze-batch`, {
             method: 'POST',
+            headers: { 'Accept-Language': this.locale },
             body: formData
         });
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Server error: ${response.status}`);
+            throw Object.assign(new Error(errorData.error || this.t('errors.serverError', { status: response.status })), { code: errorData.code });
+        }
+
+        return response.json();
+    }
+
+    // Browser-only mode: the file is read locally and never uploaded
+    async runPreflight(file) {
+        this.showLoading(this.t('loading.preflight'));
+        
+        try {
+            const videoInfo = await new Mp4Preflight(file).parse();
+            this.displayPreflightResults(file, videoInfo, await this.validatePreflight(videoInfo));
+        } catch (error) {
+            console.error('Preflight error:', error);
+            this.showError(this.translateError(error, 'errors.readVideo'), error.code);
+        }
+    }
+
+    async preflightBatch(files) {
+        const results = [];
+        for (const file of files) {
+            try {
+                const videoInfo = await new Mp4Preflight(file).parse();
+                results.push({ fileName: file.name, success: true, videoInfo, validation: await this.validatePreflight(videoInfo) });
+            } catch (error) {
+                results.push({ fileName: file.name, success: false, error: this.translateError(error, 'errors.readVideo') });
+            }
+        }
+        
+        const passed = results.filter(result => result.success && result.validation.overall).length;
+        return {
+            success: true,
+            summary: { total: results.length, passed, failed: results.length - passed },
+            results
+        };
+    }
+
+    // Only the values read from the boxes are sent, never the video: the server
+    // applies its own rules (lib/validator.js) and returns the criteria it cannot
+    // check without the file as pending rows
+    async validatePreflight(videoInfo) {
+        if (!this.selectedProfile) {
+            throw new Error(this.t('errors.rulesNotLoaded'));
+        }
+
+        const data = await this.requestJSON('/preflight', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ profile: this.selectedProfile.id, videoInfo })
+        });
+        return data.validation;
+    }
+
+    displayPreflightResults(file, videoInfo, validationResults) {
+        this.displayResults(file, videoInfo, validationResults);
+        
+        // Fixing needs the server, the preflight only offers the remaining checks
+        this.videoDetails.innerHTML = this.renderPreflightDetails(videoInfo);
+        this.fixBtn.style.display = 'none';
+        this.serverCheckBtn.style.display = 'block';
+    }
+
+    renderPreflightDetails(videoInfo) {
+        const displaySize = videoInfo.displayWidth && (videoInfo.displayWidth !== videoInfo.width || videoInfo.displayHeight !== videoInfo.height)
+            ? ` (${this.t('details.displayed', { width: Math.round(videoInfo.displayWidth), height: Math.round(videoInfo.displayHeight) })})`
+            : '';
+        
+        return `
+            <h3>${this.t('preflight.title')}</h3>
+            <div class="details-grid">
+                <div class="detail-item">
+                    <strong>${this.t('details.fileName')}</strong>
+                    <span>${this.escapeHTML(videoInfo.fileName)}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.fileSize')}</strong>
+                    <span>${this.formatFileSize(videoInfo.fileSize)}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.duration')}</strong>
+                    <span>${videoInfo.duration}s</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.resolution')}</strong>
+                    <span>${videoInfo.width}×${videoInfo.height}px${displaySize}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.frameRate')}</strong>
+                    <span>${this.t('values.fps', { fps: videoInfo.frameRate })}${videoInfo.variableFrameRate ? ` (${this.t('values.vfrShort', { fps: videoInfo.avgFrameRate })})` : ''}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.frameCount', { method: this.t('frameCountMethods.sampleTable') })}</strong>
+                    <span>${this.t('values.frames', { count: videoInfo.frameCount })}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.timescale')}</strong>
+                    <span>${this.t('details.ticks', { timescale: videoInfo.timescale })}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.codec')}</strong>
+                    <span>${this.escapeHTML(videoInfo.codec)} (${this.escapeHTML(videoInfo.sampleEntry)})</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.container')}</strong>
+                    <span>${videoInfo.format.toUpperCase()}${videoInfo.brand ? ` (${this.t('details.brand', { brand: this.escapeHTML(videoInfo.brand.trim()) })})` : ''}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.audio')}</strong>
+                    <span>${videoInfo.audioStreams.length === 0 ? this.t('values.none') : videoInfo.audioStreams.map(stream => this.escapeHTML(stream.codec)).join(', ')}</span>
+                </div>
+            </div>
+            <div class="info-note success">
+                <strong>${this.t('preflight.noteTitle')}</strong><br>
+                ${this.t('preflight.noteText')}
+            </div>
+        `;
+    }
+
+    async analyzeVideoOnServer(file) {
+        return this.runJob(file, 'analyze');
+    }
+
+    // Uploads the file in resumable chunks, submits the job to the server queue
+    // and follows it over Server-Sent Events.
+    // Resolves with the job result, rejects with error.cancelled set on cancellation.
+    async runJob(file, type) {
+        const job = { controller: new AbortController(), resumeKey: this.getResumeKey(file), uploadId: null, id: null, eventSource: null };
+        this.activeJob = job;
+        
+        try {
+            await this.uploadInChunks(file, job);
+            
+            const data = await this.requestJSON(`/uploads/${job.uploadId}/complete`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+                body: JSON.stringify({
+                    profile: this.selectedProfile ? this.selectedProfile.id : undefined,
+                    frameCheck: this.frameCheckSelect.value,
+                    type,
+                    saveHistory: this.historyToggle.checked
+                }),
+                signal: job.controller.signal
+            });
+            
+            // The server now owns the file: nothing left to resume
+            localStorage.removeItem(job.resumeKey);
+            job.id = data.jobId;
+            
+            return await this.followJob(job, data.eventsUrl);
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                throw Object.assign(new Error(this.t('errors.cancelled')), { cancelled: true });
+            }
+            throw error;
+        } finally {
+            if (job.eventSource) job.eventSource.close();
+            if (this.activeJob === job) this.activeJob = null;
+        }
+    }
+
+    // Resumes the upload session saved for this file (e.g. before a page reload)
+    // or creates a new one, then sends the missing chunks one by one
+    async uploadInChunks(file, job) {
+        let session = null;
+        const savedId = localStorage.getItem(job.resumeKey);
+        if (savedId) {
+            session = await this.requestJSON(`/uploads/${savedId}`, { signal: job.controller.signal }).catch(() => null);
+        }
+        
+        if (session && session.received.length > 0) {
+            this.loadingText.textContent = this.t('loading.resuming', { received: session.received.length, total: session.chunkCount });
+        }
+        
+        if (!session) {
+            session = await this.requestJSON('/uploads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fileName: file.name, fileSize: file.size, mimeType: file.type }),
+                signal: job.controller.signal
+            });
+            localStorage.setItem(job.resumeKey, session.uploadId);
+        }
+        
+        job.uploadId = session.uploadId;
+        const received = new Set(session.received);
+        this.renderChunks(session.chunkCount, received);
+        this.updateJobStage('upload', (received.size / session.chunkCount) * 100);
+        
+        for (let index = 0; index < session.chunkCount; index++) {
+            if (received.has(index)) continue;
+            
+            await this.uploadChunk(file, session, index, job.controller.signal);
+            received.add(index);
+            this.updateJobStage('upload', (received.size / session.chunkCount) * 100);
+        }
+    }
+
+    // Sends one chunk with its SHA-256 checksum, retrying network and server errors
+    async uploadChunk(file, session, index, signal) {
+        const maxAttempts = 5;
+        const start = index * session.chunkSize;
+        const chunk = await file.slice(start, Math.min(start + session.chunkSize, file.size)).arrayBuffer();
+        const checksum = await this.sha256(chunk);
+        
+        for (let attempt = 1; ; attempt++) {
+            this.setChunkState(index, attempt === 1 ? 'uploading' : 'retrying');
+            
+            try {
+                await this.requestJSON(`/uploads/${session.uploadId}/chunks/${index}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Checksum': checksum },
+                    body: chunk,
+                    signal
+                });
+                this.setChunkState(index, 'done');
+                return;
+            } catch (error) {
+                // Client errors (expired session, invalid chunk) won't be fixed by retrying
+                const retryable = !error.status || error.status >= 500;
+                if (signal.aborted || !retryable || attempt === maxAttempts) {
+                    this.setChunkState(index, 'failed');
+                    throw error;
+                }
+                
+                console.warn(`Chunk ${index} failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    followJob(job, eventsUrl) {
+        return new Promise((resolve, reject) => {
+            // EventSource can't send headers: the language goes in the query string
+            job.eventSource = new EventSource(`${this.serverUrl}${eventsUrl}?lang=${this.locale}`);
+            job.controller.signal.addEventListener('abort', () => reject(new Error(this.t('errors.cancelled'))));
+            
+            job.eventSource.addEventListener('status', (e) => {
+                const event = JSON.parse(e.data);
+                if (event.status === 'queued') {
+                    this.updateJobStage('queued', 0, event.position);
+                }
+            });
+            job.eventSource.addEventListener('progress', (e) => {
+                const event = JSON.parse(e.data);
+                this.updateJobStage(event.stage, event.progress);
+            });
+            job.eventSource.addEventListener('done', (e) => resolve(JSON.parse(e.data).result));
+            job.eventSource.addEventListener('failed', (e) => {
+                const event = JSON.parse(e.data);
+                reject(Object.assign(new Error(event.error || this.t('errors.analysis')), { code: event.code }));
+            });
+            job.eventSource.addEventListener('cancelled', () => {
+                reject(Object.assign(new Error(this.t('errors.cancelled')), { cancelled: true }));
+            });
+        });
+    }
+
+    cancelJob() {
+        const job = this.activeJob;
+        if (!job) return;
+        
+        job.controller.abort();
+        if (job.id) {
+            fetch(`${this.serverUrl}/jobs/${job.id}`, { method: 'DELETE' }).catch(() => {});
+        } else if (job.uploadId) {
+            localStorage.removeItem(job.resumeKey);
+            fetch(`${this.serverUrl}/uploads/${job.uploadId}`, { method: 'DELETE' }).catch(() => {});
+        }
+    }
+
+    async requestJSON(url, options = {}) {
+        const response = await fetch(`${this.serverUrl}${url}`, {
+            ...options,
+            headers: { 'Accept-Language': this.locale, ...options.headers }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw Object.assign(new Error(data.error || this.t('errors.serverError', { status: response.status })), { status: response.status, code: data.code });
+        }
+        return data;
+    }
+
+    getClientId() {
+        let clientId = localStorage.getItem('videoChecker.clientId');
+        if (!clientId) {
+            clientId = crypto.randomUUID();
+            localStorage.setItem('videoChecker.clientId', clientId);
+        }
+        return clientId;
+    }
+
+    // The same file selected again (even after a reload) resumes its upload
+    getResumeKey(file) {
+        return `videoChecker.upload:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    async sha256(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    renderChunks(chunkCount, received) {
+        this.chunkBar.innerHTML = Array.from({ length: chunkCount }, (_, index) => `
+            <span class="chunk${received.has(index) ? ' done' : ''}" data-index="${index}"></span>
+        `).join('');
+        this.chunkBar.style.display = 'flex';
+    }
+
+    setChunkState(index, state) {
+        const chunk = this.chunkBar.querySelector(`[data-index="${index}"]`);
+        if (chunk) {
+            chunk.className = `chunk ${state}`;
+        }
+    }
+
+    showJobProgress(message = this.t('loading.analyzing')) {
+        this.showLoading(message);
+        this.jobStages.innerHTML = '';
+        this.chunkBar.innerHTML = '';
+        this.chunkBar.style.display = 'none';
+        this.jobProgress.style.display = 'block';
+        this.spinner.style.display = 'none';
+    }
+
+    updateJobStage(stage, progress, queuePosition) {
+        let item = this.jobStages.querySelector(`[data-stage="${stage}"]`);
+        if (!item) {
+            // Every earlier stage is complete once a new one starts
+            this.jobStages.querySelectorAll('li').forEach(previous => {
+                previous.classList.add('done');
+                previous.querySelector('.stage-percent').textContent = '✅';
+            });
+            item = document.createElement('li');
+            item.dataset.stage = stage;
+            item.innerHTML = `<span class="stage-label"></span><span class="stage-percent"></span>`;
+            this.jobStages.appendChild(item);
+        }
+        
+        const label = I18N_MESSAGES.en[`stages.${stage}`] ? this.t(`stages.${stage}`) : stage;
+        item.querySelector('.stage-label').textContent = queuePosition
+            ? this.t('stages.queuePosition', { label, position: queuePosition })
+            : label;
+        item.querySelector('.stage-percent').textContent = `${Math.round(progress)}%`;
+        this.progressFill.style.width = `${Math.round(progress)}%`;
+    }
+
+    displayResults(file, videoInfo, validationResults, report, thumbnails) {
+        this.hideLoading();
+        
+        this.currentFile = file;
+        this.setReports(report ? [report] : null);
+        this.serverCheckBtn.style.display = 'none';
+        this.validationTable.innerHTML = this.renderValidation(validationResults);
+        this.videoDetails.innerHTML = this.renderDetails(file.name, videoInfo);
+        this.contactSheet.innerHTML = this.renderContactSheet(thumbnails, videoInfo.frameCount);
+        this.fixResult.style.display = 'none';
+        this.fixBtn.style.display = validationResults.overall ? 'none' : 'block';
+        
+        this.results.style.display = 'block';
+        this.results.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Looks the file's SHA-256 up in the server history. A lookup failure
+    // is not an error: the file is simply analyzed again.
+    async findCachedResult(file) {
+        this.loadingText.textContent = this.t('loading.historyLookup');
+        
+        try {
+            const hash = await this.sha256(await file.arrayBuffer());
+            const params = new URLSearchParams({
+                sha256: hash,
+                profile: this.selectedProfile ? this.selectedProfile.id : '',
+                frameCheck: this.frameCheckSelect.value
+            });
+            return await this.requestJSON(`/history/lookup?${params}`, { headers: { 'X-Client-Id': this.clientId } });
+        } catch (error) {
+            if (error.status !== 404) {
+                console.warn('History lookup failed:', error.message);
+            }
+            return null;
+        } finally {
+            this.loadingText.textContent = this.t('loading.analyzing');
+        }
+    }
+
+    displayCachedResult(file, cached) {
+        this.displayResults(file, cached.videoInfo, cached.validation, cached.report);
+        
+        const note = document.createElement('div');
+        note.className = 'info-note cached-note';
+        note.innerHTML = `
+            <span>${this.t('history.cached', { date: this.formatDate(cached.cachedAt) })}</span>
+            <button class="report-btn">${this.t('history.checkAgain')}</button>
+        `;
+        note.querySelector('button').addEventListener('click', () => this.checkOnServer(file, { useCache: false }));
+        this.validationTable.prepend(note);
+    }
+
+    async loadHistory() {
+        try {
+            const data = await this.requestJSON('/history', { headers: { 'X-Client-Id': this.clientId } });
+            this.renderHistory(data.entries);
+        } catch (error) {
+            console.error('History loading error:', error);
         }
+    }
 
-        const result = await response.json();
+    renderHistory(entries) {
+        this.historyPanel.style.display = entries.length > 0 ? 'block' : 'none';
+        this.historyCount.textContent = `(${entries.length})`;
+        this.historyList.innerHTML = entries.map(entry => `
+            <li>
+                <span>${entry.overall ? '✅' : '❌'}</span>
+                <span class="history-file" title="${this.escapeHTML(entry.sha256 || '')}">${this.escapeHTML(entry.fileName)}</span>
+                <span class="history-meta">${this.escapeHTML(entry.profile.name)} (v${this.escapeHTML(entry.profile.version)}) • ${this.formatDate(entry.createdAt)}</span>
+                <button class="report-btn" data-action="view" data-id="${entry.id}">${this.t('history.view')}</button>
+                <button class="report-btn" data-action="delete" data-id="${entry.id}">${this.t('history.delete')}</button>
+            </li>
+        `).join('');
+    }
+
+    async viewHistoryEntry(id) {
+        try {
+            const entry = await this.requestJSON(`/history/${id}`, { headers: { 'X-Client-Id': this.clientId } });
+            this.uploadArea.style.display = 'none';
+            this.displayResults({ name: entry.videoInfo.fileName }, entry.videoInfo, entry.validation, entry.report);
+            
+            // The video itself was never kept: it can't be fixed from here
+            this.currentFile = null;
+            this.fixBtn.style.display = 'none';
+            
+            const note = document.createElement('div');
+            note.className = 'info-note cached-note';
+            note.textContent = this.t('history.checkedOn', {
+                date: this.formatDate(entry.cachedAt),
+                profile: entry.profile.name,
+                version: entry.profile.version
+            });
+            this.validationTable.prepend(note);
+        } catch (error) {
+            console.error('History entry error:', error);
+            this.showError(error.message || this.t('errors.historyEntry'), error.code);
+        }
+    }
+
+    // Deletes one entry, or every entry of this browser when id is omitted
+    async deleteHistoryEntry(id) {
+        if (!id && !confirm(this.t('history.confirmClear'))) return;
         
-        if (!result.success) {
-            throw new Error(result.error || 'Analysis error');
+        try {
+            await this.requestJSON(id ? `/history/${id}` : '/history', {
+                method: 'DELETE',
+                headers: { 'X-Client-Id': this.clientId }
+            });
+        } catch (error) {
+            console.error('History deletion error:', error);
         }
+        this.loadHistory();
+    }
 
-        return result;
+    displayComparison(files, result) {
+        this.hideLoading();
+        
+        this.currentFile = null;
+        this.setReports([result.first.report, result.second.report]);
+        this.serverCheckBtn.style.display = 'none';
+        this.fixBtn.style.display = 'none';
+        this.fixResult.style.display = 'none';
+        this.contactSheet.innerHTML = '';
+        
+        const { summary, criteria, metadata } = result.comparison;
+        const describe = compliant => compliant ? this.t('compare.compliant') : this.t('compare.notCompliant');
+        const statusIcons = { pass: '✅', warning: '⚠️', fail: '❌' };
+        const statusClasses = { pass: 'status-valid', warning: 'status-warning', fail: 'status-invalid' };
+        const renderStatus = side => side
+            ? `<span class="status-icon ${statusClasses[side.status]}">${statusIcons[side.status]}</span> ${this.escapeHTML(side.value)}`
+            : '-';
+        
+        const changes = [
+            summary.fixed.length > 0 ? this.t('compare.fixed', { criteria: summary.fixed.join(', ') }) : '',
+            summary.regressed.length > 0 ? this.t('compare.regressed', { criteria: summary.regressed.join(', ') }) : ''
+        ].filter(Boolean);
+        
+        this.validationTable.innerHTML = `
+            <div class="final-status ${summary.secondCompliant ? 'pass' : 'fail'}">
+                ${summary.secondCompliant ? '🎉' : '❌'} ${this.t('compare.verdict', { before: describe(summary.firstCompliant), after: describe(summary.secondCompliant) })}
+            </div>
+            ${changes.length > 0 ? `<div class="info-note">${changes.map(change => this.escapeHTML(change)).join('<br>')}</div>` : ''}
+            <table>
+                <thead>
+                    <tr>
+                        <th>${this.t('table.criterion')}</th>
+                        <th>${this.t('table.required')}</th>
+                        <th>${this.t('table.before')}</th>
+                        <th>${this.t('table.after')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${criteria.map(criterion => `
+                        <tr class="${criterion.changed ? 'changed' : ''}">
+                            <td><div class="criterion-name">${this.escapeHTML(criterion.label)}</div></td>
+                            <td>${this.escapeHTML(criterion.requirement)}</td>
+                            <td>${renderStatus(criterion.first)}</td>
+                            <td>${renderStatus(criterion.second)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        this.videoDetails.innerHTML = `
+            ${this.renderSimilarity(result.similarity)}
+            <h3>${this.t('compare.metadataChanges', { count: summary.changedFields })}</h3>
+            ${this.renderMetadataDiff(files, metadata.filter(field => field.changed))}
+            <details>
+                <summary>${this.t('compare.unchangedFields', { count: metadata.length - summary.changedFields })}</summary>
+                ${this.renderMetadataDiff(files, metadata.filter(field => !field.changed))}
+            </details>
+        `;
+        
+        this.results.style.display = 'block';
+        this.results.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderMetadataDiff(files, fields) {
+        if (fields.length === 0) {
+            return `<p class="info-note">${this.t('compare.noDifference')}</p>`;
+        }
+        const format = value => value === null ? '-' : this.escapeHTML(Array.isArray(value) ? value.join(', ') : value);
+        
+        return `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>${this.t('table.field')}</th>
+                        <th>${this.escapeHTML(files[0].name)}</th>
+                        <th>${this.escapeHTML(files[1].name)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${fields.map(field => `
+                        <tr class="${field.changed ? 'changed' : ''}">
+                            <td>${this.escapeHTML(field.field)}</td>
+                            <td>${format(field.first)}</td>
+                            <td>${format(field.second)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
-    displayResults(file, videoInfo, validationResults) {
+    // Per-frame SSIM curve (lowest value of each group of frames) with the
+    // threshold below which a frame is considered visually different
+    renderSimilarity(similarity) {
+        if (!similarity) return '';
+        
+        const verdicts = {
+            identical: this.t('compare.identical'),
+            'encode-only': this.t('compare.encodeOnly'),
+            'content-changed': this.t('compare.contentChanged', { count: similarity.differentFrames })
+        };
+        
+        const floor = Math.min(similarity.ssim.min === null ? 1 : similarity.ssim.min, similarity.threshold) - 0.01;
+        const toY = ssim => Math.round(((1 - ssim) / (1 - floor)) * 100 * 10) / 10;
+        const points = similarity.timeline.map((point, index) => {
+            const x = similarity.timeline.length > 1 ? (index / (similarity.timeline.length - 1)) * 600 : 0;
+            return `${Math.round(x)},${toY(point.ssim)}`;
+        }).join(' ');
+        const worstFrames = similarity.worstFrames.filter(frame => frame.ssim < similarity.threshold);
+        
+        return `
+            <h3>${this.t('compare.similarityTitle', { count: similarity.comparedFrames })}</h3>
+            <div class="final-status ${similarity.verdict === 'content-changed' ? 'fail' : 'pass'}">${verdicts[similarity.verdict]}</div>
+            <div class="details-grid">
+                <div class="detail-item">
+                    <strong>${this.t('compare.psnr')}</strong>
+                    <span>${similarity.psnr.average === null ? '∞' : `${similarity.psnr.average} / ${similarity.psnr.min} dB`}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('compare.ssim')}</strong>
+                    <span>${similarity.ssim.average} / ${similarity.ssim.min}</span>
+                </div>
+            </div>
+            <svg class="similarity-chart" viewBox="0 0 600 100" preserveAspectRatio="none">
+                <line x1="0" x2="600" y1="${toY(similarity.threshold)}" y2="${toY(similarity.threshold)}" vector-effect="non-scaling-stroke"></line>
+                <polyline points="${points}" vector-effect="non-scaling-stroke"></polyline>
+            </svg>
+            ${worstFrames.length > 0 ? `
+            <div class="info-note">
+                <strong>${this.t('compare.worstFrames')}</strong><br>
+                ${worstFrames.map(frame => this.t('compare.worstFrame', { frame: frame.frame + 1, time: frame.time, ssim: frame.ssim })).join('<br>')}
+            </div>
+            ` : ''}
+        `;
+    }
+
+    async fixCurrentVideo() {
+        if (!this.currentFile) return;
+        
+        this.showJobProgress(this.t('loading.fixing'));
+        
+        try {
+            const result = await this.runJob(this.currentFile, 'fix');
+            this.displayFixResult(result);
+        } catch (error) {
+            if (error.cancelled) {
+                this.reset();
+                return;
+            }
+            console.error('Fix error:', error);
+            this.showError(error.message || this.t('errors.fix'), error.code);
+        }
+    }
+
+    displayFixResult(result) {
         this.hideLoading();
         
+        this.setReports([result.report]);
+        this.contactSheet.innerHTML = '';
+        this.validationTable.innerHTML = this.renderValidation(result.validation);
+        this.videoDetails.innerHTML = this.renderDetails(result.videoInfo.fileName, result.videoInfo);
+        this.fixBtn.style.display = 'none';
+        
+        this.fixResult.innerHTML = `
+            <h3>${this.t('fix.title')}</h3>
+            <p>${this.t('fix.intro')}</p>
+            <pre class="fix-command"><code>${this.escapeHTML(result.command)}</code></pre>
+            <div class="fix-actions">
+                <button class="reset-btn" id="copyCommandBtn">${this.t('fix.copy')}</button>
+                ${result.validation.overall ? `
+                <a class="fix-btn" href="${this.serverUrl}${this.escapeHTML(result.downloadUrl)}" download="${this.escapeHTML(result.videoInfo.fileName)}">${this.t('fix.download', { fileName: this.escapeHTML(result.videoInfo.fileName) })}</a>
+                ` : `
+                <div class="info-note error">
+                    ${this.t('fix.stillFailing')}
+                </div>
+                `}
+            </div>
+        `;
+        this.fixResult.querySelector('#copyCommandBtn').addEventListener('click', () => {
+            navigator.clipboard.writeText(result.command);
+        });
+        this.fixResult.style.display = 'block';
+        
+        this.results.style.display = 'block';
+        this.results.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    setReports(reports) {
+        this.reports = reports;
+        this.reportStatus.textContent = '';
+        this.reportActions.style.display = reports ? 'flex' : 'none';
+    }
+
+    // The server renders the reports received from the analysis: JSON and JUnit
+    // are downloaded, the HTML certificate opens in a new tab to be printed
+    async exportReport(format) {
+        if (!this.reports) return;
+        
+        this.reportStatus.textContent = '';
+        try {
+            const response = await fetch(`${this.serverUrl}/report?format=${format}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept-Language': this.locale },
+                body: JSON.stringify(this.reports.length === 1 ? this.reports[0] : { reports: this.reports })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || this.t('errors.serverError', { status: response.status }));
+            }
+            
+            const url = URL.createObjectURL(await response.blob());
+            if (format === 'html') {
+                window.open(url, '_blank');
+            } else {
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = (disposition.match(/filename="([^"]+)"/) || [])[1] || `report.${format}`;
+                link.click();
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('Report export error:', error);
+            this.reportStatus.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    renderValidation(validationResults) {
         // Create validation table with real server values
         const tableHTML = `
             <table>
                 <thead>
                     <tr>
-                        <th>Criterion</th>
-                        <th>Required</th>
-                        <th>Your Video</th>
-                        <th>Status</th>
+                        <th>${this.t('table.criterion')}</th>
+                        <th>${this.t('table.required')}</th>
+                        <th>${this.t('table.yourVideo')}</th>
+                        <th>${this.t('table.status')}</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${this.createTableRow('Resolution', validationResults.resolution)}
-                    ${this.createTableRow('Format', validationResults.format)}
-                    ${this.createTableRow('File Size', validationResults.fileSize)}
-                    ${this.createTableRow('Frame Rate', validationResults.frameRate)}
-                    ${this.createTableRow('Frame Count', validationResults.frameCount)}
-                    ${this.createTableRow('Codec', validationResults.codec)}
+                    ${Object.keys(validationResults)
+                        .filter(key => key !== 'overall')
+                        .map(key => this.createTableRow(validationResults[key].label, validationResults[key]))
+                        .join('')}
                 </tbody>
             </table>
         `;
@@ -155,82 +1123,387 @@ class VideoChecker {
         // Final result
         const finalStatusClass = validationResults.overall ? 'pass' : 'fail';
         const finalStatusIcon = validationResults.overall ? '🎉' : '❌';
-        const finalStatusText = validationResults.overall 
-            ? 'Video COMPLIANT with contest rules!' 
-            : 'Video NOT COMPLIANT - See details above';
+        const warningCount = Object.keys(validationResults)
+            .filter(key => key !== 'overall')
+            .filter(key => !validationResults[key].valid && validationResults[key].severity === 'warning')
+            .length;
+        const pendingCount = Object.keys(validationResults)
+            .filter(key => key !== 'overall' && validationResults[key].pending)
+            .length;
+        const finalStatusText = !validationResults.overall
+            ? this.t('status.notCompliant')
+            : pendingCount > 0
+                ? (pendingCount > 1 ? this.t('status.preflightPassed', { count: pendingCount }) : this.t('status.preflightPassedOne'))
+                : `${this.t('status.compliant')}${warningCount > 0 ? ` ${this.t('status.warnings', { count: warningCount })}` : ''}`;
             
-        this.validationTable.innerHTML = `
+        return `
             <div class="final-status ${finalStatusClass}">
                 ${finalStatusIcon} ${finalStatusText}
             </div>
             ${tableHTML}
         `;
-        
+    }
+
+    renderDetails(fileName, videoInfo) {
         // Technical video details
-        this.videoDetails.innerHTML = `
-            <h3>🔍 Detailed Technical Analysis</h3>
+        return `
+            <h3>${this.t('details.title')}</h3>
             <div class="details-grid">
                 <div class="detail-item">
-                    <strong>File Name</strong>
-                    <span>${file.name}</span>
+                    <strong>${this.t('details.fileName')}</strong>
+                    <span>${this.escapeHTML(fileName)}</span>
                 </div>
                 <div class="detail-item">
-                    <strong>File Size</strong>
-                    <span>${validationResults.fileSize.value}</span>
+                    <strong>${this.t('details.fileSize')}</strong>
+                    <span>${this.formatFileSize(videoInfo.fileSize)}</span>
                 </div>
                 <div class="detail-item">
-                    <strong>Exact Duration</strong>
+                    <strong>${this.t('details.exactDuration')}</strong>
                     <span>${videoInfo.duration}s</span>
                 </div>
                 <div class="detail-item">
-                    <strong>Resolution</strong>
+                    <strong>${this.t('details.resolution')}</strong>
                     <span>${videoInfo.width}×${videoInfo.height}px</span>
                 </div>
                 <div class="detail-item">
-                    <strong>Exact Frame Rate</strong>
-                    <span>${videoInfo.frameRate} fps</span>
+                    <strong>${this.t('details.frameRate')}</strong>
+                    <span>${this.t('values.fps', { fps: videoInfo.frameRate })}${videoInfo.variableFrameRate ? ` (${this.t('values.vfrShort', { fps: videoInfo.avgFrameRate })})` : ''}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.frameCount', { method: this.getFrameCountMethodLabel(videoInfo.frameCountMethod) })}</strong>
+                    <span>${this.t('values.frames', { count: videoInfo.frameCount })}</span>
                 </div>
                 <div class="detail-item">
-                    <strong>Exact Frame Count</strong>
-                    <span>${videoInfo.frameCount} frames</span>
+                    <strong>${this.t('details.codec')}</strong>
+                    <span>${videoInfo.codec}${videoInfo.profile ? ` (${this.escapeHTML(videoInfo.profile)}${videoInfo.level ? ` @ L${videoInfo.level}` : ''})` : ''}</span>
                 </div>
+                ${videoInfo.rotation ? `
                 <div class="detail-item">
-                    <strong>Codec</strong>
-                    <span>${videoInfo.codec}</span>
+                    <strong>${this.t('details.rotation')}</strong>
+                    <span>${this.t('details.rotationValue', {
+                        degrees: videoInfo.rotation,
+                        width: videoInfo.rotation % 180 ? videoInfo.height : videoInfo.width,
+                        height: videoInfo.rotation % 180 ? videoInfo.width : videoInfo.height
+                    })}</span>
                 </div>
+                ` : ''}
+                ${videoInfo.gop ? `
+                <div class="detail-item">
+                    <strong>${this.t('details.gop')}</strong>
+                    <span>${this.t('details.gopValue', {
+                        count: videoInfo.gop.keyframeCount,
+                        seconds: videoInfo.gop.maxKeyframeInterval,
+                        bFrames: videoInfo.gop.maxConsecutiveBFrames
+                    })}</span>
+                </div>
+                ` : ''}
+                ${videoInfo.color ? `
                 <div class="detail-item">
-                    <strong>Container Format</strong>
-                    <span>${videoInfo.format}</span>
+                    <strong>${this.t('details.pixelFormat')}</strong>
+                    <span>${videoInfo.color.pixelFormat || this.t('values.unknown')} (${this.t('details.bitDepth', { depth: videoInfo.color.bitDepth || '?' })}${videoInfo.color.chromaSubsampling ? `, ${videoInfo.color.chromaSubsampling}` : ''})</span>
                 </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.color')}</strong>
+                    <span>${[videoInfo.color.colorSpace, videoInfo.color.colorPrimaries, videoInfo.color.colorTransfer].map(value => value || this.t('values.untagged')).join(' / ')}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('details.colorRange')}</strong>
+                    <span>${{ tv: this.t('values.limited'), pc: this.t('values.full') }[videoInfo.color.colorRange] || this.t('values.untaggedRange')}</span>
+                </div>
+                ${videoInfo.color.hdr ? `
+                <div class="detail-item">
+                    <strong>${this.t('details.hdr')}</strong>
+                    <span>${this.describeHDR(videoInfo.color)}</span>
+                </div>
+                ` : ''}
+                ` : ''}
+                <div class="detail-item">
+                    <strong>${this.t('details.audio')}</strong>
+                    <span>${this.describeAudioStreams(videoInfo.audioStreams)}</span>
+                </div>
+                ${videoInfo.loudness ? `
+                <div class="detail-item">
+                    <strong>${this.t('details.loudness')}</strong>
+                    <span>${videoInfo.loudness.integrated} LUFS • ${videoInfo.loudness.truePeak} dBTP</span>
+                </div>
+                ` : ''}
+                <div class="detail-item">
+                    <strong>${this.t('details.containerFormat')}</strong>
+                    <span>${videoInfo.format}${videoInfo.container && videoInfo.container.faststart !== null ? ` (${this.t(videoInfo.container.faststart ? 'details.faststart' : 'details.notFaststart')})` : ''}</span>
+                </div>
+                ${videoInfo.sha256 ? `
+                <div class="detail-item">
+                    <strong>SHA-256</strong>
+                    <span class="hash-value">${videoInfo.sha256}</span>
+                </div>
+                ` : ''}
                 ${videoInfo.bitRate ? `
                 <div class="detail-item">
-                    <strong>Bitrate</strong>
+                    <strong>${this.t('details.bitrate')}</strong>
                     <span>${Math.round(videoInfo.bitRate / 1000)} kbps</span>
                 </div>
                 ` : ''}
             </div>
+            ${this.renderFrameTiming(videoInfo.frameTiming)}
+            ${videoInfo.frameCountMethod === 'estimated' ? `
+            <div class="info-note error">
+                <strong>${this.t('details.estimatedTitle')}</strong><br>
+                ${this.t('details.estimatedText')}
+            </div>
+            ` : `
             <div class="info-note success">
-                <strong>✅ Complete FFmpeg Analysis:</strong><br>
-                All displayed values are <strong>exact</strong> and extracted directly from video metadata using FFmpeg. 
-                No estimations are used.
+                <strong>${this.t('details.ffmpegTitle')}</strong><br>
+                ${this.t('details.ffmpegText', { method: this.getFrameCountMethodLabel(videoInfo.frameCountMethod) })}
+            </div>
+            `}
+        `;
+    }
+
+    // First/last frame preview followed by the full contact sheet.
+    // Frame numbers are displayed from 1, so the last one reads "Frame 144 / 144".
+    renderContactSheet(thumbnails, frameCount) {
+        if (!thumbnails || thumbnails.length === 0) {
+            return '';
+        }
+        
+        const caption = (thumbnail) => [
+            thumbnail.frame !== null ? this.t('thumbnails.frame', { frame: thumbnail.frame + 1, total: frameCount }) : this.t('thumbnails.lastDecodable'),
+            thumbnail.time !== null ? `${thumbnail.time}s` : null
+        ].filter(Boolean).join(' • ');
+        const figure = (thumbnail, className) => `
+            <figure class="${className}">
+                <img src="${thumbnail.image}" alt="${caption(thumbnail)}">
+                <figcaption>${caption(thumbnail)}</figcaption>
+            </figure>
+        `;
+        const first = thumbnails.find(thumbnail => thumbnail.position === 'first');
+        const last = thumbnails.find(thumbnail => thumbnail.position === 'last');
+        
+        return `
+            <h3>${this.t('thumbnails.title')}</h3>
+            <div class="frame-preview">
+                ${first ? `<div><strong>${this.t('thumbnails.first')}</strong>${figure(first, 'thumbnail')}</div>` : ''}
+                ${last ? `<div><strong>${this.t('thumbnails.last')}</strong>${figure(last, 'thumbnail last')}</div>` : ''}
+            </div>
+            <h3>${this.t('thumbnails.contactSheet')}</h3>
+            <div class="contact-grid">
+                ${thumbnails.map(thumbnail => figure(thumbnail, `thumbnail ${thumbnail.position}`)).join('')}
+            </div>
+            <div class="info-note">
+                ${this.t('thumbnails.notStored')}
+            </div>
+        `;
+    }
+
+    describeHDR(color) {
+        const parts = [color.colorTransfer === 'arib-std-b67' ? 'HLG' : color.colorTransfer === 'smpte2084' ? 'PQ' : 'HDR'];
+        if (color.masteringDisplay) {
+            parts.push(this.t('details.mastering', { min: color.masteringDisplay.minLuminance, max: color.masteringDisplay.maxLuminance }));
+        }
+        if (color.contentLightLevel) {
+            parts.push(`MaxCLL ${color.contentLightLevel.maxContent} / MaxFALL ${color.contentLightLevel.maxAverage}`);
+        }
+        return parts.join(' • ');
+    }
+
+    describeAudioStreams(audioStreams) {
+        if (!audioStreams || audioStreams.length === 0) {
+            return this.t('values.none');
+        }
+        // Badly muxed files: any missing field is shown as unknown
+        const unknown = this.t('values.unknown');
+        return audioStreams.map(stream => [
+            stream.codec ? this.escapeHTML(stream.codec.toUpperCase()) : unknown,
+            stream.channels ? `${stream.channels}ch` : unknown,
+            stream.sampleRate ? `${stream.sampleRate / 1000}kHz` : unknown
+        ].join(' ') + (Number.isFinite(stream.duration) ? ` (${stream.duration}s)` : '')).join('<br>');
+    }
+
+    getFrameCountMethodLabel(method) {
+        const key = `frameCountMethods.${method}`;
+        return I18N_MESSAGES.en[key] ? this.t(key) : method;
+    }
+
+    renderFrameTiming(frameTiming) {
+        if (!frameTiming || (frameTiming.dropped.length === 0 && frameTiming.duplicated.length === 0)) {
+            return '';
+        }
+        
+        const anomalies = [
+            ...frameTiming.dropped.map(gap => this.t('details.missingFrames', { count: gap.count, time: gap.time, frame: gap.frame })),
+            ...frameTiming.duplicated.map(dup => this.t('details.duplicatedFrame', { frame: dup.frame, time: dup.time }))
+        ];
+        
+        return `
+            <div class="info-note error">
+                <strong>${this.t('details.timingTitle')}</strong><br>
+                ${anomalies.join('<br>')}
             </div>
         `;
+    }
+
+    displayBatchResults(batchResult) {
+        this.hideLoading();
+        
+        this.batchResult = batchResult;
+        this.batchSort = { key: 'fileName', direction: 1 };
+        
+        // Browser preflight results have no server report
+        const hasReports = batchResult.results.some(result => result.report);
+        this.setReports(hasReports ? batchResult.results.map(result => result.report || {
+            file: { name: result.fileName },
+            error: result.error || this.t('errors.notAnalyzed')
+        }) : null);
+        this.expandedFile = null;
+        
+        this.videoDetails.innerHTML = '';
+        this.contactSheet.innerHTML = '';
+        this.fixBtn.style.display = 'none';
+        this.serverCheckBtn.style.display = 'none';
+        this.fixResult.style.display = 'none';
+        this.renderBatchTable();
         
         this.results.style.display = 'block';
         this.results.scrollIntoView({ behavior: 'smooth' });
     }
 
+    renderBatchTable() {
+        const { summary, results } = this.batchResult;
+        
+        // Criteria columns come from the first successfully analyzed file
+        const reference = results.find(result => result.success);
+        const criteria = reference
+            ? Object.keys(reference.validation).filter(key => key !== 'overall')
+                .map(key => ({ key, label: reference.validation[key].label }))
+            : [];
+        const columns = [
+            { key: 'fileName', label: this.t('table.file') },
+            ...criteria,
+            { key: 'overall', label: this.t('table.overall') }
+        ];
+        
+        const sortedResults = [...results].sort((a, b) => this.compareBatchRows(a, b));
+        
+        const finalStatusClass = summary.failed === 0 ? 'pass' : 'fail';
+        const finalStatusIcon = summary.failed === 0 ? '🎉' : '❌';
+        
+        this.validationTable.innerHTML = `
+            <div class="final-status ${finalStatusClass}">
+                ${finalStatusIcon} ${this.t('status.batch', { passed: summary.passed, total: summary.total })}
+            </div>
+            <table class="batch-table">
+                <thead>
+                    <tr>
+                        ${columns.map(column => `
+                            <th class="sortable" data-sort="${column.key}">
+                                ${this.escapeHTML(column.label)}${this.batchSort.key === column.key ? (this.batchSort.direction > 0 ? ' ▲' : ' ▼') : ''}
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sortedResults.map(result => this.createBatchRow(result, criteria, columns.length)).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        this.validationTable.querySelectorAll('th.sortable').forEach(header => {
+            header.addEventListener('click', () => this.sortBatch(header.dataset.sort));
+        });
+        this.validationTable.querySelectorAll('tr.batch-row').forEach(row => {
+            row.addEventListener('click', () => this.toggleBatchRow(row.dataset.index));
+        });
+    }
+
+    createBatchRow(result, criteria, columnCount) {
+        const index = this.batchResult.results.indexOf(result);
+        const isExpanded = this.expandedFile === index;
+        
+        const cells = result.success
+            ? criteria.map(criterion => this.createStatusCell(result.validation[criterion.key])).join('') +
+              this.createStatusCell({ valid: result.validation.overall })
+            : `<td colspan="${columnCount - 1}" class="batch-error">❌ ${this.escapeHTML(result.error)}</td>`;
+        
+        return `
+            <tr class="batch-row${isExpanded ? ' expanded' : ''}" data-index="${index}">
+                <td><div class="criterion-name">${isExpanded ? '▾' : '▸'} ${this.escapeHTML(result.fileName)}</div></td>
+                ${cells}
+            </tr>
+            ${isExpanded && result.success ? `
+            <tr class="batch-detail">
+                <td colspan="${columnCount}">
+                    <div class="validation-table">${this.renderValidation(result.validation)}</div>
+                    <div class="video-details">${this.renderDetails(result.fileName, result.videoInfo)}</div>
+                </td>
+            </tr>
+            ` : ''}
+        `;
+    }
+
+    createStatusCell(result) {
+        if (!result) {
+            return '<td>—</td>';
+        }
+        const { statusClass, statusIcon } = this.getStatus(result);
+        return `<td><span class="status-icon ${statusClass}" title="${result.value !== undefined ? this.escapeHTML(result.value) : ''}">${statusIcon}</span></td>`;
+    }
+
+    compareBatchRows(a, b) {
+        const { key, direction } = this.batchSort;
+        
+        if (key === 'fileName') {
+            return direction * a.fileName.localeCompare(b.fileName);
+        }
+        
+        // Failed analyses first, then failing criteria, then passing ones
+        const rank = (result) => {
+            if (!result.success) return 0;
+            const value = key === 'overall' ? result.validation.overall : result.validation[key] && result.validation[key].valid;
+            return value ? 2 : 1;
+        };
+        return direction * (rank(a) - rank(b)) || a.fileName.localeCompare(b.fileName);
+    }
+
+    sortBatch(key) {
+        this.batchSort = this.batchSort.key === key
+            ? { key, direction: -this.batchSort.direction }
+            : { key, direction: 1 };
+        this.renderBatchTable();
+    }
+
+    toggleBatchRow(index) {
+        const rowIndex = parseInt(index, 10);
+        this.expandedFile = this.expandedFile === rowIndex ? null : rowIndex;
+        this.renderBatchTable();
+    }
+
+    getStatus(result) {
+        if (result.pending) {
+            return { statusClass: 'status-pending', statusIcon: '🔒' };
+        }
+        if (result.valid) {
+            return { statusClass: 'status-valid', statusIcon: '✅' };
+        }
+        // Warning-level criteria are reported but don't fail the video
+        if (result.severity === 'warning') {
+            return { statusClass: 'status-warning', statusIcon: '⚠️' };
+        }
+        return { statusClass: 'status-invalid', statusIcon: '❌' };
+    }
+
     createTableRow(criterion, result) {
-        const statusClass = result.valid ? 'status-valid' : 'status-invalid';
-        const statusIcon = result.valid ? '✅' : '❌';
+        const { statusClass, statusIcon } = this.getStatus(result);
+        const details = result.details && result.details.length > 0
+            ? `<ul class="criterion-details">${result.details.map(detail => `<li>${this.escapeHTML(detail)}</li>`).join('')}</ul>`
+            : '';
         
         return `
             <tr>
                 <td>
-                    <div class="criterion-name">${criterion}</div>
+                    <div class="criterion-name">${this.escapeHTML(criterion)}</div>
                 </td>
-                <td>${result.requirement}</td>
-                <td><strong>${result.value}</strong></td>
+                <td>${this.escapeHTML(result.requirement)}</td>
+                <td><strong>${this.escapeHTML(result.value)}</strong>${details}</td>
                 <td>
                     <span class="status-icon ${statusClass}">${statusIcon}</span>
                 </td>
@@ -238,26 +1511,55 @@ class VideoChecker {
         `;
     }
 
-    showError(message) {
+    formatFileSize(bytes) {
+        const sizes = [this.t('units.bytes'), this.t('units.kb'), this.t('units.mb'), this.t('units.gb')];
+        if (bytes === 0) return `0 ${sizes[0]}`;
+        const k = 1024;
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleString(this.locale);
+    }
+
+    showError(message, code) {
         this.hideLoading();
+        this.setReports(null);
+        this.contactSheet.innerHTML = '';
+        this.fixBtn.style.display = 'none';
+        this.serverCheckBtn.style.display = 'none';
+        this.fixResult.style.display = 'none';
         this.validationTable.innerHTML = `
             <div class="final-status fail">
-                ❌ ${message}
+                ❌ ${this.escapeHTML(message)}
             </div>
         `;
         this.videoDetails.innerHTML = `
             <div class="info-note error">
-                <strong>🔧 Check that:</strong><br>
-                • Node.js server is running<br>
-                • FFmpeg is installed on server<br>
-                • File is a valid video (MP4/MOV)<br>
-                • Size doesn't exceed 150MB
+                ${this.getErrorAdvice(code)}
             </div>
         `;
         this.results.style.display = 'block';
     }
 
-    showLoading() {
+    // Targeted advice for the error codes returned by the server (lib/errors.js)
+    // and by the browser preflight (preflight.js), see the advice.* messages
+    getErrorAdvice(code) {
+        if (code && I18N_MESSAGES.en[`advice.${code}`]) {
+            return `<strong>${this.t('advice.title')}</strong><br>${this.t(`advice.${code}`)}`;
+        }
+        
+        return `
+            <strong>${this.t('advice.checklistTitle')}</strong><br>
+            ${this.t('advice.checklist')}
+        `;
+    }
+
+    showLoading(message = this.t('loading.analyzing')) {
+        this.loadingText.textContent = message;
+        this.jobProgress.style.display = 'none';
+        this.spinner.style.display = 'block';
         this.uploadArea.style.display = 'none';
         this.results.style.display = 'none';
         this.loading.style.display = 'block';
@@ -268,6 +1570,14 @@ class VideoChecker {
     }
 
     reset() {
+        this.batchResult = null;
+        this.expandedFile = null;
+        this.currentFile = null;
+        this.setReports(null);
+        this.contactSheet.innerHTML = '';
+        this.fixBtn.style.display = 'none';
+        this.serverCheckBtn.style.display = 'none';
+        this.fixResult.style.display = 'none';
         this.uploadArea.style.display = 'block';
         this.results.style.display = 'none';
         this.fileInput.value = '';
@@ -1,294 +1,1166 @@
 const express = require('express');
 const multer = require('multer');
-const ffmpeg = require('fluent-ffmpeg');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { DEFAULT_PROFILE, getProfiles, getProfile } = require('./lib/profiles');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { validateVideoSpecs, validatePreflight, describeRequirements } = require('./lib/validator');
+const { checkVideoFile } = require('./lib/checker');
+const { FRAME_CHECK_METHODS } = require('./lib/frames');
+const { fixVideo } = require('./lib/fixer');
+const { JobQueue } = require('./lib/jobs');
+const { REPORT_FORMATS, buildReport, signReport, verifyReport, normalizeReport, renderReport } = require('./lib/report');
+const { HistoryStore } = require('./lib/history');
+const { compareVideos, measureSimilarity } = require('./lib/compare');
+const { createTempStorage, trackUploads, claimUpload, checkDiskSpace, hasFreeDiskSpace, removeTempFile, cleanTempDir } = require('./lib/uploads');
+const { UploadSessions } = require('./lib/resumable');
+const { VideoCheckerError, sendError, toErrorBody, normalizeError } = require('./lib/errors');
+const { DEFAULT_LOCALE, getLocale } = require('./lib/i18n');
+const { FolderWatcher } = require('./lib/watcher');
+const { WebhookNotifier } = require('./lib/webhooks');
+const { parseApiKeys, authenticateApiKey, RateLimiter, rateLimit } = require('./lib/access');
+const { getHealth } = require('./lib/health');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 20;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const TEMP_DIR = path.join(__dirname, 'temp');
+const MAX_UPLOAD_SIZE = 150 * 1024 * 1024; // 150MB max par fichier
+// Espace disque à laisser libre après réception d'un upload
+const MIN_FREE_DISK_SPACE = (parseInt(process.env.MIN_FREE_DISK_MB) || 500) * 1024 * 1024;
+// Uploads reprenables : taille des morceaux et durée de vie d'une session inactive
+const UPLOAD_CHUNK_SIZE = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 5) * 1024 * 1024;
+const UPLOAD_SESSION_TTL = 60 * 60 * 1000;
+// Historique local des vérifications (opt-in côté client), rangé hors du dossier
+// de l'application : il contient les identifiants X-Client-Id qui autorisent la
+// suppression. Nombre maximal d'entrées conservées par client.
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(os.homedir(), '.video-checker', 'history.json');
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT) || 100;
+// Durée de conservation d'une vidéo corrigée non téléchargée
+const FIXED_FILE_RETENTION = 15 * 60 * 1000;
+// Surveillance de dossiers de rendus (désactivée si WATCH_FOLDERS est vide) :
+// dossiers séparés par ":" (";" sous Windows), profil appliqué, délai sans
+// changement de taille avant analyse et déplacement des vidéos refusées dans rejected/
+const WATCH_FOLDERS = (process.env.WATCH_FOLDERS || '').split(path.delimiter).filter(Boolean);
+const WATCH_PROFILE = process.env.WATCH_PROFILE || DEFAULT_PROFILE;
+const WATCH_FRAME_CHECK = process.env.WATCH_FRAME_CHECK || 'metadata';
+const WATCH_STABLE_TIME = (parseInt(process.env.WATCH_STABLE_SECONDS) || 10) * 1000;
+const WATCH_INTERVAL = (parseInt(process.env.WATCH_INTERVAL_SECONDS) || 5) * 1000;
+const WATCH_REJECT = process.env.WATCH_REJECT === 'true';
+// Webhooks de fin d'analyse : secret HMAC par défaut, nombre d'essais et délai
+// initial entre deux essais, hôtes autorisés pour les URL passées dans les requêtes
+// (sans liste, les requêtes ne peuvent pas ajouter de webhook)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_ATTEMPTS = parseInt(process.env.WEBHOOK_ATTEMPTS) || 5;
+const WEBHOOK_BACKOFF = (parseInt(process.env.WEBHOOK_BACKOFF_SECONDS) || 2) * 1000;
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+// Clé de signature des rapports envoyés aux clients : sans REPORT_SECRET, une clé
+// aléatoire est tirée au démarrage et les rapports antérieurs ne sont plus exportables
+const REPORT_SECRET = process.env.REPORT_SECRET || crypto.randomBytes(32).toString('hex');
+// Origines autorisées à appeler l'API depuis un autre site (séparées par des
+// virgules, "*" pour toutes) ; par défaut seule l'interface servie ici y a accès
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Derrière un proxy inverse, nécessaire pour que req.ip soit l'IP du client (ex: "1" ou "loopback")
+const TRUST_PROXY = process.env.TRUST_PROXY || false;
+// Clés d'API des clients automatisés ("nom:clé" séparées par des virgules) et
+// quotas des routes d'analyse : par IP pour les anonymes, par clé sinon
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+const RATE_LIMIT_IP_MAX = parseInt(process.env.RATE_LIMIT_IP_MAX) || 60;
+const RATE_LIMIT_IP_WINDOW = (parseInt(process.env.RATE_LIMIT_IP_WINDOW_SECONDS) || 15 * 60) * 1000;
+const RATE_LIMIT_KEY_MAX = parseInt(process.env.RATE_LIMIT_KEY_MAX) || 500;
+const RATE_LIMIT_KEY_WINDOW = (parseInt(process.env.RATE_LIMIT_KEY_WINDOW_SECONDS) || 15 * 60) * 1000;
+// Fichiers de l'interface servis tels quels : le reste du dossier (profils et
+// secrets de webhook, historique, uploads temporaires, code serveur) reste privé
+const PUBLIC_FILES = ['index.html', 'dashboard.html', 'style.css', 'script.js', 'preflight.js', 'i18n.js', 'dashboard.js'];
+
+// File d'attente des jobs d'analyse et de correction asynchrones
+const jobQueue = new JobQueue(JOB_CONCURRENCY);
+
+// Sessions d'upload par morceaux en cours
+const uploadSessions = new UploadSessions(TEMP_DIR, { chunkSize: UPLOAD_CHUNK_SIZE, ttl: UPLOAD_SESSION_TTL });
+
+const history = new HistoryStore(HISTORY_FILE, { limit: HISTORY_LIMIT });
+
+// Vidéos corrigées en attente de téléchargement (id -> fichier temporaire)
+const fixedFiles = new Map();
+
+const webhookNotifier = new WebhookNotifier({
+    secret: WEBHOOK_SECRET,
+    attempts: WEBHOOK_ATTEMPTS,
+    backoff: WEBHOOK_BACKOFF,
+    allowedHosts: WEBHOOK_ALLOWED_HOSTS
+});
+
+const watcher = createWatcher();
+
+// Chaque route d'analyse lance FFprobe et FFmpeg : quotas par IP ou par clé d'API,
+// chaque fichier analysé comptant pour une unité. Les uploads reprenables sont
+// décomptés à la création de la session (avant l'envoi) : leur fin d'upload et
+// la comparaison de deux sessions ne comptent pas une seconde fois.
+const analysisLimiters = {
+    perIp: new RateLimiter({ limit: RATE_LIMIT_IP_MAX, window: RATE_LIMIT_IP_WINDOW }),
+    perKey: new RateLimiter({ limit: RATE_LIMIT_KEY_MAX, window: RATE_LIMIT_KEY_WINDOW })
+};
+const limitAnalysis = rateLimit(analysisLimiters);
+// Lot : une unité avant l'envoi, puis une par fichier reçu au-delà du premier
+const limitBatchFiles = rateLimit({ ...analysisLimiters, cost: req => Math.max(0, (req.files || []).length - 1) });
+// Morceaux d'upload : de quoi envoyer un fichier de taille maximale par analyse autorisée
+const CHUNKS_PER_UPLOAD = Math.ceil(MAX_UPLOAD_SIZE / UPLOAD_CHUNK_SIZE);
+const limitChunks = rateLimit({
+    perIp: new RateLimiter({ limit: RATE_LIMIT_IP_MAX * CHUNKS_PER_UPLOAD, window: RATE_LIMIT_IP_WINDOW }),
+    perKey: new RateLimiter({ limit: RATE_LIMIT_KEY_MAX * CHUNKS_PER_UPLOAD, window: RATE_LIMIT_KEY_WINDOW })
+});
+
+app.set('trust proxy', TRUST_PROXY);
 
 // Configuration CORS
-app.use(cors());
-app.use(express.json());
+if (CORS_ORIGINS.includes('*')) {
+    app.use(cors());
+} else if (CORS_ORIGINS.length > 0) {
+    app.use(cors({ origin: CORS_ORIGINS }));
+}
+// Limite relevée : les rapports renvoyés à POST /report contiennent la sortie FFprobe
+app.use(express.json({ limit: '10mb' }));
+
+// Servir les fichiers de l'interface (HTML, CSS, JS)
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
 
-// Servir les fichiers statiques (HTML, CSS, JS)
-app.use(express.static(path.join(__dirname)));
+// Clé d'API facultative, vérifiée sur toutes les routes de l'API
+app.use(authenticateApiKey(API_KEYS));
 
-// Configuration Multer pour gérer les uploads en mémoire
-const storage = multer.memoryStorage();
+// Configuration Multer : les uploads sont écrits en flux dans temp/,
+// la limite de taille interrompt la réception dès qu'elle est dépassée
 const upload = multer({ 
-    storage: storage,
+    storage: createTempStorage(TEMP_DIR),
     limits: {
-        fileSize: 150 * 1024 * 1024 // 150MB max
+        fileSize: MAX_UPLOAD_SIZE
     },
     fileFilter: (req, file, cb) => {
-        // Vérifier les types de fichiers autorisés
-        const allowedTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo'];
-        const allowedExtensions = ['.mp4', '.mov', '.avi'];
-        const fileExtension = path.extname(file.originalname).toLowerCase();
-        
-        if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+        if (isAllowedVideo(file.originalname, file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error('Type de fichier non supporté'), false);
+            cb(new VideoCheckerError('UNSUPPORTED_TYPE'), false);
         }
     }
 });
 
+// À placer avant Multer sur chaque route d'upload : vérification de l'espace
+// disque puis suppression garantie des fichiers reçus à la fin de la requête
+const receiveUploads = [
+    trackUploads,
+    checkDiskSpace(TEMP_DIR, { maxUploadSize: MAX_UPLOAD_SIZE, minFreeSpace: MIN_FREE_DISK_SPACE })
+];
+
 // Route principale
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// État du serveur pour la supervision : 503 si FFmpeg ou FFprobe est indisponible
+app.get('/health', async (req, res, next) => {
+    try {
+        const health = await getHealth();
+        res.status(health.status === 'ok' ? 200 : 503).json(health);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Liste des profils de règles disponibles
+app.get('/profiles', (req, res) => {
+    const profiles = [...getProfiles().values()].map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        version: profile.version,
+        description: profile.description,
+        // Critères complets pour la vérification locale dans le navigateur
+        criteria: profile.criteria,
+        requirements: describeRequirements(profile.criteria, getLocale(req))
+    }));
+
+    res.json({ default: DEFAULT_PROFILE, profiles });
+});
+
+// Vérification dans le navigateur (preflight.js) : la vidéo n'est jamais envoyée,
+// seules les valeurs lues dans ses boîtes MP4/MOV sont validées avec les règles du serveur
+app.post('/preflight', (req, res) => {
+    const profileId = req.body.profile || req.query.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const videoInfo = getPreflightInfo(req.body.videoInfo);
+    if (!videoInfo) {
+        return sendError(res, 'INVALID_REQUEST', 'invalid preflight video information');
+    }
+
+    res.json({
+        success: true,
+        profile: { id: profile.id, name: profile.name, version: profile.version },
+        validation: validatePreflight(videoInfo, profile.criteria, getLocale(req))
+    });
+});
+
 // Route pour analyser les vidéos
-app.post('/analyze-video', upload.single('video'), async (req, res) => {
+app.post('/analyze-video', limitAnalysis, receiveUploads, upload.single('video'), async (req, res) => {
     if (!req.file) {
-        return res.status(400).json({ error: 'Aucun fichier vidéo fourni' });
+        return sendError(res, 'NO_FILE');
     }
 
-    // Créer un fichier temporaire unique en mémoire
-    const tempFileName = `temp_${Date.now()}_${Math.random().toString(36).substring(7)}.${getFileExtension(req.file.originalname)}`;
-    const tempFilePath = path.join(__dirname, 'temp', tempFileName);
-    
+    const profileId = req.body.profile || req.query.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const frameCheck = req.body.frameCheck || req.query.frameCheck || 'metadata';
+    if (!FRAME_CHECK_METHODS.includes(frameCheck)) {
+        return sendError(res, 'INVALID_FRAME_CHECK', frameCheck);
+    }
+
+    const webhooks = getRequestWebhooks(req.body.webhook || req.query.webhook, req.body.webhookSecret);
+    const invalidWebhook = webhooks.find(target => !webhookNotifier.isAllowed(target.url));
+    if (invalidWebhook) {
+        return sendError(res, 'INVALID_WEBHOOK', invalidWebhook.url);
+    }
+    if (webhooks.length > 0 && !webhooks[0].secret) {
+        return sendError(res, 'WEBHOOK_SECRET_REQUIRED');
+    }
+
+    const locale = getLocale(req);
     try {
-        // Créer le dossier temp s'il n'existe pas
-        const tempDir = path.join(__dirname, 'temp');
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
+        const result = await analyzeUploadedFile(req.file, profile, { frameCheck, thumbnails: true, locale, webhooks });
+
+        res.json({
+            success: true,
+            profile: { id: profile.id, name: profile.name, version: profile.version },
+            videoInfo: result.videoInfo,
+            validation: result.validation,
+            report: createReport(result, profile),
+            thumbnails: result.thumbnails,
+            historyId: await saveToHistory(getHistoryClient(req), profile, frameCheck, result)
+        });
+
+    } catch (error) {
+        console.error('Erreur analyse vidéo:', error);
+        const normalized = normalizeError(error);
+        res.status(normalized.status).json(toErrorBody(normalized, locale));
+    }
+});
+
+// Route pour analyser plusieurs vidéos en une seule requête
+app.post('/analyze-batch', limitAnalysis, receiveUploads, upload.array('videos', MAX_BATCH_FILES), limitBatchFiles, async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return sendError(res, 'NO_FILE');
+    }
+
+    const profileId = req.body.profile || req.query.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const frameCheck = req.body.frameCheck || req.query.frameCheck || 'metadata';
+    if (!FRAME_CHECK_METHODS.includes(frameCheck)) {
+        return sendError(res, 'INVALID_FRAME_CHECK', frameCheck);
+    }
+
+    const webhooks = getRequestWebhooks(req.body.webhook || req.query.webhook, req.body.webhookSecret);
+    const invalidWebhook = webhooks.find(target => !webhookNotifier.isAllowed(target.url));
+    if (invalidWebhook) {
+        return sendError(res, 'INVALID_WEBHOOK', invalidWebhook.url);
+    }
+    if (webhooks.length > 0 && !webhooks[0].secret) {
+        return sendError(res, 'WEBHOOK_SECRET_REQUIRED');
+    }
+
+    // Une erreur sur un fichier ne doit pas faire échouer tout le lot
+    const locale = getLocale(req);
+    const results = await mapWithConcurrency(req.files, BATCH_CONCURRENCY, async (file) => {
+        try {
+            const result = await analyzeUploadedFile(file, profile, { frameCheck, locale, webhooks });
+            return {
+                fileName: file.originalname,
+                success: true,
+                videoInfo: result.videoInfo,
+                validation: result.validation,
+                report: createReport(result, profile)
+            };
+        } catch (error) {
+            console.error(`Erreur analyse vidéo (${file.originalname}):`, error);
+            const { error: message, code } = toErrorBody(normalizeError(error), locale);
+            return { fileName: file.originalname, success: false, error: message, code };
         }
+    });
 
-        // Écrire temporairement le fichier pour FFmpeg
-        fs.writeFileSync(tempFilePath, req.file.buffer);
-
-        // Analyser la vidéo avec FFmpeg
-        const videoInfo = await analyzeVideoWithFFmpeg(tempFilePath);
-        
-        // Supprimer immédiatement le fichier temporaire
-        fs.unlinkSync(tempFilePath);
-        console.log(`✅ Temporary file deleted: ${tempFileName}`);
-        
-        // Ajouter les informations du fichier
-        const fullVideoInfo = {
-            ...videoInfo,
-            fileName: req.file.originalname,
-            fileSize: req.file.size,
-            mimeType: req.file.mimetype
-        };
+    const passed = results.filter(result => result.success && result.validation.overall).length;
 
-        // Valider selon les critères du concours
-        const validationResults = validateVideoSpecs(fullVideoInfo);
+    res.json({
+        success: true,
+        profile: { id: profile.id, name: profile.name, version: profile.version },
+        summary: {
+            total: results.length,
+            passed,
+            failed: results.length - passed
+        },
+        results
+    });
+});
+
+// Route pour transcoder une vidéo non conforme selon les critères du profil
+app.post('/fix-video', limitAnalysis, receiveUploads, upload.single('video'), async (req, res) => {
+    if (!req.file) {
+        return sendError(res, 'NO_FILE');
+    }
+
+    const profileId = req.body.profile || req.query.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const locale = getLocale(req);
+    try {
+        const fix = await fixTempFile(req.file.path, getFileMeta(req.file), profile, { locale });
 
         res.json({
             success: true,
-            videoInfo: fullVideoInfo,
-            validation: validationResults
+            profile: { id: profile.id, name: profile.name, version: profile.version },
+            ...fix
         });
 
     } catch (error) {
-        // S'assurer que le fichier temp est supprimé même en cas d'erreur
-        if (fs.existsSync(tempFilePath)) {
-            fs.unlinkSync(tempFilePath);
-            console.log(`🗑️ Temporary file cleaned up after error: ${tempFileName}`);
+        console.error('Erreur correction vidéo:', error);
+        const normalized = normalizeError(error);
+        res.status(normalized.status).json(toErrorBody(normalized, locale));
+    }
+});
+
+// Soumission d'un job asynchrone (analyse ou correction) : répond immédiatement
+// avec l'identifiant du job, suivi ensuite via GET /jobs/:id/events
+app.post('/jobs', limitAnalysis, receiveUploads, upload.single('video'), (req, res) => {
+    if (!req.file) {
+        return sendError(res, 'NO_FILE');
+    }
+
+    const profileId = req.body.profile || req.query.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const frameCheck = req.body.frameCheck || req.query.frameCheck || 'metadata';
+    if (!FRAME_CHECK_METHODS.includes(frameCheck)) {
+        return sendError(res, 'INVALID_FRAME_CHECK', frameCheck);
+    }
+
+    const type = req.body.type || req.query.type || 'analyze';
+    if (!['analyze', 'fix'].includes(type)) {
+        return sendError(res, 'INVALID_JOB_TYPE', type);
+    }
+
+    const webhooks = getRequestWebhooks(req.body.webhook || req.query.webhook, req.body.webhookSecret);
+    const invalidWebhook = webhooks.find(target => !webhookNotifier.isAllowed(target.url));
+    if (invalidWebhook) {
+        return sendError(res, 'INVALID_WEBHOOK', invalidWebhook.url);
+    }
+    if (webhooks.length > 0 && !webhooks[0].secret) {
+        return sendError(res, 'WEBHOOK_SECRET_REQUIRED');
+    }
+
+    // Le job reprend le fichier reçu : il n'est pas supprimé à la fin de la requête
+    const inputPath = req.file.path;
+    const fileMeta = getFileMeta(req.file);
+    claimUpload(req, inputPath);
+
+    const job = submitJob(inputPath, fileMeta, profile, {
+        frameCheck,
+        type,
+        historyClient: getHistoryClient(req),
+        locale: getLocale(req),
+        webhooks
+    });
+
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Création d'une session d'upload reprenable : le client envoie ensuite
+// chaque morceau avec PUT /uploads/:id/chunks/:index
+app.post('/uploads', limitAnalysis, async (req, res, next) => {
+    const { fileName, mimeType } = req.body || {};
+    const fileSize = Number(req.body && req.body.fileSize);
+
+    if (typeof fileName !== 'string' || !fileName || !Number.isInteger(fileSize) || fileSize <= 0) {
+        return sendError(res, 'INVALID_REQUEST', 'fileName and fileSize are required');
+    }
+    if (!isAllowedVideo(fileName, mimeType)) {
+        return sendError(res, 'UNSUPPORTED_TYPE');
+    }
+    if (fileSize > MAX_UPLOAD_SIZE) {
+        return sendError(res, 'FILE_TOO_LARGE');
+    }
+
+    try {
+        if (!await hasFreeDiskSpace(TEMP_DIR, fileSize, MIN_FREE_DISK_SPACE)) {
+            return sendError(res, 'INSUFFICIENT_STORAGE');
         }
-        
-        console.error('Erreur analyse vidéo:', error);
-        res.status(500).json({ 
-            error: 'Erreur lors de l\'analyse de la vidéo',
-            details: error.message 
-        });
+
+        const session = await uploadSessions.create({ fileName, fileSize, mimeType: mimeType || '' });
+        res.status(201).json(uploadSessions.toJSON(session));
+    } catch (error) {
+        next(error);
     }
 });
 
-// Fonction pour analyser la vidéo avec FFmpeg
-function analyzeVideoWithFFmpeg(filePath) {
-    return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(filePath, (err, metadata) => {
-            if (err) {
-                reject(new Error(`Erreur FFprobe: ${err.message}`));
-                return;
-            }
+// Morceaux déjà reçus, pour reprendre un upload interrompu
+app.get('/uploads/:id', (req, res) => {
+    const session = uploadSessions.get(req.params.id);
+    if (!session) {
+        return sendError(res, 'UPLOAD_NOT_FOUND');
+    }
+    res.json(uploadSessions.toJSON(session));
+});
 
-            try {
-                const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-                
-                if (!videoStream) {
-                    reject(new Error('Aucun flux vidéo trouvé'));
-                    return;
-                }
-
-                // Extraction des métadonnées précises
-                const duration = parseFloat(metadata.format.duration);
-                const frameRate = eval(videoStream.r_frame_rate); // Conversion de "24/1" vers 24
-                const frameCount = parseInt(videoStream.nb_frames) || Math.round(duration * frameRate);
-                
-                const videoInfo = {
-                    duration: Math.round(duration * 100) / 100, // Arrondi à 2 décimales
-                    width: videoStream.width,
-                    height: videoStream.height,
-                    frameRate: Math.round(frameRate * 100) / 100, // Frame rate exact
-                    frameCount: frameCount, // Nombre exact de frames
-                    codec: videoStream.codec_name,
-                    profile: videoStream.profile || null,
-                    bitRate: parseInt(metadata.format.bit_rate) || null,
-                    format: metadata.format.format_name
-                };
-
-                resolve(videoInfo);
-            } catch (parseError) {
-                reject(new Error(`Erreur parsing métadonnées: ${parseError.message}`));
-            }
-        });
+// Réception d'un morceau, vérifié avec son empreinte SHA-256 (en-tête X-Chunk-Checksum)
+app.put('/uploads/:id/chunks/:index', limitChunks, express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE }), async (req, res, next) => {
+    const session = uploadSessions.get(req.params.id);
+    if (!session) {
+        return sendError(res, 'UPLOAD_NOT_FOUND');
+    }
+
+    const index = Number(req.params.index);
+    const expectedLength = uploadSessions.getChunkLength(session, index);
+    if (expectedLength === null) {
+        return sendError(res, 'INVALID_CHUNK', `index ${req.params.index}`);
+    }
+
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (chunk.length !== expectedLength) {
+        return sendError(res, 'INVALID_CHUNK', `chunk ${index} is ${chunk.length} bytes, ${expectedLength} expected`);
+    }
+
+    const checksum = crypto.createHash('sha256').update(chunk).digest('hex');
+    if (checksum !== String(req.get('X-Chunk-Checksum')).toLowerCase()) {
+        return sendError(res, 'CHECKSUM_MISMATCH', `chunk ${index}`);
+    }
+
+    try {
+        await uploadSessions.writeChunk(session, index, chunk);
+        res.json({ index, received: session.received.size, chunkCount: session.chunkCount });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Fin de l'upload : le fichier reconstitué est confié à un job d'analyse ou de correction
+app.post('/uploads/:id/complete', (req, res) => {
+    const session = uploadSessions.get(req.params.id);
+    if (!session) {
+        return sendError(res, 'UPLOAD_NOT_FOUND');
+    }
+
+    const missing = uploadSessions.getMissingChunks(session);
+    if (missing.length > 0) {
+        return sendError(res, 'MISSING_CHUNKS', `${missing.length} chunk(s)`, { missing });
+    }
+
+    const body = req.body || {};
+    const profileId = body.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const frameCheck = body.frameCheck || 'metadata';
+    if (!FRAME_CHECK_METHODS.includes(frameCheck)) {
+        return sendError(res, 'INVALID_FRAME_CHECK', frameCheck);
+    }
+
+    const type = body.type || 'analyze';
+    if (!['analyze', 'fix'].includes(type)) {
+        return sendError(res, 'INVALID_JOB_TYPE', type);
+    }
+
+    const webhooks = getRequestWebhooks(body.webhook, body.webhookSecret);
+    const invalidWebhook = webhooks.find(target => !webhookNotifier.isAllowed(target.url));
+    if (invalidWebhook) {
+        return sendError(res, 'INVALID_WEBHOOK', invalidWebhook.url);
+    }
+    if (webhooks.length > 0 && !webhooks[0].secret) {
+        return sendError(res, 'WEBHOOK_SECRET_REQUIRED');
+    }
+
+    const fileMeta = { fileName: session.fileName, fileSize: session.fileSize, mimeType: session.mimeType };
+    const job = submitJob(uploadSessions.release(session), fileMeta, profile, {
+        frameCheck,
+        type,
+        historyClient: getHistoryClient(req),
+        locale: getLocale(req),
+        webhooks
+    });
+
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Comparaison de deux versions d'un rendu, envoyées avec POST /uploads.
+// body : { uploadIds: [avant, après], profile, frameCheck, similarity (PSNR/SSIM) }
+app.post('/compare', (req, res) => {
+    const body = req.body || {};
+    const uploadIds = Array.isArray(body.uploadIds) ? body.uploadIds : [];
+    if (uploadIds.length !== 2) {
+        return sendError(res, 'INVALID_REQUEST', 'two uploadIds are required');
+    }
+
+    const sessions = uploadIds.map(id => uploadSessions.get(String(id)));
+    if (sessions.some(session => !session)) {
+        return sendError(res, 'UPLOAD_NOT_FOUND');
+    }
+    if (sessions[0] === sessions[1]) {
+        return sendError(res, 'INVALID_REQUEST', 'the two compared uploads must be different');
+    }
+
+    const incomplete = sessions.find(session => uploadSessions.getMissingChunks(session).length > 0);
+    if (incomplete) {
+        const missing = uploadSessions.getMissingChunks(incomplete);
+        return sendError(res, 'MISSING_CHUNKS', `${incomplete.fileName}: ${missing.length} chunk(s)`, { missing });
+    }
+
+    const profileId = body.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    const frameCheck = body.frameCheck || 'metadata';
+    if (!FRAME_CHECK_METHODS.includes(frameCheck)) {
+        return sendError(res, 'INVALID_FRAME_CHECK', frameCheck);
+    }
+
+    const files = sessions.map(session => ({
+        meta: { fileName: session.fileName, fileSize: session.fileSize, mimeType: session.mimeType },
+        path: uploadSessions.release(session)
+    }));
+    const job = submitComparison(files, profile, {
+        frameCheck,
+        similarity: [true, 'true', '1', 'on'].includes(body.similarity),
+        locale: getLocale(req)
     });
-}
 
-// Fonction de validation selon les critères du concours
-function validateVideoSpecs(videoInfo) {
-    const criteria = {
-        resolutions: [
-            { width: 1920, height: 810 },
-            { width: 3840, height: 1620 }
-        ],
-        frameRate: 24,
-        frameCount: 144,
-        duration: 6,
-        maxFileSize: 100 * 1024 * 1024, // 100MB
-        allowedFormats: ['mp4', 'mov', 'quicktime'],
-        allowedCodecs: ['h264', 'hevc', 'h265']
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Abandon d'un upload reprenable
+app.delete('/uploads/:id', async (req, res) => {
+    const session = uploadSessions.get(req.params.id);
+    if (!session) {
+        return sendError(res, 'UPLOAD_NOT_FOUND');
+    }
+    await uploadSessions.remove(session);
+    res.json({ success: true });
+});
+
+// État courant d'un job
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendError(res, 'JOB_NOT_FOUND');
+    }
+
+    const state = jobQueue.toJSON(job);
+    if (state.errorCode) {
+        state.error = toErrorBody({ code: state.errorCode, details: state.errorDetails }, getLocale(req)).error;
+    }
+    res.json(state);
+});
+
+// Suivi en direct d'un job (Server-Sent Events)
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendError(res, 'JOB_NOT_FOUND');
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const isFinal = (event) => ['done', 'failed', 'cancelled'].includes(event.type);
+    // L'erreur est traduite pour ce client (?lang=, EventSource n'envoyant pas d'en-tête)
+    const locale = getLocale(req);
+    const localize = (event) => event.type === 'failed'
+        ? { ...event, error: toErrorBody(event, locale).error }
+        : event;
+    const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(localize(event))}\n\n`);
+    // Rejouer l'historique pour un client qui se connecte en cours de route
+    job.history.forEach(send);
+    if (job.history.some(isFinal)) {
+        return res.end();
+    }
+    send({ type: 'progress', stage: job.stage, progress: job.progress });
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const listener = (event) => {
+        send(event);
+        if (isFinal(event)) {
+            res.end();
+        }
     };
 
-    const results = {
-        fileSize: {
-            valid: videoInfo.fileSize <= criteria.maxFileSize,
-            value: formatFileSize(videoInfo.fileSize),
-            requirement: "< 100MB",
-            exact: true
-        },
-        format: {
-            valid: criteria.allowedFormats.some(format => 
-                videoInfo.format.toLowerCase().includes(format) ||
-                videoInfo.mimeType.includes(format)
-            ),
-            value: getFormatName(videoInfo.format, videoInfo.mimeType),
-            requirement: "MP4 or MOV",
-            exact: true
-        },
-        resolution: {
-            valid: criteria.resolutions.some(res => 
-                res.width === videoInfo.width && res.height === videoInfo.height
-            ),
-            value: `${videoInfo.width}×${videoInfo.height}`,
-            requirement: "1920×810 or 3840×1620",
-            exact: true
-        },
-        frameRate: {
-            valid: Math.abs(videoInfo.frameRate - criteria.frameRate) <= 0.1,
-            value: `${videoInfo.frameRate} fps`,
-            requirement: "24 fps",
-            exact: true
-        },
-        frameCount: {
-            valid: Math.abs(videoInfo.frameCount - criteria.frameCount) <= 2,
-            value: videoInfo.frameCount,
-            requirement: "144 frames",
-            exact: true
-        },
-        codec: {
-            valid: criteria.allowedCodecs.some(codec => {
-                const lowerVideoCodec = videoInfo.codec.toLowerCase();
-                const lowerCriteriaCodec = codec.toLowerCase();
-                const isValid = lowerVideoCodec.includes(lowerCriteriaCodec) || 
-                               lowerVideoCodec.includes('avc') ||  // H.264 alternative name
-                               lowerVideoCodec.includes('hevc');  // H.265 alternative name
-                
-                console.log(`🔍 Codec validation: "${videoInfo.codec}" -> ${isValid ? 'VALID' : 'INVALID'}`);
-                return isValid;
-            }),
-            value: getCodecName(videoInfo.codec),
-            requirement: "H.264 or H.265",
-            exact: true
+    job.emitter.on('event', listener);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        job.emitter.off('event', listener);
+    });
+});
+
+// Annulation d'un job en attente ou en cours
+app.delete('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendError(res, 'JOB_NOT_FOUND');
+    }
+    if (!jobQueue.cancel(job.id)) {
+        return sendError(res, 'JOB_FINISHED');
+    }
+    res.json({ success: true, status: 'cancelled' });
+});
+
+// Export d'un ou plusieurs rapports (reçus d'une analyse précédente) au format
+// JSON, certificat HTML imprimable ou JUnit XML. Seuls les rapports signés par ce
+// serveur sont acceptés ; un rapport d'échec d'analyse ne contient pas de verdict
+// et peut être ajouté tel quel à un export par lot.
+app.post('/report', (req, res) => {
+    const format = req.query.format || 'json';
+    if (!REPORT_FORMATS.includes(format)) {
+        return sendError(res, 'INVALID_REQUEST', `unknown report format ${format} (${REPORT_FORMATS.join(', ')})`);
+    }
+
+    const received = req.body && Array.isArray(req.body.reports) ? req.body.reports : [req.body];
+    const reports = received.map(normalizeReport);
+    if (reports.length === 0 || reports.includes(null)) {
+        return sendError(res, 'INVALID_REPORT');
+    }
+    if (!received.every((report, i) => reports[i].error || verifyReport(report, REPORT_SECRET))) {
+        return sendError(res, 'UNTRUSTED_REPORT');
+    }
+
+    const { contentType, extension, body } = renderReport(reports, format);
+    const baseName = reports.length === 1
+        ? path.basename(reports[0].file.name, path.extname(reports[0].file.name))
+        : 'video-checker';
+
+    res.attachment(`${baseName}_report.${extension}`);
+    res.type(contentType);
+    res.send(body);
+});
+
+// Historique des vérifications du client (en-tête X-Client-Id)
+app.get('/history', async (req, res, next) => {
+    const clientId = getClientId(req);
+    if (!clientId) {
+        return sendError(res, 'CLIENT_ID_REQUIRED');
+    }
+
+    try {
+        const entries = await history.list(clientId);
+        res.json({ entries: entries.map(entry => history.summarize(entry)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Résultat déjà connu pour un fichier identique vérifié par le même client (même
+// empreinte SHA-256, même version du profil et même méthode de comptage)
+app.get('/history/lookup', async (req, res, next) => {
+    const clientId = getClientId(req);
+    if (!clientId) {
+        return sendError(res, 'CLIENT_ID_REQUIRED');
+    }
+
+    const sha256 = String(req.query.sha256 || '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(sha256)) {
+        return sendError(res, 'INVALID_REQUEST', 'invalid SHA-256');
+    }
+
+    const profileId = req.query.profile || DEFAULT_PROFILE;
+    const profile = getProfile(profileId);
+    if (!profile) {
+        return sendError(res, 'UNKNOWN_PROFILE', profileId);
+    }
+
+    try {
+        const entry = await history.find({ clientId, sha256, profile, frameCheck: req.query.frameCheck || 'metadata' });
+        if (!entry) {
+            return sendError(res, 'HISTORY_NOT_FOUND', 'no cached result for this file');
+        }
+        res.json(formatHistoryEntry(entry, getLocale(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/history/:id', async (req, res, next) => {
+    try {
+        const entry = await history.get(req.params.id, getClientId(req));
+        if (!entry) {
+            return sendError(res, 'HISTORY_NOT_FOUND');
         }
+        res.json(formatHistoryEntry(entry, getLocale(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Suppression d'une entrée, ou de tout l'historique du client
+app.delete(['/history', '/history/:id'], async (req, res, next) => {
+    const clientId = getClientId(req);
+    if (!clientId) {
+        return sendError(res, 'CLIENT_ID_REQUIRED');
+    }
+
+    try {
+        const removed = await history.remove(clientId, req.params.id);
+        if (req.params.id && removed === 0) {
+            return sendError(res, 'HISTORY_NOT_FOUND');
+        }
+        res.json({ success: true, removed });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Téléchargement d'une vidéo corrigée (supprimée dès qu'elle a été envoyée)
+app.get('/fixed/:id', (req, res) => {
+    const fixed = fixedFiles.get(req.params.id);
+    if (!fixed || !fs.existsSync(fixed.path)) {
+        fixedFiles.delete(req.params.id);
+        return sendError(res, 'FIXED_FILE_NOT_FOUND');
+    }
+
+    res.download(fixed.path, fixed.fileName, () => {
+        fixedFiles.delete(req.params.id);
+        removeTempFile(fixed.path);
+    });
+});
+
+// Valeurs lues par preflight.js : seuls les champs attendus sont gardés, et ceux
+// dont dépendent les règles doivent être présents
+function getPreflightInfo(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const number = key => Number.isFinite(value[key]) ? value[key] : null;
+    const text = key => typeof value[key] === 'string' ? value[key] : null;
+    const info = {
+        fileName: text('fileName'),
+        fileSize: number('fileSize'),
+        mimeType: text('mimeType') || '',
+        format: text('format'),
+        width: number('width'),
+        height: number('height'),
+        codec: text('codec'),
+        frameRate: number('frameRate'),
+        avgFrameRate: number('avgFrameRate'),
+        frameCount: number('frameCount'),
+        frameCountMethod: 'metadata',
+        variableFrameRate: value.variableFrameRate === true,
+        audioStreams: Array.isArray(value.audioStreams)
+            ? value.audioStreams.map(stream => ({ codec: stream && typeof stream.codec === 'string' ? stream.codec : null }))
+            : []
     };
 
-    // Calcul du résultat global
-    results.overall = Object.keys(results).every(key => 
-        key === 'overall' || results[key].valid
-    );
+    const required = ['fileSize', 'format', 'width', 'height', 'frameRate', 'frameCount'];
+    return required.every(key => info[key] !== null) ? info : null;
+}
+
+// Soumet l'analyse ou la correction d'un fichier sur disque à la file de jobs.
+// Le fichier est supprimé à la fin du job.
+function submitJob(inputPath, fileMeta, profile, { frameCheck, type, historyClient, locale, webhooks = [] }) {
+    return jobQueue.submit(async (job) => {
+        const options = { frameCheck, locale, signal: job.signal, onProgress: job.report };
+        const profileInfo = { id: profile.id, name: profile.name, version: profile.version };
+
+        if (type === 'fix') {
+            return { success: true, profile: profileInfo, ...await fixTempFile(inputPath, fileMeta, profile, options) };
+        }
+
+        let result;
+        try {
+            result = await checkVideoFile(inputPath, profile, fileMeta, { ...options, thumbnails: true });
+        } catch (error) {
+            // Une annulation n'est pas une fin d'analyse
+            if (!job.signal.aborted) {
+                notifyAnalysis(profile, webhooks, { source: 'job', fileMeta, locale, error });
+            }
+            throw error;
+        }
+        notifyAnalysis(profile, webhooks, { source: 'job', fileMeta, locale, result });
+        return {
+            success: true,
+            profile: profileInfo,
+            videoInfo: result.videoInfo,
+            validation: result.validation,
+            report: createReport(result, profile),
+            thumbnails: result.thumbnails,
+            historyId: await saveToHistory(historyClient, profile, frameCheck, result)
+        };
+    }, {
+        // Le fichier est supprimé dès la fin du job, y compris s'il est annulé avant de démarrer.
+        // Les vignettes ne partent qu'avec l'événement "done" envoyé aux clients qui suivent
+        // le job : comme la vidéo, elles ne sont pas conservées (GET /jobs/:id, rejeu SSE)
+        onFinish: (job) => {
+            removeTempFile(inputPath);
+            if (job.result) {
+                delete job.result.thumbnails;
+            }
+        }
+    });
+}
+
+// Analyse les deux versions avec le même profil, puis mesure éventuellement
+// PSNR/SSIM pour savoir si les images diffèrent ou seulement l'encodage
+function submitComparison(files, profile, { frameCheck, similarity, locale }) {
+    return jobQueue.submit(async (job) => {
+        const results = [];
+        for (const [index, file] of files.entries()) {
+            const stage = index === 0 ? 'first' : 'second';
+            job.report(stage, 0);
+            results.push(await checkVideoFile(file.path, profile, file.meta, { frameCheck, locale, signal: job.signal }));
+            job.report(stage, 100);
+        }
+
+        let similarityResult = null;
+        if (similarity) {
+            job.report('similarity', 0);
+            similarityResult = await measureSimilarity(files[0].path, files[1].path, results[0].videoInfo, {
+                signal: job.signal,
+                onProgress: percent => job.report('similarity', percent)
+            });
+            job.report('similarity', 100);
+        }
+
+        const [first, second] = results.map(result => ({
+            videoInfo: result.videoInfo,
+            validation: result.validation,
+            report: createReport(result, profile)
+        }));
 
-    return results;
+        return {
+            success: true,
+            profile: { id: profile.id, name: profile.name, version: profile.version },
+            first,
+            second,
+            comparison: compareVideos(first, second),
+            similarity: similarityResult
+        };
+    }, {
+        onFinish: () => files.forEach(file => removeTempFile(file.path))
+    });
 }
 
-// Fonctions utilitaires
-function getFileExtension(filename) {
-    return filename.split('.').pop().toLowerCase();
+// Analyse un fichier reçu par Multer et le valide selon le profil.
+// options.webhooks : cibles à notifier en plus de celles du profil (getRequestWebhooks)
+async function analyzeUploadedFile(file, profile, options) {
+    const fileMeta = getFileMeta(file);
+    const notify = { source: 'upload', fileMeta, locale: options.locale };
+    try {
+        // Analyser et valider la vidéo avec FFmpeg
+        const result = await checkVideoFile(file.path, profile, fileMeta, options);
+        notifyAnalysis(profile, options.webhooks || [], { ...notify, result });
+        return result;
+    } catch (error) {
+        notifyAnalysis(profile, options.webhooks || [], { ...notify, error });
+        throw error;
+    } finally {
+        // Supprimer le fichier temporaire sans attendre la fin du lot
+        await removeTempFile(file.path);
+    }
 }
 
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Transcode une vidéo déjà écrite sur disque puis re-valide le résultat.
+// options : signal, onProgress(stage, percent) et locale, comme pour checkVideoFile
+async function fixTempFile(inputPath, fileMeta, profile, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    // Identifiant imprévisible : il suffit à télécharger le fichier corrigé
+    const fixId = crypto.randomBytes(12).toString('hex');
+    const outputPath = path.join(TEMP_DIR, `fixed_${fixId}.mp4`);
+
+    try {
+        const { videoInfo } = await checkVideoFile(inputPath, profile, fileMeta, {
+            signal: options.signal,
+            locale: options.locale,
+            onProgress
+        });
+
+        onProgress('transcode', 0);
+        const fix = await fixVideo(inputPath, outputPath, videoInfo, profile.criteria, {
+            signal: options.signal,
+            onProgress: percent => onProgress('transcode', percent)
+        });
+
+        // Re-valider le résultat avant de proposer le téléchargement
+        onProgress('verify', 0);
+        const fixed = await checkVideoFile(outputPath, profile, {
+            fileName: fix.fileName,
+            mimeType: 'video/mp4'
+        }, { signal: options.signal, locale: options.locale });
+        onProgress('verify', 100);
+
+        fixedFiles.set(fixId, { path: outputPath, fileName: fix.fileName });
+        setTimeout(() => {
+            if (fixedFiles.delete(fixId)) {
+                removeTempFile(outputPath);
+            }
+        }, FIXED_FILE_RETENTION).unref();
+
+        return {
+            command: fix.command,
+            downloadUrl: `/fixed/${fixId}`,
+            videoInfo: fixed.videoInfo,
+            validation: fixed.validation,
+            report: createReport(fixed, profile)
+        };
+    } catch (error) {
+        await removeTempFile(outputPath);
+        throw error;
+    }
 }
 
-function getFormatName(format, mimeType) {
-    if (format.toLowerCase().includes('mp4') || mimeType.includes('mp4')) return 'MP4';
-    if (format.toLowerCase().includes('mov') || format.toLowerCase().includes('quicktime') || mimeType.includes('quicktime')) return 'MOV';
-    return format.toUpperCase();
+function getClientId(req) {
+    const clientId = req.get('X-Client-Id');
+    return clientId && /^[\w-]{8,64}$/.test(clientId) ? clientId : null;
 }
 
-function getCodecName(codec) {
-    const codecMap = {
-        'h264': 'H.264',
-        'avc': 'H.264',
-        'avc1': 'H.264',
-        'hevc': 'H.265',
-        'h265': 'H.265',
-        'hev1': 'H.265',
-        'hvc1': 'H.265'
-    };
-    
-    const lowerCodec = codec.toLowerCase();
-    for (const [key, value] of Object.entries(codecMap)) {
-        if (lowerCodec.includes(key)) return value;
+// Le client n'est enregistré dans l'historique que s'il l'a demandé
+function getHistoryClient(req) {
+    const body = req.body || {};
+    const requested = [true, 'true', '1', 'on'].includes(body.saveHistory) || req.query.saveHistory === 'true';
+    return requested ? getClientId(req) : null;
+}
+
+// Retourne l'identifiant de l'entrée créée ; un échec d'écriture de
+// l'historique ne doit pas faire échouer l'analyse
+async function saveToHistory(clientId, profile, frameCheck, { videoInfo, validation }) {
+    if (!clientId) return null;
+
+    try {
+        const entry = await history.add({ clientId, profile, frameCheck, videoInfo, validation });
+        return entry.id;
+    } catch (error) {
+        console.error('Erreur enregistrement historique:', error);
+        return null;
     }
-    return codec.toUpperCase();
 }
 
-// Nettoyage périodique du dossier temp (au cas où)
-setInterval(() => {
-    const tempDir = path.join(__dirname, 'temp');
-    if (fs.existsSync(tempDir)) {
-        const files = fs.readdirSync(tempDir);
-        const now = Date.now();
-        
-        files.forEach(file => {
-            const filePath = path.join(tempDir, file);
-            const stats = fs.statSync(filePath);
-            
-            // Supprimer les fichiers de plus de 5 minutes
-            if (now - stats.mtime.getTime() > 5 * 60 * 1000) {
-                fs.unlinkSync(filePath);
-                console.log(`Fichier temporaire supprimé: ${file}`);
-            }
+// Même forme de réponse qu'une analyse, marquée comme issue de l'historique.
+// La validation est recalculée dans la langue du client tant que le profil
+// n'a pas changé de version, sinon le résultat enregistré est renvoyé tel quel.
+function formatHistoryEntry(entry, locale) {
+    const profile = getProfile(entry.profile.id);
+    const validation = profile && profile.version === entry.profile.version
+        ? validateVideoSpecs(entry.videoInfo, profile.criteria, locale)
+        : entry.validation;
+
+    return {
+        success: true,
+        cached: true,
+        cachedAt: entry.createdAt,
+        historyId: entry.id,
+        profile: entry.profile,
+        frameCheck: entry.frameCheck,
+        videoInfo: entry.videoInfo,
+        validation,
+        report: createReport({ videoInfo: entry.videoInfo, validation }, entry.profile)
+    };
+}
+
+// Rapport envoyé au client, signé pour pouvoir être exporté ensuite (POST /report)
+function createReport(result, profile) {
+    return signReport(buildReport(result, profile), REPORT_SECRET);
+}
+
+// Webhooks propres à une requête (champ "webhook", éventuellement répété), signés
+// avec le secret choisi par l'appelant (champ "webhookSecret", jamais dans l'URL
+// de la requête pour ne pas finir dans les journaux)
+function getRequestWebhooks(value, secret) {
+    const webhookSecret = typeof secret === 'string' && secret ? secret : null;
+    return (Array.isArray(value) ? value : [value]).filter(Boolean).map(url => ({
+        url: String(url),
+        secret: webhookSecret,
+        requested: true
+    }));
+}
+
+// Notifie la fin d'une analyse aux webhooks du profil et de la requête. Les
+// livraisons se font en arrière-plan : la réponse au client ne les attend pas.
+// Les webhooks de la requête sont signés avec le secret de l'appelant.
+// source : upload, job ou watch ; result ({ videoInfo, validation }) ou error
+function notifyAnalysis(profile, webhooks, { source, fileMeta, locale = DEFAULT_LOCALE, result, error }) {
+    const targets = [...profile.webhooks, ...webhooks];
+    if (targets.length === 0) return;
+
+    const payload = {
+        source,
+        profile: { id: profile.id, name: profile.name, version: profile.version },
+        file: { name: fileMeta.fileName, size: fileMeta.fileSize }
+    };
+    if (error) {
+        webhookNotifier.send(targets, 'analysis.failed', { ...payload, ...toErrorBody(normalizeError(error), locale) });
+    } else {
+        webhookNotifier.send(targets, 'analysis.completed', {
+            ...payload,
+            locale,
+            videoInfo: result.videoInfo,
+            validation: result.validation
         });
     }
-}, 60000); // Vérification chaque minute
+}
+
+// Surveillance démarrée seulement si des dossiers sont configurés ; un profil
+// inconnu est une erreur de configuration, on s'arrête plutôt que d'ignorer les rendus
+function createWatcher() {
+    if (WATCH_FOLDERS.length === 0) {
+        return null;
+    }
+
+    const profile = getProfile(WATCH_PROFILE);
+    if (!profile) {
+        throw new Error(`Profil de surveillance inconnu: ${WATCH_PROFILE}`);
+    }
+    if (!FRAME_CHECK_METHODS.includes(WATCH_FRAME_CHECK)) {
+        throw new Error(`Méthode de comptage inconnue pour la surveillance: ${WATCH_FRAME_CHECK}`);
+    }
+
+    return new FolderWatcher(WATCH_FOLDERS, {
+        profile,
+        frameCheck: WATCH_FRAME_CHECK,
+        interval: WATCH_INTERVAL,
+        stableTime: WATCH_STABLE_TIME,
+        rejectFailed: WATCH_REJECT
+    });
+}
+
+// Le rapport sur disque reste en anglais ; seul le message d'erreur affiché est traduit
+function localizeWatchResult(result, locale) {
+    return result.code
+        ? { ...result, error: toErrorBody(result, locale).error }
+        : result;
+}
+
+function isAllowedVideo(fileName, mimeType) {
+    const allowedTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo'];
+    const allowedExtensions = ['.mp4', '.mov', '.avi'];
+    return allowedTypes.includes(mimeType) || allowedExtensions.includes(path.extname(fileName).toLowerCase());
+}
+
+function getFileMeta(file) {
+    return {
+        fileName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype
+    };
+}
+
+// Tableau de bord de la surveillance de dossiers
+app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(__dirname, 'dashboard.html'));
+});
+
+// État de la surveillance : dossiers, fichiers en attente et derniers résultats
+app.get('/watch', (req, res) => {
+    if (!watcher) {
+        return res.json({ enabled: false, folders: [], results: [] });
+    }
+    const locale = getLocale(req);
+    const state = watcher.toJSON();
+    res.json({ enabled: true, ...state, results: state.results.map(result => localizeWatchResult(result, locale)) });
+});
+
+// Résultats de la surveillance en direct (Server-Sent Events)
+app.get('/watch/events', (req, res) => {
+    if (!watcher) {
+        return sendError(res, 'WATCH_DISABLED');
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
 
-// Gestionnaire d'erreur pour multer
+    const locale = getLocale(req);
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onStatus = (status) => send('status', status);
+    const onResult = (result) => send('result', localizeWatchResult(result, locale));
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    watcher.on('status', onStatus);
+    watcher.on('result', onResult);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        watcher.off('status', onStatus);
+        watcher.off('result', onResult);
+    });
+});
+
+// Gestionnaire d'erreur : Multer, parseurs Express et erreurs du catalogue
+// sont tous renvoyés avec leur code (voir lib/errors.js)
 app.use((error, req, res, next) => {
+    let normalized;
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'Fichier trop volumineux (max 150MB)' });
+            normalized = new VideoCheckerError('FILE_TOO_LARGE');
+        } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            // Multer signale aussi un dépassement de maxCount comme un champ inattendu
+            normalized = new VideoCheckerError('TOO_MANY_FILES', `max ${MAX_BATCH_FILES} per batch`);
+        } else {
+            normalized = new VideoCheckerError('INVALID_REQUEST', error.message);
         }
+    } else {
+        normalized = normalizeError(error);
     }
-    res.status(500).json({ error: error.message });
+
+    if (normalized.status >= 500) {
+        console.error(`Erreur ${req.method} ${req.path}:`, error);
+    }
+    res.status(normalized.status).json(toErrorBody(normalized, getLocale(req)));
 });
 
 app.listen(PORT, () => {
+    cleanTempDir(TEMP_DIR);
     console.log(`🎬 Serveur de vérification vidéo démarré sur http://localhost:${PORT}`);
     console.log(`📁 Dossier de travail: ${__dirname}`);
     console.log(`🔧 Assurez-vous que FFmpeg est installé sur le système`);
+    if (watcher) {
+        watcher.on('analysis', ({ fileMeta, result, error }) => {
+            notifyAnalysis(watcher.profile, [], { source: 'watch', fileMeta, result, error });
+        });
+        watcher.start();
+        console.log(`👀 Surveillance de ${watcher.folders.join(', ')} (profil ${watcher.profile.name}) : http://localhost:${PORT}/dashboard`);
+    }
 });
 
 module.exports = app;
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { RateLimiter, rateLimit } = require('../lib/access');
+
+function createLimiters(limit) {
+    const limiters = { perIp: new RateLimiter({ limit, window: 60000 }), perKey: new RateLimiter({ limit, window: 60000 }) };
+    test.after(() => Object.values(limiters).forEach(limiter => clearInterval(limiter.cleanupTimer)));
+    return limiters;
+}
+
+// Passe la requête au middleware : true si elle continue, sinon le statut renvoyé
+function run(middleware, req) {
+    return new Promise(resolve => {
+        req = { apiClient: null, ip: '203.0.113.5', get: () => undefined, headers: {}, ...req };
+        const res = {
+            req,
+            set() { return res; },
+            status(code) { resolve(code); return res; },
+            json() { return res; }
+        };
+        middleware(req, res, () => resolve(true));
+    });
+}
+
+test('a request counts for its cost', () => {
+    const [limiter] = Object.values(createLimiters(5));
+
+    assert.strictEqual(limiter.hit('ip:a', 3).remaining, 2);
+    assert.strictEqual(limiter.hit('ip:a', 2).allowed, true);
+    assert.strictEqual(limiter.hit('ip:a').allowed, false);
+    assert.strictEqual(limiter.hit('ip:b').remaining, 4);
+});
+
+test('a batch is charged one unit per file on the shared quota', async () => {
+    const limiters = createLimiters(4);
+    const limitAnalysis = rateLimit(limiters);
+    const limitBatchFiles = rateLimit({ ...limiters, cost: req => Math.max(0, (req.files || []).length - 1) });
+
+    assert.strictEqual(await run(limitAnalysis, {}), true);
+    assert.strictEqual(await run(limitBatchFiles, { files: [1, 2, 3, 4] }), true);
+    assert.strictEqual(await run(limitAnalysis, {}), 429);
+    assert.strictEqual(await run(limitAnalysis, { apiClient: 'ci' }), true);
+});
+
+// Serveur lancé dans un processus à part (server.js écoute dès son chargement)
+async function startServer(env) {
+    const port = await new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-checker-server-'));
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), HISTORY_FILE: path.join(dir, 'history.json'), FFPROBE_PATH: 'false', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    test.after(() => {
+        server.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', data => { if (String(data).includes(`:${port}`)) resolve(); });
+        server.on('exit', code => reject(new Error(`server exited with code ${code}`)));
+    });
+    return `http://127.0.0.1:${port}`;
+}
+
+test('a resumable upload is charged once, when its session is created', async () => {
+    const baseUrl = await startServer({ RATE_LIMIT_IP_MAX: '3', MIN_FREE_DISK_MB: '1' });
+    const video = Buffer.from('not really a video');
+    const createSession = () => fetch(`${baseUrl}/uploads`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: 'render.mp4', fileSize: video.length })
+    });
+
+    const sessions = [];
+    for (let i = 0; i < 3; i++) {
+        const response = await createSession();
+        assert.strictEqual(response.status, 201);
+        sessions.push(await response.json());
+    }
+    assert.strictEqual((await createSession()).status, 429);
+
+    // Les sessions déjà payées se terminent et se comparent sans nouveau décompte
+    for (const session of sessions) {
+        const chunk = await fetch(`${baseUrl}/uploads/${session.uploadId}/chunks/0`, {
+            method: 'PUT',
+            headers: { 'X-Chunk-Checksum': crypto.createHash('sha256').update(video).digest('hex') },
+            body: video
+        });
+        assert.strictEqual(chunk.status, 200);
+    }
+    const complete = await fetch(`${baseUrl}/uploads/${sessions[0].uploadId}/complete`, { method: 'POST' });
+    assert.strictEqual(complete.status, 202);
+
+    const compare = await fetch(`${baseUrl}/compare`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ uploadIds: [sessions[1].uploadId, sessions[2].uploadId] })
+    });
+    assert.strictEqual(compare.status, 202);
+
+    // Jobs terminés (en échec, sans FFprobe) : leurs fichiers temporaires sont supprimés
+    for (const { jobId } of [await complete.json(), await compare.json()]) {
+        let job;
+        do {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            job = await (await fetch(`${baseUrl}/jobs/${jobId}`)).json();
+        } while (['queued', 'running'].includes(job.status));
+    }
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildMovie, truncate } = require('./helpers/mp4');
+const { installFakeProbe } = require('./helpers/ffprobe');
+
+const { dir, setOutput: fakeProbe } = installFakeProbe(test);
+
+const { checkVideoFile } = require('../lib/checker');
+const { getRotation, countTracks } = require('../lib/analyzer');
+const { describeContainer } = require('../lib/container');
+const { normalizeError, toErrorBody } = require('../lib/errors');
+
+const PROFILE = {
+    id: 'strict',
+    criteria: {
+        resolutions: [{ width: 1920, height: 810 }],
+        formats: ['mp4'],
+        maxFileSize: 1024 * 1024,
+        frameRate: 24,
+        frameRateTolerance: 0.1,
+        frameCount: 144,
+        frameCountTolerance: 0,
+        constantFrameRate: true,
+        codecs: ['h264'],
+        codecProfiles: { h264: ['High'] },
+        maxLevels: { h264: 4.2 },
+        gop: { maxKeyframeInterval: 2, closed: true },
+        faststart: true,
+        maxTracks: { video: 1 },
+        allowRotation: false,
+        color: { pixelFormats: ['yuv420p'], colorSpaces: ['bt709'] },
+        audio: { required: true, channels: 2, sampleRate: 48000 }
+    }
+};
+
+function writeVideo(name, buffer) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+// Une erreur propre : code du catalogue, statut client et message traduit
+async function assertCleanError(promise, code) {
+    await assert.rejects(promise, error => {
+        const normalized = normalizeError(error);
+        assert.strictEqual(normalized.code, code);
+        assert.ok(normalized.status < 500);
+        assert.ok(toErrorBody(normalized, 'fr').error);
+        return true;
+    });
+}
+
+test('malformed FFprobe JSON gives a PROBE_FAILED error', async () => {
+    fakeProbe('{"streams": [ {"codec_type": "vid');
+    await assertCleanError(checkVideoFile(writeVideo('render.mp4', buildMovie()), PROFILE), 'PROBE_FAILED');
+});
+
+test('a file FFprobe cannot read gives a PROBE_FAILED error', async () => {
+    fakeProbe('', { exit: 1, error: 'moov atom not found' });
+    const filePath = writeVideo('truncated.mp4', truncate(buildMovie({ layout: ['ftyp', 'mdat', 'moov'] }), 400));
+    await assertCleanError(checkVideoFile(filePath, PROFILE), 'PROBE_FAILED');
+});
+
+test('a file without streams gives a NO_VIDEO_STREAM error', async () => {
+    fakeProbe({ streams: [], format: {} });
+    await assertCleanError(checkVideoFile(writeVideo('empty.mp4', buildMovie({ video: null, audio: null })), PROFILE), 'NO_VIDEO_STREAM');
+
+    fakeProbe({});
+    await assertCleanError(checkVideoFile(writeVideo('empty.mp4', Buffer.alloc(0)), PROFILE), 'NO_VIDEO_STREAM');
+});
+
+test('missing and unreadable probe fields give unknown values, not a crash', async () => {
+    fakeProbe({
+        streams: [
+            { index: 0, codec_type: 'video', r_frame_rate: '0/0', avg_frame_rate: 'N/A', nb_frames: 'N/A', level: -99, side_data_list: 'broken' },
+            { index: 1, codec_type: 'audio' }
+        ],
+        format: { duration: 'N/A', bit_rate: 'N/A' }
+    });
+    const filePath = writeVideo('truncated.mp4', truncate(buildMovie(), 100));
+
+    const { videoInfo, validation } = await checkVideoFile(filePath, PROFILE);
+
+    assert.strictEqual(videoInfo.frameRate, null);
+    assert.strictEqual(videoInfo.frameCount, null);
+    assert.strictEqual(videoInfo.frameCountMethod, 'unknown');
+    assert.strictEqual(videoInfo.rotation, 0);
+    assert.deepStrictEqual(videoInfo.audioStreams[0], {
+        index: 1, codec: null, channels: null, channelLayout: null, sampleRate: null, duration: null
+    });
+    assert.strictEqual(validation.overall, false);
+    for (const key of ['resolution', 'frameRate', 'frameCount', 'codec', 'codecProfile', 'codecLevel', 'audioFormat']) {
+        assert.strictEqual(validation[key].valid, false, key);
+    }
+    assert.strictEqual(validation.frameCount.value, 'Unknown');
+});
+
+test('describeContainer tolerates truncated and invalid boxes', async () => {
+    const truncated = await describeContainer(writeVideo('cut.mp4', truncate(buildMovie(), 100)));
+    assert.deepStrictEqual(truncated.topLevelBoxes, ['ftyp', 'moov', 'mdat']);
+    assert.strictEqual(truncated.faststart, true);
+
+    const noMoov = await describeContainer(writeVideo('cut.mp4', buildMovie({ layout: ['ftyp', 'mdat'] })));
+    assert.strictEqual(noMoov.faststart, null);
+
+    const garbage = await describeContainer(writeVideo('garbage.mp4', Buffer.from('not a video file at all')));
+    assert.deepStrictEqual(garbage, { topLevelBoxes: null, faststart: null, fragmented: false });
+
+    const empty = await describeContainer(writeVideo('empty.mp4', Buffer.alloc(0)));
+    assert.strictEqual(empty.topLevelBoxes, null);
+});
+
+test('getRotation reads the display matrix, then the legacy rotate tag', () => {
+    assert.strictEqual(getRotation({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }] }), 90);
+    assert.strictEqual(getRotation({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: 90 }] }), 270);
+    assert.strictEqual(getRotation({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: 180 }] }), 180);
+    assert.strictEqual(getRotation({ tags: { rotate: '90' } }), 90);
+    assert.strictEqual(getRotation({ tags: { rotate: '-90' } }), 270);
+    assert.strictEqual(getRotation({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: 0 }], tags: { rotate: '90' } }), 0);
+    assert.strictEqual(getRotation({ tags: { rotate: 'abc' } }), 0);
+    assert.strictEqual(getRotation({}), 0);
+});
+
+test('countTracks counts streams by type and ignores cover art', () => {
+    assert.deepStrictEqual(countTracks([
+        { codec_type: 'video' },
+        { codec_type: 'video', disposition: { attached_pic: 1 } },
+        { codec_type: 'audio' },
+        { codec_type: 'audio' },
+        { codec_type: 'subtitle' },
+        { codec_type: 'data' },
+        { codec_type: 'attachment' }
+    ]), { video: 1, audio: 2, subtitle: 1, data: 1 });
+    assert.deepStrictEqual(countTracks([]), { video: 0, audio: 0, subtitle: 0, data: 0 });
+});
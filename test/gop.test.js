@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { describeGop } = require('../lib/gop');
+
+// Paquets dans l'ordre de décodage : [pts en images, image clé] à 24 fps
+function packets(list) {
+    return list.map(([frame, keyframe]) => ({ pts: frame / 24, keyframe: Boolean(keyframe) }));
+}
+
+test('regular closed GOPs without B-frames', () => {
+    const gop = describeGop(packets(Array.from({ length: 48 }, (_, i) => [i, i % 12 === 0])), 24);
+
+    assert.strictEqual(gop.frameCount, 48);
+    assert.strictEqual(gop.keyframeCount, 4);
+    assert.deepStrictEqual(gop.gopSizes, [12]);
+    assert.strictEqual(gop.regular, true);
+    assert.strictEqual(gop.maxKeyframeIntervalFrames, 12);
+    assert.strictEqual(gop.maxKeyframeInterval, 0.5);
+    assert.strictEqual(gop.openGops, 0);
+    assert.strictEqual(gop.maxConsecutiveBFrames, 0);
+});
+
+test('B-frames and open GOPs are detected from the display order', () => {
+    // I0 P3 B1 B2 | I6 B4 B5 P9 B7 B8 : les B4 et B5 suivent I6 mais s'affichent avant
+    const gop = describeGop(packets([
+        [0, 1], [3], [1], [2],
+        [6, 1], [4], [5], [9], [7], [8]
+    ]), 24);
+
+    assert.strictEqual(gop.keyframeCount, 2);
+    assert.deepStrictEqual(gop.gopSizes, [6]);
+    assert.strictEqual(gop.openGops, 1);
+    assert.strictEqual(gop.bFrames, 6);
+    assert.strictEqual(gop.maxConsecutiveBFrames, 2);
+});
+
+test('irregular GOPs and a single keyframe', () => {
+    const irregular = describeGop(packets(Array.from({ length: 30 }, (_, i) => [i, [0, 10, 15].includes(i)])), 24);
+    assert.deepStrictEqual(irregular.gopSizes, [5, 10]);
+    assert.strictEqual(irregular.regular, false);
+    // Le dernier GOP (15 images jusqu'à la fin) compte pour l'intervalle maximal
+    assert.strictEqual(irregular.maxKeyframeIntervalFrames, 15);
+
+    const single = describeGop(packets(Array.from({ length: 144 }, (_, i) => [i, i === 0])), 24);
+    assert.strictEqual(single.keyframeCount, 1);
+    assert.deepStrictEqual(single.gopSizes, []);
+    assert.strictEqual(single.maxKeyframeInterval, 6);
+    assert.strictEqual(single.maxKeyframeIntervalFrames, 144);
+});
+
+test('a stream without keyframes has no interval', () => {
+    const gop = describeGop(packets([[0], [1], [2]]), 24);
+
+    assert.strictEqual(gop.keyframeCount, 0);
+    assert.strictEqual(gop.maxKeyframeInterval, null);
+    assert.strictEqual(gop.maxKeyframeIntervalFrames, null);
+});
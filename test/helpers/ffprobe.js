@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// FFprobe factice : renvoie le contenu de FAKE_PROBE_OUTPUT sur la sortie standard,
+// FAKE_PROBE_ERROR sur la sortie d'erreur, avec le code FAKE_PROBE_EXIT.
+// À appeler avant de charger lib/ffprobe.js, qui lit FFPROBE_PATH au chargement.
+function installFakeProbe(test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-checker-test-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const probePath = path.join(dir, 'ffprobe');
+    fs.writeFileSync(probePath, [
+        '#!/bin/sh',
+        'cat "$FAKE_PROBE_OUTPUT"',
+        '[ -n "$FAKE_PROBE_ERROR" ] && echo "$FAKE_PROBE_ERROR" >&2',
+        'exit "${FAKE_PROBE_EXIT:-0}"',
+        ''
+    ].join('\n'), { mode: 0o755 });
+    process.env.FFPROBE_PATH = probePath;
+
+    return {
+        dir,
+        // output : objet sérialisé en JSON, ou texte brut (sortie invalide)
+        setOutput(output, { exit = 0, error = '' } = {}) {
+            const outputPath = path.join(dir, 'probe-output.json');
+            fs.writeFileSync(outputPath, typeof output === 'string' ? output : JSON.stringify(output));
+            process.env.FAKE_PROBE_OUTPUT = outputPath;
+            process.env.FAKE_PROBE_EXIT = String(exit);
+            process.env.FAKE_PROBE_ERROR = error;
+        }
+    };
+}
+
+module.exports = { installFakeProbe };
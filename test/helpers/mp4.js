@@ -0,0 +1,82 @@
+// Fichiers MP4/MOV minimaux pour les tests : seuls les en-têtes des boîtes lues
+// par preflight.js et lib/container.js sont écrits, mdat ne contient que des zéros
+
+function box(type, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+function uint32(...values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, index) => buffer.writeUInt32BE(value, index * 4));
+    return buffer;
+}
+
+function trackHeader(width, height) {
+    const payload = Buffer.alloc(84);
+    payload.writeUInt32BE(width * 65536, 76);
+    payload.writeUInt32BE(height * 65536, 80);
+    return box('tkhd', payload);
+}
+
+function sampleEntry(format, { width = 0, height = 0 } = {}) {
+    const payload = Buffer.alloc(78);
+    payload.writeUInt16BE(1, 6);
+    payload.writeUInt16BE(width, 24);
+    payload.writeUInt16BE(height, 26);
+    return box(format, payload);
+}
+
+// samples : [{ count, delta }] (table stts) ; le nombre d'images est leur somme
+function track({ handler, format, width, height, timescale, samples }) {
+    const frameCount = samples.reduce((total, entry) => total + entry.count, 0);
+    const duration = samples.reduce((total, entry) => total + entry.count * entry.delta, 0);
+
+    const mdhd = box('mdhd', uint32(0, 0, 0, timescale, duration, 0));
+    const hdlr = box('hdlr', uint32(0, 0), Buffer.from(handler, 'latin1'), Buffer.alloc(13));
+    const stsd = box('stsd', uint32(0, 1), sampleEntry(format, { width, height }));
+    const stts = box('stts', uint32(0, samples.length), ...samples.map(entry => uint32(entry.count, entry.delta)));
+    const stsz = box('stsz', uint32(0, 1000, frameCount));
+    const stbl = box('stbl', stsd, stts, stsz);
+
+    return box('trak', trackHeader(width || 0, height || 0), box('mdia', mdhd, hdlr, box('minf', stbl)));
+}
+
+// Options : brand (null : pas de ftyp), layout (ordre des boîtes de premier niveau),
+// codec de la piste vidéo, audio (null : pas de piste audio), fragmented (mvex dans moov)
+function buildMovie({
+    brand = 'isom',
+    layout = ['ftyp', 'moov', 'mdat'],
+    video = { format: 'avc1', width: 1920, height: 810, timescale: 24000, samples: [{ count: 144, delta: 1000 }] },
+    audio = { format: 'mp4a', timescale: 48000, samples: [{ count: 282, delta: 1024 }] },
+    fragmented = false,
+    mdatSize = 256
+} = {}) {
+    const tracks = [];
+    if (video) tracks.push(track({ handler: 'vide', ...video }));
+    if (audio) tracks.push(track({ handler: 'soun', ...audio }));
+    if (fragmented) tracks.push(box('mvex', box('trex', Buffer.alloc(24))));
+
+    const boxes = {
+        ftyp: brand ? box('ftyp', Buffer.from(brand, 'latin1'), uint32(0), Buffer.from(brand, 'latin1')) : Buffer.alloc(0),
+        moov: box('moov', box('mvhd', Buffer.alloc(100)), ...tracks),
+        mdat: box('mdat', Buffer.alloc(mdatSize)),
+        wide: box('wide'),
+        free: box('free', Buffer.alloc(16))
+    };
+    return Buffer.concat(layout.map(type => boxes[type]));
+}
+
+// Fichier coupé avant la fin, comme un rendu ou un téléchargement interrompu
+function truncate(buffer, missingBytes) {
+    return buffer.subarray(0, buffer.length - missingBytes);
+}
+
+module.exports = {
+    box,
+    buildMovie,
+    truncate
+};
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../lib/history');
+
+const PROFILE = { id: 'rally', name: 'Rally', version: '1.0.0' };
+
+function createStore(limit) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-checker-history-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new HistoryStore(path.join(dir, 'history.json'), { limit });
+}
+
+function addCheck(store, clientId, sha256) {
+    return store.add({
+        clientId,
+        profile: PROFILE,
+        frameCheck: 'metadata',
+        videoInfo: { sha256, fileName: `${sha256}.mp4` },
+        validation: { overall: true }
+    });
+}
+
+test('the history limit applies to each client', async () => {
+    const store = createStore(2);
+    await addCheck(store, 'client-a', 'a1');
+    for (const sha256 of ['b1', 'b2', 'b3']) {
+        await addCheck(store, 'client-b', sha256);
+    }
+
+    assert.deepStrictEqual((await store.list('client-a')).map(entry => entry.sha256), ['a1']);
+    assert.deepStrictEqual((await store.list('client-b')).map(entry => entry.sha256), ['b3', 'b2']);
+});
+
+test('a lookup only finds the entries of the calling client', async () => {
+    const store = createStore(10);
+    await addCheck(store, 'client-a', 'same-file');
+
+    const query = { sha256: 'same-file', profile: PROFILE, frameCheck: 'metadata' };
+    assert.ok(await store.find({ ...query, clientId: 'client-a' }));
+    assert.strictEqual(await store.find({ ...query, clientId: 'client-b' }), null);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Mp4Preflight } = require('../preflight');
+const { buildMovie, truncate } = require('./helpers/mp4');
+
+function parse(buffer, name = 'render.mp4', type = 'video/mp4') {
+    return new Mp4Preflight(new File([buffer], name, { type })).parse();
+}
+
+test('preflight reads tracks, codecs, duration and frame rate of an MP4', async () => {
+    const info = await parse(buildMovie());
+
+    assert.strictEqual(info.format, 'mp4');
+    assert.strictEqual(info.brand, 'isom');
+    assert.strictEqual(info.codec, 'h264');
+    assert.strictEqual(info.sampleEntry, 'avc1');
+    assert.strictEqual(info.width, 1920);
+    assert.strictEqual(info.height, 810);
+    assert.strictEqual(info.displayWidth, 1920);
+    assert.strictEqual(info.displayHeight, 810);
+    assert.strictEqual(info.timescale, 24000);
+    assert.strictEqual(info.frameCount, 144);
+    assert.strictEqual(info.frameRate, 24);
+    assert.strictEqual(info.duration, 6);
+    assert.strictEqual(info.variableFrameRate, false);
+    assert.deepStrictEqual(info.audioStreams, [{ codec: 'aac' }]);
+});
+
+test('preflight reads a QuickTime MOV with a ProRes track and no audio', async () => {
+    const info = await parse(buildMovie({
+        brand: 'qt  ',
+        layout: ['ftyp', 'wide', 'mdat', 'moov'],
+        video: { format: 'apch', width: 1920, height: 1080, timescale: 25, samples: [{ count: 50, delta: 1 }] },
+        audio: null
+    }), 'render.mov', 'video/quicktime');
+
+    assert.strictEqual(info.format, 'mov');
+    assert.strictEqual(info.codec, 'prores');
+    assert.strictEqual(info.frameCount, 50);
+    assert.strictEqual(info.frameRate, 25);
+    assert.strictEqual(info.duration, 2);
+    assert.deepStrictEqual(info.audioStreams, []);
+});
+
+test('preflight treats a legacy QuickTime file without ftyp as MOV', async () => {
+    const info = await parse(buildMovie({ brand: null, layout: ['wide', 'mdat', 'moov'] }), 'legacy.mov', '');
+
+    assert.strictEqual(info.format, 'mov');
+    assert.strictEqual(info.brand, null);
+});
+
+test('preflight flags a variable frame rate, but not a shorter last sample', async () => {
+    const vfr = await parse(buildMovie({
+        video: { format: 'avc1', width: 1920, height: 810, timescale: 24000, samples: [{ count: 100, delta: 1000 }, { count: 44, delta: 2000 }] }
+    }));
+    assert.strictEqual(vfr.variableFrameRate, true);
+    assert.strictEqual(vfr.frameRate, 24);
+
+    const lastSample = await parse(buildMovie({
+        video: { format: 'avc1', width: 1920, height: 810, timescale: 24000, samples: [{ count: 143, delta: 1000 }, { count: 1, delta: 500 }] }
+    }));
+    assert.strictEqual(lastSample.variableFrameRate, false);
+});
+
+test('preflight tolerates a truncated mdat after a complete moov', async () => {
+    const info = await parse(truncate(buildMovie({ layout: ['ftyp', 'moov', 'mdat'] }), 100));
+
+    assert.strictEqual(info.frameCount, 144);
+});
+
+test('preflight rejects a truncated box before moov', async () => {
+    await assert.rejects(parse(truncate(buildMovie({ layout: ['ftyp', 'mdat', 'moov'] }), 100)), { code: 'PREFLIGHT_INVALID_BOX' });
+});
+
+test('preflight rejects files it cannot check', async () => {
+    await assert.rejects(parse(buildMovie({ layout: ['ftyp', 'mdat'] })), { code: 'PREFLIGHT_NO_MOOV' });
+    await assert.rejects(parse(Buffer.from('RIFF\u0000\u0000\u0000\u0000AVI LIST')), { code: 'PREFLIGHT_INVALID_BOX' });
+    await assert.rejects(parse(buildMovie({ fragmented: true })), { code: 'PREFLIGHT_FRAGMENTED' });
+    await assert.rejects(parse(buildMovie({ video: null })), { code: 'NO_VIDEO_STREAM' });
+    await assert.rejects(parse(buildMovie({
+        video: { format: 'avc1', width: 1920, height: 810, timescale: 24000, samples: [] }
+    })), { code: 'PREFLIGHT_NO_SAMPLES' });
+});
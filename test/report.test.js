@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildReport, signReport, verifyReport, normalizeReport, renderReport } = require('../lib/report');
+
+const SECRET = 'test-secret';
+const PROFILE = { id: 'rally', name: 'Rally', version: '1.0.0' };
+
+function createReport() {
+    return buildReport({
+        videoInfo: { fileName: 'render.mp4', fileSize: 1000, sha256: 'ab'.repeat(32) },
+        validation: {
+            resolution: { label: 'Resolution', valid: false, value: '1280×720', requirement: '1920×810', exact: true },
+            overall: false
+        }
+    }, PROFILE);
+}
+
+test('a signed report survives a JSON round trip to the client', () => {
+    const report = JSON.parse(JSON.stringify(signReport(createReport(), SECRET)));
+
+    assert.strictEqual(verifyReport(report, SECRET), true);
+});
+
+test('a report changed by the client or signed with another key is rejected', () => {
+    const report = signReport(createReport(), SECRET);
+
+    assert.strictEqual(verifyReport({ ...report, compliant: true }, SECRET), false);
+    assert.strictEqual(verifyReport(report, 'other-secret'), false);
+
+    const { signature, ...unsigned } = report;
+    assert.strictEqual(verifyReport(unsigned, SECRET), false);
+});
+
+test('normalizeReport rejects invalid shapes and defaults optional fields', () => {
+    assert.strictEqual(normalizeReport(null), null);
+    assert.strictEqual(normalizeReport({ file: { name: 'a.mp4' } }), null);
+    assert.strictEqual(normalizeReport({ file: { name: 'a.mp4' }, compliant: true, criteria: [{ label: 'x' }] }), null);
+
+    const report = normalizeReport({
+        file: { name: 'a.mp4' },
+        compliant: false,
+        criteria: [{ key: 'resolution', status: 'fail' }]
+    });
+    assert.deepStrictEqual(report.criteria[0].details, []);
+    assert.strictEqual(report.profile.name, '');
+    for (const format of ['json', 'html', 'junit']) {
+        assert.doesNotThrow(() => renderReport([report], format));
+    }
+});
+
+test('an analysis failure report keeps only the file name and the error', () => {
+    assert.deepStrictEqual(
+        normalizeReport({ file: { name: 'a.mp4', size: 1 }, error: 'Probe failed', compliant: true }),
+        { file: { name: 'a.mp4' }, error: 'Probe failed' }
+    );
+});
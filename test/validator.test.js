@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateVideoSpecs, validatePreflight } = require('../lib/validator');
+
+const CRITERIA = {
+    resolutions: [{ width: 1920, height: 810 }],
+    formats: ['mp4', 'mov'],
+    maxFileSize: 100 * 1024 * 1024,
+    frameRate: 24,
+    frameRateTolerance: 0.1,
+    frameCount: 144,
+    frameCountTolerance: 2,
+    constantFrameRate: true,
+    codecs: ['h264'],
+    audio: { required: true, channels: 2 },
+    blackFrames: { severity: 'warning' }
+};
+
+const PREFLIGHT_INFO = {
+    fileName: 'render.mp4',
+    fileSize: 10 * 1024 * 1024,
+    mimeType: 'video/mp4',
+    format: 'mp4',
+    width: 1920,
+    height: 810,
+    codec: 'h264',
+    frameRate: 24,
+    avgFrameRate: 24,
+    frameCount: 144,
+    frameCountMethod: 'metadata',
+    variableFrameRate: false,
+    audioStreams: [{ codec: 'aac' }]
+};
+
+test('validatePreflight checks the values read in the browser with the server rules', () => {
+    const results = validatePreflight({ ...PREFLIGHT_INFO, width: 1280, height: 720 }, CRITERIA);
+
+    assert.strictEqual(results.resolution.valid, false);
+    assert.strictEqual(results.resolution.value, '1280×720');
+    assert.strictEqual(results.codec.valid, true);
+    assert.strictEqual(results.frameCount.valid, true);
+    assert.strictEqual(results.audio.valid, true);
+    assert.strictEqual(results.overall, false);
+});
+
+test('validatePreflight leaves the criteria that need the file pending', () => {
+    const results = validatePreflight(PREFLIGHT_INFO, CRITERIA, 'fr');
+
+    for (const key of ['audioFormat', 'blackFrames']) {
+        assert.strictEqual(results[key].pending, true, key);
+        assert.strictEqual(results[key].value, 'Vérification serveur requise');
+    }
+    // Les critères en attente ne font pas échouer la vérification
+    assert.strictEqual(results.overall, true);
+});
+
+test('validateVideoSpecs tolerates a video with every field missing', () => {
+    const criteria = {
+        ...CRITERIA,
+        color: { pixelFormats: ['yuv420p'], colorSpaces: ['bt709'], allowHDR: false },
+        audio: { required: true, channels: 2, sampleRate: 48000, loudness: { integrated: -23 } },
+        letterbox: true
+    };
+
+    const results = validateVideoSpecs({ audioStreams: [{}], color: {}, content: {}, loudness: {} }, criteria, 'fr');
+
+    assert.strictEqual(results.overall, false);
+    assert.strictEqual(results.resolution.value, 'Inconnu');
+    assert.strictEqual(results.frameRate.value, 'Inconnu');
+    assert.strictEqual(results.fileSize.value, 'Inconnu');
+    assert.strictEqual(results.audioFormat.value, 'Inconnu, Inconnu, Inconnu');
+});
+
+test('codec profile and level fail when the codec or its profile cannot be determined', () => {
+    const criteria = { codecProfiles: { h264: ['High', 'Main'] }, maxLevels: { h264: 5.1 } };
+    const check = videoInfo => validateVideoSpecs({ rotation: 0, ...videoInfo }, criteria, 'en');
+
+    const compliant = check({ codec: 'h264', profile: 'High', level: 4 });
+    assert.strictEqual(compliant.codecProfile.valid, true);
+    assert.strictEqual(compliant.codecLevel.valid, true);
+    assert.strictEqual(compliant.codecProfile.value, 'H.264 High');
+
+    const unknownCodec = check({ codec: null, profile: 'High', level: 4 });
+    assert.strictEqual(unknownCodec.codecProfile.valid, false);
+    assert.strictEqual(unknownCodec.codecLevel.valid, false);
+    assert.strictEqual(unknownCodec.codecProfile.value, 'Unknown');
+
+    const unknownProfile = check({ codec: 'h264', profile: null, level: null });
+    assert.strictEqual(unknownProfile.codecProfile.valid, false);
+    assert.strictEqual(unknownProfile.codecLevel.valid, false);
+    assert.strictEqual(unknownProfile.codecLevel.value, 'Unknown');
+
+    // Un codec absent des listes n'est pas contraint
+    const otherCodec = check({ codec: 'prores', profile: 'HQ', level: null });
+    assert.strictEqual(otherCodec.codecProfile.valid, true);
+    assert.strictEqual(otherCodec.codecLevel.valid, true);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildMovie } = require('./helpers/mp4');
+const { installFakeProbe } = require('./helpers/ffprobe');
+
+const { dir, setOutput } = installFakeProbe(test);
+
+const { FolderWatcher, getSidecarPath } = require('../lib/watcher');
+
+const PROFILE = { id: 'rally', name: 'Rally', version: '1.0.0', criteria: { resolutions: [{ width: 1920, height: 810 }] } };
+
+function setVideoOutput() {
+    setOutput({
+        streams: [{ index: 0, codec_type: 'video', codec_name: 'h264', width: 1920, height: 810, r_frame_rate: '24/1', nb_frames: '144' }],
+        format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '6.0' }
+    });
+}
+
+function createFolder(name) {
+    const folder = path.join(dir, name);
+    fs.mkdirSync(folder);
+    return folder;
+}
+
+test('sidecar reports are named after the video without its extension', () => {
+    assert.strictEqual(getSidecarPath('/renders/shot_v2.mp4'), path.join('/renders', 'shot_v2.check.json'));
+    assert.strictEqual(getSidecarPath('/renders/shot.final.mov'), path.join('/renders', 'shot.final.check.json'));
+});
+
+test('the watcher writes a report next to each video and only exposes relative paths', async () => {
+    setVideoOutput();
+    const folder = createFolder('renders');
+    fs.writeFileSync(path.join(folder, 'shot.mp4'), buildMovie());
+
+    const watcher = new FolderWatcher([folder], { profile: PROFILE, interval: 60000, stableTime: 0 });
+    // Premier passage : fichier détecté ; second : taille stable, analyse
+    await watcher.scan();
+    await watcher.scan();
+
+    const report = JSON.parse(fs.readFileSync(path.join(folder, 'shot.check.json'), 'utf8'));
+    assert.strictEqual(report.file.name, 'shot.mp4');
+
+    const state = JSON.parse(JSON.stringify(watcher.toJSON()));
+    assert.deepStrictEqual(state.folders, ['renders']);
+    assert.strictEqual(state.results.length, 1);
+    assert.strictEqual(state.results[0].status, 'pass');
+    assert.strictEqual(state.results[0].folder, 'renders');
+    assert.strictEqual(state.results[0].path, 'shot.mp4');
+    assert.strictEqual(state.results[0].sidecar, 'shot.check.json');
+    assert.ok(!JSON.stringify(state).includes(dir));
+});
+
+test('a report written for another video of the same name does not skip the analysis', async () => {
+    setVideoOutput();
+    const folder = createFolder('same-name');
+    fs.writeFileSync(path.join(folder, 'shot.mov'), buildMovie({ brand: 'qt  ' }));
+    fs.writeFileSync(path.join(folder, 'shot.check.json'), JSON.stringify({ file: { name: 'shot.mp4' } }));
+
+    const watcher = new FolderWatcher([folder], { profile: PROFILE, interval: 60000, stableTime: 0 });
+    await watcher.scan();
+    await watcher.scan();
+
+    assert.deepStrictEqual(watcher.results.map(result => result.fileName), ['shot.mov']);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(folder, 'shot.check.json'), 'utf8')).file.name, 'shot.mov');
+});
+
+test('files removed from the folder are forgotten', async () => {
+    setVideoOutput();
+    const folder = createFolder('pruned');
+    fs.writeFileSync(path.join(folder, 'a.mp4'), buildMovie());
+    fs.writeFileSync(path.join(folder, 'b.mp4'), buildMovie());
+
+    const watcher = new FolderWatcher([folder], { profile: PROFILE, interval: 60000, stableTime: 0 });
+    await watcher.scan();
+    await watcher.scan();
+    assert.strictEqual(watcher.processed.size, 2);
+
+    fs.rmSync(path.join(folder, 'a.mp4'));
+    fs.writeFileSync(path.join(folder, 'c.mp4'), buildMovie());
+    await watcher.scan();
+    fs.rmSync(path.join(folder, 'c.mp4'));
+    await watcher.scan();
+
+    assert.deepStrictEqual([...watcher.processed.keys()], [path.join(folder, 'b.mp4')]);
+    assert.strictEqual(watcher.pending.size, 0);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const { WebhookNotifier, lookupPublicAddress, sign } = require('../lib/webhooks');
+
+const SECRET = 'webhook-secret';
+
+// Récepteur local : répond avec les statuts donnés, dans l'ordre (200 ensuite)
+async function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(statuses[requests.length - 1] || 200).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    test.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+function createNotifier(options = {}) {
+    return new WebhookNotifier({ secret: SECRET, attempts: 3, backoff: 10, timeout: 2000, ...options });
+}
+
+test('deliveries are signed with an HMAC of the raw body', async () => {
+    const receiver = await startReceiver();
+    const [delivery] = await createNotifier().send([{ url: receiver.url, secret: null }], 'analysis.completed', { compliant: true });
+
+    assert.strictEqual(delivery.delivered, true);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.headers['x-video-checker-signature'], `sha256=${sign(SECRET, request.body)}`);
+    assert.strictEqual(request.headers['x-video-checker-event'], 'analysis.completed');
+    assert.strictEqual(JSON.parse(request.body).compliant, true);
+});
+
+test('a target secret takes precedence over the global secret', async () => {
+    const receiver = await startReceiver();
+    await createNotifier().send([{ url: receiver.url, secret: 'profile-secret' }], 'analysis.completed', {});
+
+    const [request] = receiver.requests;
+    assert.strictEqual(request.headers['x-video-checker-signature'], `sha256=${sign('profile-secret', request.body)}`);
+});
+
+test('server errors are retried with the same delivery and body', async () => {
+    const receiver = await startReceiver([500, 503]);
+    const [delivery] = await createNotifier().send([{ url: receiver.url, secret: null }], 'analysis.completed', {});
+
+    assert.strictEqual(delivery.delivered, true);
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(receiver.requests.length, 3);
+    assert.strictEqual(new Set(receiver.requests.map(request => request.body)).size, 1);
+    assert.strictEqual(new Set(receiver.requests.map(request => request.headers['x-video-checker-delivery'])).size, 1);
+});
+
+test('client errors are not retried and failures stop after the last attempt', async () => {
+    const rejected = await startReceiver([404]);
+    const [delivery] = await createNotifier().send([{ url: rejected.url, secret: null }], 'analysis.completed', {});
+    assert.strictEqual(delivery.delivered, false);
+    assert.strictEqual(rejected.requests.length, 1);
+
+    const failing = await startReceiver([500, 500, 500, 500]);
+    const [failure] = await createNotifier().send([{ url: failing.url, secret: null }], 'analysis.completed', {});
+    assert.strictEqual(failure.delivered, false);
+    assert.strictEqual(failing.requests.length, 3);
+});
+
+test('request webhooks are denied unless their host is allowed, and never to private addresses', () => {
+    assert.strictEqual(createNotifier().isAllowed('https://hooks.example.com/ci'), false);
+
+    const notifier = createNotifier({ allowedHosts: ['hooks.example.com', '127.0.0.1', '[::1]', '169.254.169.254'] });
+    assert.strictEqual(notifier.isAllowed('https://hooks.example.com/ci'), true);
+    assert.strictEqual(notifier.isAllowed('https://other.example.com/ci'), false);
+    assert.strictEqual(notifier.isAllowed('ftp://hooks.example.com/ci'), false);
+    assert.strictEqual(notifier.isAllowed('http://127.0.0.1/hook'), false);
+    assert.strictEqual(notifier.isAllowed('http://[::1]/hook'), false);
+    assert.strictEqual(notifier.isAllowed('http://169.254.169.254/latest/meta-data'), false);
+});
+
+test('request webhooks are signed with the caller secret, never with the global secret', async (t) => {
+    const notifier = createNotifier();
+    const posts = [];
+    t.mock.method(notifier, 'post', async (url, headers, body) => {
+        posts.push({ headers, body });
+        return { ok: true, status: 200 };
+    });
+
+    const [signed] = await notifier.send([{ url: 'https://hooks.example.com/ci', secret: 'caller-secret', requested: true }], 'analysis.completed', {});
+    assert.strictEqual(signed.delivered, true);
+    assert.strictEqual(posts[0].headers['X-Video-Checker-Signature'], `sha256=${sign('caller-secret', posts[0].body)}`);
+
+    const [unsigned] = await notifier.send([{ url: 'https://hooks.example.com/ci', secret: null, requested: true }], 'analysis.completed', {});
+    assert.strictEqual(unsigned.delivered, false);
+    assert.strictEqual(posts.length, 1);
+});
+
+test('request webhooks to a private address are not delivered nor retried', async () => {
+    const receiver = await startReceiver();
+    const [delivery] = await createNotifier().send([{ url: receiver.url, secret: 'caller-secret', requested: true }], 'analysis.completed', {});
+
+    assert.strictEqual(delivery.delivered, false);
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(receiver.requests.length, 0);
+});
+
+test('lookupPublicAddress refuses private addresses and returns the checked one', async () => {
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+        lookupPublicAddress(hostname, options, (error, address, family) => error ? reject(error) : resolve({ address, family }));
+    });
+
+    await assert.rejects(lookup('localhost', {}), { code: 'EBLOCKEDADDRESS' });
+    assert.deepStrictEqual(await lookup('203.0.113.10', {}), { address: '203.0.113.10', family: 4 });
+    assert.deepStrictEqual((await lookup('203.0.113.10', { all: true })).address, [{ address: '203.0.113.10', family: 4 }]);
+});
+
+test('the connection goes to the address that was checked, without a second resolution', async (t) => {
+    // Rebinding : la première résolution donne une adresse publique, les suivantes la boucle locale
+    const receiver = await startReceiver();
+    const port = new URL(receiver.url).port;
+    const originalLookup = dns.lookup;
+    let resolutions = 0;
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        if (hostname !== 'rebind.example.com') return originalLookup(hostname, options, callback);
+        resolutions++;
+        const address = resolutions === 1 ? '203.0.113.10' : '127.0.0.1';
+        callback(null, [{ address, family: 4 }]);
+    });
+
+    const notifier = createNotifier({ attempts: 1, timeout: 300 });
+    const [delivery] = await notifier.send([{ url: `http://rebind.example.com:${port}/hook`, secret: 'caller-secret', requested: true }], 'analysis.completed', {});
+
+    assert.strictEqual(delivery.delivered, false);
+    assert.strictEqual(resolutions, 1);
+    assert.strictEqual(receiver.requests.length, 0);
+});